@@ -0,0 +1,120 @@
+// Breath detection on raw microphone samples (no browser APIs, unit-testable)
+
+/**
+ * Default detection settings
+ */
+export const BREATH_DEFAULTS = {
+    // How long the breath has to last, in milliseconds
+    sustainMs: 350,
+    // Short dips below the threshold that don't break a breath
+    releaseMs: 120,
+    // Threshold = noise floor * multiplier, but never below minThreshold
+    noiseMultiplier: 3.5,
+    minThreshold: 0.04,
+    // Breath is broadband noise; voiced sounds cross zero far less often
+    minZeroCrossingRate: 0.08
+};
+
+/**
+ * Root mean square level of a frame
+ * @param {Float32Array|number[]} samples - Time-domain samples in [-1, 1]
+ * @returns {number} RMS level
+ */
+export function getRms(samples) {
+    if (!samples.length) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Fraction of adjacent samples that change sign
+ * @param {Float32Array|number[]} samples - Time-domain samples in [-1, 1]
+ * @returns {number} Zero-crossing rate in [0, 1]
+ */
+export function getZeroCrossingRate(samples) {
+    if (samples.length < 2) return 0;
+
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+            crossings++;
+        }
+    }
+    return crossings / (samples.length - 1);
+}
+
+/**
+ * Detects a sustained, breath-like noise burst in a stream of frames
+ */
+export class BreathDetector {
+    constructor(options = {}) {
+        this.options = { ...BREATH_DEFAULTS, ...options };
+        this.threshold = this.options.minThreshold;
+        this.reset();
+    }
+
+    /**
+     * Set the threshold from frames recorded while the room is quiet
+     * @param {Array<Float32Array|number[]>} frames - Ambient noise frames
+     * @returns {number} New threshold
+     */
+    calibrate(frames) {
+        const levels = frames.map(getRms).sort((a, b) => a - b);
+
+        // Use the 90th percentile so a single click doesn't inflate the floor
+        const floor = levels.length ? levels[Math.floor((levels.length - 1) * 0.9)] : 0;
+        this.threshold = Math.max(this.options.minThreshold, floor * this.options.noiseMultiplier);
+        this.reset();
+
+        return this.threshold;
+    }
+
+    /**
+     * Forget any breath in progress
+     */
+    reset() {
+        this.breathStart = null;
+        this.lastAbove = null;
+        this.detected = false;
+    }
+
+    /**
+     * Feed one frame of samples
+     * @param {Float32Array|number[]} samples - Time-domain samples in [-1, 1]
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {{level: number, isBreath: boolean, detected: boolean}} Frame result;
+     *   `level` is 0..1 with the threshold at 0.5, `detected` is true once per breath
+     */
+    process(samples, time) {
+        const rms = getRms(samples);
+        const isBreath = rms >= this.threshold &&
+            getZeroCrossingRate(samples) >= this.options.minZeroCrossingRate;
+        let detected = false;
+
+        if (isBreath) {
+            if (this.breathStart === null) {
+                this.breathStart = time;
+            }
+            this.lastAbove = time;
+
+            if (!this.detected && time - this.breathStart >= this.options.sustainMs) {
+                this.detected = true;
+                detected = true;
+            }
+        } else if (this.lastAbove !== null && time - this.lastAbove > this.options.releaseMs) {
+            this.breathStart = null;
+            this.lastAbove = null;
+            this.detected = false;
+        }
+
+        return {
+            level: Math.min(1, rms / (this.threshold * 2)),
+            isBreath,
+            detected
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,324 @@
+// Declarative cake model: tiers, frosting, drips, piped borders, sprinkles and a name topper
+import { scaleSegments } from './quality.js';
+
+export const MAX_CAKE_TIERS = 4;
+export const DEFAULT_SPRINKLES = 80;
+export const TOPPER_FONT_URL = 'assets/fonts/helvetiker_bold.typeface.json';
+
+const DEFAULT_TIER = { radius: 1.2, height: 0.6 };
+const TIER_SHRINK = 0.1;
+const FROSTING_HEIGHT = 0.2;
+const DRIP_CAP_HEIGHT = 0.08;
+const BEAD_RADIUS = 0.06;
+const BEAD_SPACING = 0.11;
+const MAX_SPRINKLES = 400;
+
+/**
+ * Normalize the `cake` setting into a buildable description
+ * @param {Object|undefined} cake - { tiers, drips, sprinkles, border, topper }
+ * @param {string} name - Recipient name, used when topper is true
+ * @returns {{tiers: Array<Object>, drips: number, sprinkles: number, border: boolean, topper: string}}
+ *   Tiers run bottom to top, each with radius, height, color, bottom and top
+ */
+export function normalizeCake(cake = {}, name = '') {
+    const requested = cake.tiers && cake.tiers.length ? cake.tiers : [DEFAULT_TIER];
+    const tiers = [];
+    let bottom = 0;
+    let maxRadius = Infinity;
+
+    requested.slice(0, MAX_CAKE_TIERS).forEach(tier => {
+        // Each tier has to sit on the frosting of the one below it
+        const radius = Math.min(tier.radius || DEFAULT_TIER.radius, maxRadius);
+        const height = tier.height || DEFAULT_TIER.height;
+        tiers.push({ radius, height, color: tier.color || null, bottom, top: bottom + height });
+
+        bottom += height + FROSTING_HEIGHT;
+        maxRadius = radius - TIER_SHRINK - 0.05;
+    });
+
+    let sprinkles = 0;
+    if (cake.sprinkles === true) {
+        sprinkles = DEFAULT_SPRINKLES;
+    } else if (typeof cake.sprinkles === 'number') {
+        sprinkles = Math.min(Math.max(0, Math.round(cake.sprinkles)), MAX_SPRINKLES);
+    }
+
+    let drips = 0;
+    if (cake.drips === true) {
+        drips = 1;
+    } else if (typeof cake.drips === 'number') {
+        drips = Math.min(Math.max(0, cake.drips), 1);
+    }
+
+    let topper = '';
+    if (cake.topper === true) {
+        topper = name || '';
+    } else if (typeof cake.topper === 'string') {
+        topper = cake.topper;
+    }
+
+    return { tiers, drips, sprinkles, border: cake.border === true, topper: topper.trim() };
+}
+
+/**
+ * Where candles and the paper tag stand on a normalized cake
+ * @param {Object} cake - Result of normalizeCake()
+ * @returns {{y: number, radius: number}} Height of the top frosting and the top tier's radius
+ */
+export function getCakeTop(cake) {
+    const top = cake.tiers[cake.tiers.length - 1];
+    return { y: top.top + FROSTING_HEIGHT, radius: top.radius };
+}
+
+/**
+ * Height of the frosting surface at a point, for things that land on the cake
+ * @param {Object} cake - Result of normalizeCake()
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ * @returns {number} Surface height, or 0 beside the cake
+ */
+export function getSurfaceHeight(cake, x, z) {
+    const distance = Math.hypot(x, z);
+    const tier = [...cake.tiers].reverse().find(candidate => distance <= candidate.radius);
+    return tier ? tier.top + FROSTING_HEIGHT : 0;
+}
+
+// Small seeded generator so drips and sprinkles land the same way on every visit
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function placed(geometry, x, y, z) {
+    geometry.translate(x, y, z);
+    return geometry;
+}
+
+function createFrosting(THREE, cake, tier, index, random, detail) {
+    const pieces = [];
+    const round = scaleSegments(32, detail, 12);
+    const bead = [scaleSegments(6, detail, 4), scaleSegments(4, detail, 3)];
+
+    if (cake.drips) {
+        // A cap that overhangs the edge, with drips running down the side
+        const capTop = tier.top + DRIP_CAP_HEIGHT;
+        pieces.push(placed(new THREE.CylinderGeometry(tier.radius + 0.02, tier.radius + 0.02, DRIP_CAP_HEIGHT, round),
+            0, tier.top + DRIP_CAP_HEIGHT / 2, 0));
+        pieces.push(placed(new THREE.CylinderGeometry(tier.radius - TIER_SHRINK, tier.radius - TIER_SHRINK,
+            FROSTING_HEIGHT - DRIP_CAP_HEIGHT, round), 0, capTop + (FROSTING_HEIGHT - DRIP_CAP_HEIGHT) / 2, 0));
+
+        const count = Math.round(Math.floor((2 * Math.PI * tier.radius) / 0.18) * cake.drips);
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + random() * 0.1;
+            const length = tier.height * (0.2 + random() * 0.45);
+            const x = Math.cos(angle) * (tier.radius + 0.01);
+            const z = Math.sin(angle) * (tier.radius + 0.01);
+
+            pieces.push(placed(new THREE.CylinderGeometry(0.04, 0.04, length, bead[0]), x, tier.top - length / 2, z));
+            pieces.push(placed(new THREE.SphereGeometry(0.045, ...bead), x, tier.top - length, z));
+        }
+    } else {
+        pieces.push(placed(new THREE.CylinderGeometry(tier.radius - TIER_SHRINK, tier.radius - TIER_SHRINK,
+            FROSTING_HEIGHT, round), 0, tier.top + FROSTING_HEIGHT / 2, 0));
+    }
+
+    if (cake.border) {
+        // Piped beads around the base of the tier (on the plate or the tier below) and its top rim
+        const rims = [
+            { y: tier.bottom + BEAD_RADIUS * 0.6, radius: tier.radius },
+            { y: tier.top + FROSTING_HEIGHT, radius: tier.radius - TIER_SHRINK - BEAD_RADIUS * 0.5 }
+        ];
+        rims.forEach(rim => {
+            const count = Math.floor((2 * Math.PI * rim.radius) / BEAD_SPACING);
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * Math.PI * 2 + (index % 2 ? Math.PI / count : 0);
+                pieces.push(placed(new THREE.SphereGeometry(BEAD_RADIUS, ...bead),
+                    Math.cos(angle) * rim.radius, rim.y, Math.sin(angle) * rim.radius));
+            }
+        });
+    }
+
+    return pieces;
+}
+
+// Visible frosting area of each tier: the full top for the highest one, a ring for the rest
+function getSprinkleAreas(cake) {
+    return cake.tiers.map((tier, index) => {
+        const above = cake.tiers[index + 1];
+        const outer = tier.radius - TIER_SHRINK - (cake.border ? BEAD_RADIUS * 2 : 0.03);
+        const inner = above ? above.radius + 0.03 : 0;
+        return { y: tier.top + FROSTING_HEIGHT + 0.01, inner, outer: Math.max(inner, outer) };
+    });
+}
+
+function createSprinkles(THREE, cake, palette, random) {
+    const areas = getSprinkleAreas(cake);
+    const weights = areas.map(area => area.outer * area.outer - area.inner * area.inner);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!total) return null;
+
+    const geometry = new THREE.CylinderGeometry(0.012, 0.012, 0.07, 4);
+    geometry.rotateZ(Math.PI / 2);
+    const material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+    const mesh = new THREE.InstancedMesh(geometry, material, cake.sprinkles);
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const up = new THREE.Vector3(0, 1, 0);
+    const scale = new THREE.Vector3(1, 1, 1);
+    const position = new THREE.Vector3();
+
+    for (let i = 0; i < cake.sprinkles; i++) {
+        // Pick a tier by area, then a uniformly random point in its ring
+        let pick = random() * total;
+        let area = areas[0];
+        for (let a = 0; a < areas.length; a++) {
+            pick -= weights[a];
+            if (pick <= 0) {
+                area = areas[a];
+                break;
+            }
+        }
+
+        const radius = Math.sqrt(area.inner * area.inner +
+            random() * (area.outer * area.outer - area.inner * area.inner));
+        const angle = random() * Math.PI * 2;
+        position.set(Math.cos(angle) * radius, area.y, Math.sin(angle) * radius);
+        rotation.setFromAxisAngle(up, random() * Math.PI);
+        mesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
+    }
+
+    mesh.userData.colorSeeds = Array.from({ length: cake.sprinkles }, () => random());
+    colorSprinkles(THREE, mesh, palette);
+    return mesh;
+}
+
+function colorSprinkles(THREE, mesh, palette) {
+    const colors = palette.confetti.map(value => new THREE.Color(value));
+    mesh.userData.colorSeeds.forEach((seed, i) => {
+        mesh.setColorAt(i, colors[Math.floor(seed * colors.length)]);
+    });
+    mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Build the cake as a handful of merged meshes plus one instanced sprinkle mesh
+ * @param {Object} THREE - Three.js module
+ * @param {Object} cake - Result of normalizeCake()
+ * @param {Object} palette - Theme palette
+ * @param {number} detail - Quality tier detail, scaling segment counts
+ * @returns {Promise<{group: Object, setPalette: Function, addTopper: Function}>} Cake group,
+ *   a recolouring hook, and a loader for the name topper
+ */
+export async function createCakeModel(THREE, cake, palette, detail = 1) {
+    const { mergeGeometries } = await import('three/addons/utils/BufferGeometryUtils.js');
+    const random = createRandom(cake.tiers.length * 7919 + cake.sprinkles);
+    const group = new THREE.Group();
+
+    // Tiers sharing a colour share one merged mesh; custom colours get their own
+    const bodies = new Map();
+    cake.tiers.forEach(tier => {
+        const key = tier.color || 'palette';
+        const segments = scaleSegments(32, detail, 12);
+        const geometry = placed(new THREE.CylinderGeometry(tier.radius, tier.radius, tier.height, segments),
+            0, tier.bottom + tier.height / 2, 0);
+        bodies.set(key, [...(bodies.get(key) || []), geometry]);
+    });
+
+    const meshes = [];
+    bodies.forEach((geometries, key) => {
+        const material = new THREE.MeshLambertMaterial({ color: key === 'palette' ? palette.cake : key });
+        const mesh = new THREE.Mesh(mergeGeometries(geometries), material);
+        geometries.forEach(geometry => geometry.dispose());
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.followsPalette = key === 'palette';
+        meshes.push(mesh);
+        group.add(mesh);
+    });
+
+    const frostingPieces = cake.tiers.flatMap((tier, index) => createFrosting(THREE, cake, tier, index, random, detail));
+    const frostingMaterial = new THREE.MeshLambertMaterial({ color: palette.frosting });
+    const frosting = new THREE.Mesh(mergeGeometries(frostingPieces), frostingMaterial);
+    frostingPieces.forEach(geometry => geometry.dispose());
+    frosting.castShadow = true;
+    frosting.receiveShadow = true;
+    group.add(frosting);
+
+    const sprinkles = cake.sprinkles ? createSprinkles(THREE, cake, palette, random) : null;
+    if (sprinkles) {
+        group.add(sprinkles);
+    }
+
+    let topper = null;
+
+    return {
+        group,
+        setPalette(next) {
+            meshes.filter(mesh => mesh.userData.followsPalette)
+                .forEach(mesh => mesh.material.color.set(next.cake));
+            frostingMaterial.color.set(next.frosting);
+            if (sprinkles) {
+                colorSprinkles(THREE, sprinkles, next);
+            }
+            if (topper) {
+                topper.material.color.set(next.primary);
+            }
+        },
+        async addTopper(top) {
+            topper = await createTopper(THREE, cake.topper, palette, top, detail);
+            if (topper) {
+                group.add(topper);
+            }
+        }
+    };
+}
+
+/**
+ * Extruded name text standing above the candles at the back of the top tier
+ * @param {Object} THREE - Three.js module
+ * @param {string} text - Text to show
+ * @param {Object} palette - Theme palette
+ * @param {{y: number, radius: number}} top - Result of getCakeTop()
+ * @param {number} detail - Quality tier detail
+ * @returns {Promise<Object|null>} Text mesh, or null when nothing can be drawn
+ */
+async function createTopper(THREE, text, palette, top, detail) {
+    if (!text) return null;
+
+    const [{ FontLoader }, { TextGeometry }] = await Promise.all([
+        import('three/addons/loaders/FontLoader.js'),
+        import('three/addons/geometries/TextGeometry.js')
+    ]);
+    const font = await new FontLoader().loadAsync(TOPPER_FONT_URL);
+
+    // The bundled font is Latin-only; drop emoji and other missing glyphs
+    const printable = Array.from(text).filter(char => char === ' ' || font.data.glyphs[char]).join('').trim();
+    if (!printable) return null;
+
+    const geometry = new TextGeometry(printable, {
+        font,
+        size: 0.22,
+        height: 0.05,
+        curveSegments: scaleSegments(4, detail, 2),
+        bevelEnabled: true,
+        bevelThickness: 0.01,
+        bevelSize: 0.006,
+        bevelSegments: 2
+    });
+    geometry.computeBoundingBox();
+    geometry.center();
+
+    const width = geometry.boundingBox.max.x - geometry.boundingBox.min.x;
+    const maxWidth = Math.max(top.radius * 2, 1.6);
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: palette.primary }));
+    mesh.scale.setScalar(Math.min(1, maxWidth / width));
+    mesh.position.set(0, top.y + 0.85, -top.radius * 0.4);
+    mesh.castShadow = true;
+    return mesh;
+}
@@ -0,0 +1,133 @@
+// Guestbook contributor page: friends add their wish to a surprise
+import { loadRecipientWishes, getRecipientSlug } from './recipients.js';
+import { resolveTheme, applyTheme, prefersDarkScheme } from './theme.js';
+import { createStorageAdapter, GuestbookStorageError } from './guestbook-storage.js';
+
+const AVATAR_SIZE = 256;
+
+/**
+ * Crop an image file to a small square avatar
+ * @param {File} file - Image chosen by the contributor
+ * @returns {Promise<string>} WebP (or JPEG, where WebP encoding is missing) data URL
+ */
+function createAvatar(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+
+        img.onload = () => {
+            const side = Math.min(img.naturalWidth, img.naturalHeight);
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = AVATAR_SIZE;
+            canvas.getContext('2d').drawImage(img,
+                (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side,
+                0, 0, AVATAR_SIZE, AVATAR_SIZE);
+            URL.revokeObjectURL(url);
+
+            const webp = canvas.toDataURL('image/webp', 0.85);
+            resolve(webp.startsWith('data:image/webp') ? webp : canvas.toDataURL('image/jpeg', 0.85));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new GuestbookStorageError('That photo could not be read. Try a JPEG or PNG.'));
+        };
+        img.src = url;
+    });
+}
+
+class ContributorPage {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.recipient = getRecipientSlug();
+        this.form = document.getElementById('contribute-form');
+        this.status = document.getElementById('contribute-status');
+        this.submitBtn = document.getElementById('contribute-submit');
+
+        try {
+            this.storage = createStorageAdapter(params.get('storage') || undefined, { recipient: this.recipient });
+        } catch (error) {
+            this.setStatus(error.message, true);
+            this.submitBtn.disabled = true;
+            return;
+        }
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.personalize();
+        this.showSigned();
+    }
+
+    // Match the surprise's theme and name; the form works without them
+    async personalize() {
+        try {
+            const { data } = await loadRecipientWishes();
+            applyTheme(resolveTheme(data.theme, prefersDarkScheme()));
+            if (data.name) {
+                document.getElementById('contribute-title').textContent = `Add Your Wish for ${data.name} 💌`;
+            }
+        } catch (error) {
+            console.warn('Could not load the wishes document:', error);
+        }
+    }
+
+    async showSigned() {
+        try {
+            const entries = await this.storage.list();
+            this.renderSigned(entries);
+        } catch (error) {
+            console.warn('Could not list guestbook entries:', error);
+        }
+    }
+
+    renderSigned(entries) {
+        const signed = document.getElementById('contribute-signed');
+        if (!entries.length) return;
+
+        signed.textContent = `Already signed by ${entries.map(entry => entry.author).join(', ')}`;
+        signed.classList.remove('hidden');
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    async submit() {
+        const author = this.form.elements.author.value.trim();
+        const message = this.form.elements.message.value.trim();
+        const file = this.form.elements.avatar.files[0];
+
+        if (!author || !message) {
+            this.setStatus('Please add your name and a wish.', true);
+            (author ? this.form.elements.message : this.form.elements.author).focus();
+            return;
+        }
+
+        this.submitBtn.disabled = true;
+        this.setStatus('Saving your wish…');
+
+        try {
+            const entry = { author, message };
+            if (file) {
+                entry.avatar = await createAvatar(file);
+            }
+
+            await this.storage.add(entry);
+            this.form.reset();
+            this.setStatus(`Thank you, ${author}! Your wish has been added. 💖`);
+            this.showSigned();
+        } catch (error) {
+            console.error('Failed to save guestbook entry:', error);
+            this.setStatus(error instanceof GuestbookStorageError
+                ? error.message
+                : 'Something went wrong while saving. Please try again.', true);
+        } finally {
+            this.submitBtn.disabled = false;
+        }
+    }
+}
+
+new ContributorPage();
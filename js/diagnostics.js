@@ -0,0 +1,77 @@
+// Developer diagnostics overlay for wishes.json problems
+import { createElement } from './utils.js';
+
+/**
+ * Check whether the page runs in dev mode (local server or `?dev`)
+ * @param {Location|URL} location - Location to inspect
+ * @returns {boolean} True in dev mode
+ */
+export function isDevMode(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    if (params.has('dev')) {
+        return params.get('dev') !== '0';
+    }
+    return ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname);
+}
+
+/**
+ * Log validation issues to the console
+ * @param {Array<Object>} issues - Issues from validateWishes
+ * @param {string} source - Document the issues came from
+ */
+export function logIssues(issues, source) {
+    issues.forEach(issue => {
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`${source}: ${issue.path} ${issue.message}`);
+    });
+}
+
+/**
+ * Show validation issues in a dismissible on-page overlay
+ * @param {Array<Object>} issues - Issues from validateWishes
+ * @param {string} source - Document the issues came from
+ */
+export function showDiagnosticsOverlay(issues, source) {
+    if (!issues.length) return;
+
+    const existing = document.getElementById('diagnostics-overlay');
+    if (existing) {
+        existing.remove();
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    const overlay = createElement('aside', {
+        id: 'diagnostics-overlay',
+        className: 'diagnostics-overlay',
+        role: 'alert',
+        'aria-label': 'Wishes file problems'
+    });
+
+    const header = createElement('div', { className: 'diagnostics-header' });
+    header.appendChild(createElement('strong', {
+        textContent: `${source}: ${errorCount} error(s), ${warningCount} warning(s)`
+    }));
+
+    const closeBtn = createElement('button', {
+        className: 'diagnostics-close',
+        type: 'button',
+        'aria-label': 'Dismiss diagnostics',
+        textContent: '✕'
+    });
+    closeBtn.addEventListener('click', () => overlay.remove());
+    header.appendChild(closeBtn);
+    overlay.appendChild(header);
+
+    const list = createElement('ul', { className: 'diagnostics-list' });
+    issues.forEach(issue => {
+        const item = createElement('li', { className: `diagnostics-item ${issue.severity}` });
+        item.appendChild(createElement('code', { textContent: issue.path }));
+        item.appendChild(document.createTextNode(` ${issue.message}`));
+        list.appendChild(item);
+    });
+    overlay.appendChild(list);
+
+    document.body.appendChild(overlay);
+}
\ No newline at end of file
@@ -0,0 +1,376 @@
+// Editor form description and wishes <-> form conversion (no DOM, unit-testable)
+import { WISHES_SCHEMA_VERSION, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS, isPlainObject } from './schema.js';
+import { THEME_PRESET_NAMES, THEME_MODES, THEME_COLOR_KEYS } from './theme.js';
+import { MAX_CAKE_TIERS } from './cake.js';
+import { TYPEWRITER_DEFAULTS } from './typewriter.js';
+import { parseUnlockAt } from './unlock.js';
+import { DEFAULT_LOCALE, matchLocale } from './i18n.js';
+import { SCENE_TYPES, SCENE_TRIGGERS, SCENE_TRANSITIONS } from './scenes.js';
+
+const IMAGE_ACCEPT = IMAGE_EXTENSIONS.map(ext => `.${ext}`).join(',');
+const VISUAL_ACCEPT = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS].map(ext => `.${ext}`).join(',');
+const AUDIO_ACCEPT = AUDIO_EXTENSIONS.map(ext => `.${ext}`).join(',');
+
+const SCENE_TYPE_LABELS = {
+    message: 'Message',
+    guestbook: 'Wishes from friends',
+    candle: 'Candle',
+    music: 'Music',
+    flyingPhoto: 'Flying photo',
+    gallery: 'Gallery',
+    confetti: 'Confetti',
+    gift: 'Gift box'
+};
+const SCENE_TRIGGER_LABELS = {
+    timer: 'Straight after the previous step',
+    click: 'When the paper tag is opened',
+    event: 'On a page event'
+};
+
+/**
+ * Form sections, in page order. Each field has a dotted `path` into the
+ * editable document (see toEditable) and a `type`:
+ *   text, textarea, number, checkbox, select, color, date, datetime,
+ *   media (a path plus a file picker; `folder` is where uploads go) and
+ *   list (repeatable `fields`, reordered by drag and drop).
+ * Checkboxes write nothing while they match `default`; numbers, selects and
+ * text write nothing while empty.
+ */
+export const EDITOR_SECTIONS = [
+    {
+        title: 'Message',
+        fields: [
+            { path: 'name', type: 'text', label: 'Their name' },
+            { path: 'locale', type: 'text', label: 'Language of the text', placeholder: 'e.g. es, ar, pt-BR (English if empty)' },
+            { path: 'title', type: 'text', label: 'Title', required: true },
+            { path: 'subtitle', type: 'text', label: 'Subtitle' },
+            { path: 'message', type: 'textarea', label: 'Message', required: true },
+            { path: 'sender', type: 'text', label: 'Signed', required: true },
+            { path: 'age', type: 'number', label: 'Age (one candle each)', min: 1, max: 150, step: 1 },
+            { path: 'candles', type: 'number', label: 'Or a number of candles', min: 1, max: 50, step: 1 }
+        ]
+    },
+    {
+        title: 'Music',
+        fields: [
+            {
+                path: 'music.playlist',
+                type: 'list',
+                label: 'Songs',
+                itemLabel: 'song',
+                fields: [
+                    { path: 'src', type: 'media', label: 'Audio file', accept: AUDIO_ACCEPT, folder: 'assets/audio', kind: 'audio', required: true },
+                    { path: 'title', type: 'text', label: 'Title' },
+                    { path: 'start', type: 'number', label: 'Start at (seconds)', min: 0, step: 0.5 },
+                    { path: 'fadeIn', type: 'number', label: 'Fade in (seconds)', min: 0, max: 30, step: 0.5 },
+                    { path: 'fadeOut', type: 'number', label: 'Fade out (seconds)', min: 0, max: 30, step: 0.5 },
+                    {
+                        path: 'when',
+                        type: 'select',
+                        label: 'Plays',
+                        options: [['', 'Any time'], ['afterCandle', 'After the candle'], ['gallery', 'With the gallery']]
+                    }
+                ]
+            },
+            {
+                path: 'music.startOn',
+                type: 'select',
+                label: 'Start the music',
+                options: [['', 'When the candle is blown'], ['paper', 'When the message opens']]
+            },
+            { path: 'music.loop', type: 'checkbox', label: 'Loop the playlist', default: true }
+        ]
+    },
+    {
+        title: 'Gallery',
+        fields: [
+            {
+                path: 'gallery',
+                type: 'list',
+                label: 'Photos and clips',
+                itemLabel: 'photo',
+                dropFiles: true,
+                fields: [
+                    { path: 'src', type: 'media', label: 'Photo or video', accept: VISUAL_ACCEPT, folder: 'assets/images', kind: 'visual', required: true },
+                    { path: 'caption', type: 'text', label: 'Caption' },
+                    { path: 'alt', type: 'text', label: 'Description for screen readers' },
+                    { path: 'date', type: 'date', label: 'Date' },
+                    { path: 'poster', type: 'media', label: 'Video poster', accept: IMAGE_ACCEPT, folder: 'assets/images', kind: 'image' }
+                ]
+            }
+        ]
+    },
+    {
+        title: 'Flying photo',
+        fields: [
+            { path: 'flyingPhoto.src', type: 'media', label: 'Photo or video', accept: VISUAL_ACCEPT, folder: 'assets/images', kind: 'visual' },
+            { path: 'flyingPhoto.alt', type: 'text', label: 'Description for screen readers' },
+            { path: 'flyingPhoto.placeholder', type: 'media', label: 'Tiny blurred placeholder', accept: IMAGE_ACCEPT, folder: 'assets/images', kind: 'image' },
+            { path: 'flyingPhoto.poster', type: 'media', label: 'Video poster', accept: IMAGE_ACCEPT, folder: 'assets/images', kind: 'image' }
+        ]
+    },
+    {
+        title: 'Guestbook',
+        fields: [
+            {
+                path: 'guestbook',
+                type: 'list',
+                label: 'Wishes from friends',
+                itemLabel: 'wish',
+                fields: [
+                    { path: 'author', type: 'text', label: 'From', required: true },
+                    { path: 'message', type: 'textarea', label: 'Wish', required: true },
+                    { path: 'avatar', type: 'media', label: 'Photo', accept: IMAGE_ACCEPT, folder: 'assets/images/guestbook', kind: 'image' },
+                    { path: 'date', type: 'date', label: 'Date' }
+                ]
+            }
+        ]
+    },
+    {
+        title: 'Gift box',
+        fields: [
+            { path: 'gift.title', type: 'text', label: 'Heading', placeholder: 'A little something for you 🎁' },
+            { path: 'gift.text', type: 'textarea', label: 'What\'s inside (e.g. a voucher)' },
+            { path: 'gift.image', type: 'media', label: 'Photo inside', accept: IMAGE_ACCEPT, folder: 'assets/images', kind: 'image' },
+            { path: 'gift.alt', type: 'text', label: 'Description for screen readers' },
+            { path: 'gift.code', type: 'text', label: 'Coupon or gift card code' },
+            { path: 'gift.color', type: 'color', label: 'Wrapping colour' },
+            { path: 'gift.ribbon', type: 'color', label: 'Ribbon colour' }
+        ]
+    },
+    {
+        title: 'Colours',
+        fields: [
+            { path: 'theme.preset', type: 'select', label: 'Theme', options: [['', 'pastel'], ...THEME_PRESET_NAMES.filter(name => name !== 'pastel').map(name => [name, name])] },
+            { path: 'theme.mode', type: 'select', label: 'Light or dark', options: [['', 'Follow the device'], ...THEME_MODES.filter(mode => mode !== 'auto').map(mode => [mode, mode])] },
+            ...THEME_COLOR_KEYS.map(key => ({ path: `theme.colors.${key}`, type: 'color', label: `Colour: ${key}` }))
+        ]
+    },
+    {
+        title: 'Cake',
+        fields: [
+            {
+                path: 'cake.tiers',
+                type: 'list',
+                label: 'Tiers (bottom first)',
+                itemLabel: 'tier',
+                max: MAX_CAKE_TIERS,
+                fields: [
+                    { path: 'radius', type: 'number', label: 'Radius', min: 0.3, max: 2, step: 0.1 },
+                    { path: 'height', type: 'number', label: 'Height', min: 0.2, max: 1.2, step: 0.1 },
+                    { path: 'color', type: 'color', label: 'Colour' }
+                ]
+            },
+            { path: 'cake.drips', type: 'number', label: 'Drips (0–1)', min: 0, max: 1, step: 0.1, trueValue: 1 },
+            { path: 'cake.sprinkles', type: 'checkbox', label: 'Sprinkles', default: false },
+            { path: 'cake.border', type: 'checkbox', label: 'Piped border', default: false },
+            { path: 'cake.topper', type: 'checkbox', label: 'Name topper', default: false }
+        ]
+    },
+    {
+        title: 'Reveal order',
+        fields: [
+            {
+                path: 'scenes',
+                type: 'list',
+                label: 'Steps (leave empty for the usual order)',
+                itemLabel: 'step',
+                fields: [
+                    { path: 'type', type: 'select', label: 'Show', required: true, options: [['', 'Choose…'], ...SCENE_TYPES.map(type => [type, SCENE_TYPE_LABELS[type]])] },
+                    { path: 'trigger', type: 'select', label: 'Starts', options: SCENE_TRIGGERS.map(trigger => [trigger === 'timer' ? '' : trigger, SCENE_TRIGGER_LABELS[trigger]]) },
+                    { path: 'delay', type: 'number', label: 'Then wait (ms)', min: 0, max: 60000, step: 100 },
+                    { path: 'event', type: 'text', label: 'Event name', placeholder: 'e.g. candle:blown' },
+                    { path: 'transition', type: 'select', label: 'Entrance', options: [['', 'Usual'], ...SCENE_TRANSITIONS.map(transition => [transition, transition])] }
+                ]
+            },
+            { path: 'keepsake', type: 'checkbox', label: 'Offer a keepsake PDF and image afterwards', default: true }
+        ]
+    },
+    {
+        title: 'Timing',
+        fields: [
+            { path: 'unlockAt.at', type: 'datetime', label: 'Keep sealed until' },
+            { path: 'unlockAt.timeZone', type: 'text', label: 'Time zone', placeholder: 'e.g. Europe/Berlin' },
+            { path: 'microphone', type: 'checkbox', label: 'Offer blowing into the microphone', default: true },
+            { path: 'typewriter.enabled', type: 'checkbox', label: 'Typewriter reveal', default: true },
+            { path: 'typewriter.speed', type: 'number', label: 'Typing speed (ms per letter)', min: 0, max: 500, step: 1, placeholder: TYPEWRITER_DEFAULTS.speed },
+            { path: 'typewriter.punctuationPause', type: 'number', label: 'Pause after commas (ms)', min: 0, max: 5000, step: 10, placeholder: TYPEWRITER_DEFAULTS.punctuationPause },
+            { path: 'typewriter.sentencePause', type: 'number', label: 'Pause after sentences (ms)', min: 0, max: 5000, step: 10, placeholder: TYPEWRITER_DEFAULTS.sentencePause }
+        ]
+    }
+];
+
+/**
+ * Read a dotted path
+ * @param {Object} object - Object to read from
+ * @param {string} path - Dotted path, e.g. "music.loop"
+ * @returns {*} Value, or undefined when any step is missing
+ */
+export function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+/**
+ * Write a dotted path, creating objects on the way; undefined deletes
+ * @param {Object} object - Object to write to
+ * @param {string} path - Dotted path
+ * @param {*} value - New value
+ */
+export function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+        if (!isPlainObject(parent[key])) {
+            parent[key] = {};
+        }
+        return parent[key];
+    }, object);
+
+    if (value === undefined) {
+        delete target[last];
+    } else {
+        target[last] = value;
+    }
+}
+
+/**
+ * Find which language of a per-language text field the form edits: the
+ * document's own `locale`, else the first one given
+ * @param {*} value - Field value: a string or { "<locale>": "text" }
+ * @param {string} locale - Document language
+ * @returns {string|null} Key to edit, or null for plain strings
+ */
+export function getEditedLocale(value, locale = DEFAULT_LOCALE) {
+    if (!isPlainObject(value)) return null;
+
+    const available = Object.keys(value);
+    return matchLocale(locale, available) || available[0] || null;
+}
+
+/**
+ * Write one language of a per-language text field, keeping the others
+ * @param {Object} object - Object to write to
+ * @param {string} path - Dotted path
+ * @param {string} locale - Language key from getEditedLocale
+ * @param {string|undefined} value - New text; undefined removes that language
+ */
+export function setLocalizedPath(object, path, locale, value) {
+    const translations = { ...getPath(object, path) };
+    if (value === undefined) {
+        delete translations[locale];
+    } else {
+        translations[locale] = value;
+    }
+    setPath(object, path, Object.keys(translations).length ? translations : undefined);
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// An offset string becomes wall-clock time in the editor's own time zone
+function toEditableUnlock(unlockAt, timeZone) {
+    if (isPlainObject(unlockAt)) return { ...unlockAt };
+
+    try {
+        const date = parseUnlockAt(unlockAt);
+        return {
+            at: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+                `T${pad(date.getHours())}:${pad(date.getMinutes())}`,
+            timeZone
+        };
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Turn a wishes document into the uniform shape the form edits:
+ * gallery and playlist entries become objects, music a playlist, theme an
+ * object and unlockAt { at, timeZone }
+ * @param {Object} wishes - Wishes document
+ * @param {string} timeZone - Time zone for unlock times given as offsets
+ * @returns {Object} Editable copy
+ */
+export function toEditable(wishes, timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone) {
+    const doc = JSON.parse(JSON.stringify(isPlainObject(wishes) ? wishes : {}));
+    const asObject = entry => (typeof entry === 'string' ? { src: entry } : entry);
+
+    if (Array.isArray(doc.gallery)) {
+        doc.gallery = doc.gallery.map(asObject);
+    }
+
+    if (typeof doc.music === 'string') {
+        doc.music = { playlist: [{ src: doc.music }] };
+    } else if (isPlainObject(doc.music) && Array.isArray(doc.music.playlist)) {
+        doc.music.playlist = doc.music.playlist.map(asObject);
+    }
+
+    if (typeof doc.theme === 'string') {
+        doc.theme = { preset: doc.theme };
+    }
+
+    if (doc.unlockAt !== undefined) {
+        doc.unlockAt = toEditableUnlock(doc.unlockAt, timeZone);
+    }
+
+    return doc;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+// Drop empty strings, lists and objects, deepest first
+function prune(value) {
+    if (Array.isArray(value)) {
+        return value.map(prune).filter(item => !isEmpty(item));
+    }
+    if (isPlainObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            const pruned = prune(value[key]);
+            if (!isEmpty(pruned)) {
+                result[key] = pruned;
+            }
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Turn the edited document back into a tidy wishes.json: empty fields are
+ * dropped and entries that only have a `src` become plain paths again
+ * @param {Object} doc - Editable document
+ * @returns {Object} Wishes document
+ */
+export function toWishes(doc) {
+    const wishes = prune(doc);
+    const asPath = entry => (isPlainObject(entry) && Object.keys(entry).length === 1 && entry.src ? entry.src : entry);
+
+    if (wishes.gallery) {
+        wishes.gallery = wishes.gallery.map(asPath);
+    }
+
+    if (wishes.music) {
+        const playlist = (wishes.music.playlist || []).map(asPath);
+        if (!playlist.length) {
+            delete wishes.music;
+        } else if (playlist.length === 1 && typeof playlist[0] === 'string' && Object.keys(wishes.music).length === 1) {
+            wishes.music = playlist[0];
+        } else {
+            wishes.music.playlist = playlist;
+        }
+    }
+
+    // An unlock time needs both halves
+    if (wishes.unlockAt && !(wishes.unlockAt.at && wishes.unlockAt.timeZone)) {
+        delete wishes.unlockAt;
+    }
+
+    delete wishes.schemaVersion;
+    return { schemaVersion: WISHES_SCHEMA_VERSION, ...wishes };
+}
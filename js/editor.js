@@ -0,0 +1,640 @@
+// Visual editor: builds a wishes document with a live preview and exports it
+import { createElement, debounce, downloadBlob } from './utils.js';
+import { loadRecipientWishes } from './recipients.js';
+import { validateWishes, getExtension, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS } from './schema.js';
+import { getMediaType } from './gallery.js';
+import { getMediaUrls } from './offline.js';
+import { EDITOR_SECTIONS, getPath, setPath, getEditedLocale, setLocalizedPath, toEditable, toWishes } from './editor-fields.js';
+import { PREVIEW_READY, PREVIEW_WISHES } from './preview.js';
+import { buildSiteZip } from './site-export.js';
+import { createShareLink, ShareLinkError } from './share-link.js';
+import { isEncryptedWishes } from './wishes-crypto.js';
+
+const PREVIEW_URL = 'index.html?preview';
+const PREVIEW_DELAY = 600;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Turn an uploaded file name into a safe, predictable site file name
+ * @param {string} name - Original file name
+ * @returns {string} Lowercase name with only letters, digits, ".", "-" and "_"
+ */
+function toSafeFileName(name) {
+    const safe = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/^[-.]+|-+(?=\.)|-+$/g, '');
+    return safe || 'file';
+}
+
+class WishesEditor {
+    constructor() {
+        this.doc = {};
+        this.uploads = new Map();
+        this.objectUrls = new Map();
+        this.isDirty = false;
+        this.fieldCount = 0;
+        this.dragged = null;
+
+        this.form = document.getElementById('editor-form');
+        this.preview = document.getElementById('editor-preview');
+        this.issuesList = document.getElementById('editor-issues');
+        this.status = document.getElementById('editor-status');
+        this.zipBtn = document.getElementById('editor-export-zip');
+
+        this.schedulePreview = debounce(() => this.reloadPreview(), PREVIEW_DELAY);
+
+        this.setupToolbar();
+        this.setupPreview();
+        this.load();
+    }
+
+    async load() {
+        try {
+            const { data } = await loadRecipientWishes();
+            if (isEncryptedWishes(data)) {
+                this.setDocument({});
+                this.setStatus('The published wishes file is encrypted. Use "Open wishes.json" to load your plain copy.');
+                return;
+            }
+            this.setDocument(data);
+        } catch (error) {
+            console.warn('Starting from an empty surprise:', error);
+            this.setDocument({});
+            this.setStatus('Started a new surprise; the existing wishes file could not be loaded.');
+        }
+    }
+
+    setDocument(wishes) {
+        this.doc = toEditable(wishes);
+        this.render();
+        this.update(false);
+    }
+
+    setupToolbar() {
+        const importInput = document.getElementById('editor-import');
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+
+            try {
+                this.setDocument(JSON.parse(await file.text()));
+                this.setStatus(`Loaded ${file.name}.`);
+            } catch (error) {
+                this.setStatus(`${file.name} isn't valid JSON: ${error.message}`, true);
+            }
+        });
+
+        document.getElementById('editor-export-json').addEventListener('click', () => this.exportJSON());
+        this.zipBtn.addEventListener('click', () => this.exportZip());
+        document.getElementById('editor-refresh').addEventListener('click', () => this.reloadPreview());
+        document.getElementById('editor-share-create').addEventListener('click', () => this.createLink());
+        document.getElementById('editor-share-copy').addEventListener('click', () => this.copyLink());
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isDirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    setupPreview() {
+        // The preview page asks for its data once it has loaded
+        window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin || event.source !== this.preview.contentWindow) return;
+            if (!event.data || event.data.type !== PREVIEW_READY) return;
+
+            this.preview.contentWindow.postMessage({
+                type: PREVIEW_WISHES,
+                data: this.toPreviewData(this.getWishes())
+            }, window.location.origin);
+        });
+    }
+
+    reloadPreview() {
+        this.preview.src = PREVIEW_URL;
+    }
+
+    getWishes() {
+        return toWishes(this.doc);
+    }
+
+    /**
+     * Point uploaded files at in-memory copies so the preview can show them
+     * before they exist on the site
+     */
+    toPreviewData(wishes) {
+        const data = JSON.parse(JSON.stringify(wishes));
+
+        // Blob URLs have no extension, so say what kind of media each one is
+        const withType = (entry) => {
+            if (typeof entry === 'string') entry = { src: entry };
+            return this.uploads.has(entry.src) ? { ...entry, type: getMediaType(entry) } : entry;
+        };
+        if (data.gallery) {
+            data.gallery = data.gallery.map(withType);
+        }
+        if (data.flyingPhoto && data.flyingPhoto.src) {
+            data.flyingPhoto = withType(data.flyingPhoto);
+        }
+
+        return JSON.parse(JSON.stringify(data), (key, value) =>
+            (typeof value === 'string' && this.objectUrls.has(value) ? this.objectUrls.get(value) : value));
+    }
+
+    resolveUrl(path) {
+        return this.objectUrls.get(path) || path;
+    }
+
+    /**
+     * Keep a chosen file in memory under the site path it will be exported to
+     * @param {File} file - File picked or dropped by the user
+     * @param {string} folder - Site folder, e.g. "assets/images"
+     * @returns {string} Site path used in the wishes document
+     */
+    addUpload(file, folder) {
+        const name = toSafeFileName(file.name);
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+
+        let path = `${folder}/${name}`;
+        for (let n = 2; this.uploads.has(path) && this.uploads.get(path) !== file; n++) {
+            path = `${folder}/${base}-${n}${ext}`;
+        }
+
+        this.uploads.set(path, file);
+        if (!this.objectUrls.has(path)) {
+            this.objectUrls.set(path, URL.createObjectURL(file));
+        }
+        return path;
+    }
+
+    /**
+     * Record an edit: revalidate and refresh the preview
+     * @param {boolean} dirty - Whether this is a change the user hasn't exported yet
+     */
+    update(dirty = true) {
+        this.isDirty = this.isDirty || dirty;
+        this.renderIssues(validateWishes(this.getWishes()).issues);
+        this.schedulePreview();
+    }
+
+    renderIssues(issues) {
+        this.issuesList.innerHTML = '';
+
+        if (!issues.length) {
+            this.issuesList.appendChild(createElement('li', {
+                className: 'editor-issue ok',
+                textContent: 'Everything looks good ✓'
+            }));
+            return;
+        }
+
+        issues.forEach(issue => {
+            const item = createElement('li', { className: `editor-issue ${issue.severity}` });
+            item.appendChild(createElement('code', { textContent: issue.path }));
+            item.appendChild(document.createTextNode(` ${issue.message}`));
+            this.issuesList.appendChild(item);
+        });
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    render() {
+        this.form.innerHTML = '';
+
+        EDITOR_SECTIONS.forEach((section, index) => {
+            const details = createElement('details', { className: 'editor-section' });
+            details.open = index === 0;
+            details.appendChild(createElement('summary', { textContent: section.title }));
+
+            section.fields.forEach(field => {
+                details.appendChild(this.renderField(field, this.doc));
+            });
+            this.form.appendChild(details);
+        });
+    }
+
+    /**
+     * Build the control for one field
+     * @param {Object} field - Field from EDITOR_SECTIONS
+     * @param {Object} target - Object the field's path is relative to
+     * @returns {HTMLElement} Control, wrapped with its label
+     */
+    renderField(field, target) {
+        if (field.type === 'list') {
+            return this.renderList(field, target);
+        }
+
+        const id = `editor-field-${++this.fieldCount}`;
+        const wrapper = createElement('div', { className: `editor-field editor-field-${field.type}` });
+        const label = createElement('label', { for: id, textContent: field.label });
+        let value = getPath(target, field.path);
+        let write = (newValue) => {
+            setPath(target, field.path, newValue);
+            this.update();
+        };
+
+        // Per-language text: edit the surprise's own language, keep the rest
+        const locale = getEditedLocale(value, this.doc.locale);
+        if (locale) {
+            value = value[locale];
+            label.textContent = `${field.label} (${locale})`;
+            write = (newValue) => {
+                setLocalizedPath(target, field.path, locale, newValue);
+                this.update();
+            };
+        }
+
+        let control;
+        switch (field.type) {
+            case 'checkbox': {
+                control = createElement('input', { type: 'checkbox', id });
+                control.checked = value === undefined ? field.default : Boolean(value);
+                control.addEventListener('change', () => {
+                    const current = getPath(target, field.path);
+                    if (control.checked === field.default) {
+                        write(undefined);
+                    } else {
+                        // Keep a custom value (e.g. topper text) when re-checked
+                        write(control.checked ? (current || true) : false);
+                    }
+                });
+                wrapper.appendChild(control);
+                wrapper.appendChild(label);
+                return wrapper;
+            }
+            case 'number': {
+                const shown = value === true ? field.trueValue : value;
+                control = createElement('input', { type: 'number', id, inputmode: 'decimal' });
+                ['min', 'max', 'step', 'placeholder'].forEach(key => {
+                    if (field[key] !== undefined) control.setAttribute(key, field[key]);
+                });
+                control.value = typeof shown === 'number' ? shown : '';
+                control.addEventListener('input', () => {
+                    const number = control.value === '' ? NaN : Number(control.value);
+                    write(Number.isFinite(number) ? number : undefined);
+                });
+                break;
+            }
+            case 'select': {
+                control = createElement('select', { id });
+                field.options.forEach(([optionValue, optionLabel]) => {
+                    control.appendChild(createElement('option', { value: optionValue, textContent: optionLabel }));
+                });
+                control.value = value || '';
+                control.addEventListener('change', () => write(control.value || undefined));
+                break;
+            }
+            case 'textarea':
+                control = createElement('textarea', { id, rows: field.path === 'message' ? 8 : 3 });
+                control.value = value || '';
+                control.addEventListener('input', () => write(control.value.trim() ? control.value : undefined));
+                break;
+            case 'color':
+                control = this.renderColor(id, value, write);
+                break;
+            case 'media':
+                control = this.renderMedia(id, field, value, write);
+                break;
+            default: {
+                const types = { date: 'date', datetime: 'datetime-local' };
+                control = createElement('input', { type: types[field.type] || 'text', id });
+                if (field.placeholder) control.setAttribute('placeholder', field.placeholder);
+                control.value = value || '';
+                control.addEventListener('input', () => write(control.value.trim() ? control.value : undefined));
+            }
+        }
+
+        if (field.required) {
+            label.appendChild(createElement('span', { className: 'editor-required', 'aria-hidden': 'true', textContent: ' *' }));
+            (control.querySelector('input') || control).setAttribute('aria-required', 'true');
+        }
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(control);
+        return wrapper;
+    }
+
+    // A hex text box (which can be left empty) paired with the native picker
+    renderColor(id, value, write) {
+        const group = createElement('div', { className: 'editor-color' });
+        const text = createElement('input', { type: 'text', id, placeholder: '#rrggbb', maxlength: 7, spellcheck: 'false' });
+        const picker = createElement('input', { type: 'color', 'aria-label': 'Pick a colour' });
+
+        text.value = value || '';
+        picker.value = HEX_COLOR.test(value || '') && value.length === 7 ? value : '#ffffff';
+
+        text.addEventListener('input', () => {
+            const hex = text.value.trim();
+            if (!hex) {
+                write(undefined);
+            } else if (HEX_COLOR.test(hex)) {
+                if (hex.length === 7) picker.value = hex;
+                write(hex);
+            }
+        });
+        picker.addEventListener('input', () => {
+            text.value = picker.value;
+            write(picker.value);
+        });
+
+        group.appendChild(text);
+        group.appendChild(picker);
+        return group;
+    }
+
+    renderMedia(id, field, value, write) {
+        const group = createElement('div', { className: 'editor-media' });
+        const row = createElement('div', { className: 'editor-media-row' });
+        const path = createElement('input', { type: 'text', id, placeholder: `${field.folder}/…`, spellcheck: 'false' });
+        const pick = createElement('label', { className: 'editor-button', textContent: 'Choose file' });
+        const file = createElement('input', { type: 'file', accept: field.accept, className: 'sr-only' });
+        const thumb = createElement('div', { className: 'editor-thumb' });
+
+        const showThumb = (src) => {
+            thumb.innerHTML = '';
+            if (!src) return;
+
+            const url = this.resolveUrl(src);
+            if (field.kind === 'audio') {
+                thumb.appendChild(createElement('audio', { controls: '', preload: 'none', src: url }));
+            } else if (VIDEO_EXTENSIONS.includes(getExtension(src))) {
+                thumb.appendChild(createElement('video', { muted: '', preload: 'metadata', src: url }));
+            } else if (IMAGE_EXTENSIONS.includes(getExtension(src))) {
+                thumb.appendChild(createElement('img', { alt: '', src: url }));
+            }
+        };
+
+        path.value = value || '';
+        path.addEventListener('change', () => {
+            const src = path.value.trim();
+            showThumb(src);
+            write(src || undefined);
+        });
+        file.addEventListener('change', () => {
+            if (!file.files[0]) return;
+            const src = this.addUpload(file.files[0], field.folder);
+            file.value = '';
+            path.value = src;
+            showThumb(src);
+            write(src);
+        });
+
+        pick.appendChild(file);
+        row.appendChild(path);
+        row.appendChild(pick);
+        group.appendChild(row);
+        group.appendChild(thumb);
+        showThumb(value);
+        return group;
+    }
+
+    renderList(field, target) {
+        const wrapper = createElement('fieldset', { className: 'editor-list' });
+        wrapper.appendChild(createElement('legend', { textContent: field.label }));
+        const items = createElement('ol', { className: 'editor-list-items' });
+        wrapper.appendChild(items);
+
+        const getItems = () => {
+            let list = getPath(target, field.path);
+            if (!Array.isArray(list)) {
+                list = [];
+                setPath(target, field.path, list);
+            }
+            return list;
+        };
+
+        const rebuild = () => {
+            items.innerHTML = '';
+            const list = getItems();
+            list.forEach((item, index) => items.appendChild(this.renderListItem(field, list, index, rebuild)));
+            addBtn.disabled = Boolean(field.max) && list.length >= field.max;
+        };
+
+        const controls = createElement('div', { className: 'editor-list-controls' });
+        const addBtn = createElement('button', { type: 'button', className: 'editor-button', textContent: `Add ${field.itemLabel}` });
+        addBtn.addEventListener('click', () => {
+            getItems().push({});
+            rebuild();
+            this.update();
+            const last = items.lastElementChild;
+            const input = last && last.querySelector('input, textarea, select');
+            if (input) input.focus();
+        });
+        controls.appendChild(addBtn);
+
+        if (field.dropFiles) {
+            const mediaField = field.fields.find(itemField => itemField.type === 'media');
+            const addFiles = (files) => {
+                const list = getItems();
+                Array.from(files).forEach(file => {
+                    list.push({ [mediaField.path]: this.addUpload(file, mediaField.folder) });
+                });
+                rebuild();
+                this.update();
+            };
+
+            const pick = createElement('label', { className: 'editor-button', textContent: `Add ${field.itemLabel}s from files` });
+            const input = createElement('input', { type: 'file', accept: mediaField.accept, multiple: '', className: 'sr-only' });
+            input.addEventListener('change', () => {
+                addFiles(input.files);
+                input.value = '';
+            });
+            pick.appendChild(input);
+            controls.appendChild(pick);
+            controls.appendChild(createElement('span', { className: 'editor-hint', textContent: 'or drop files here' }));
+
+            // Files dragged in from the desktop (item reordering is handled per item)
+            wrapper.addEventListener('dragover', (e) => {
+                if (this.dragged || !e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                wrapper.classList.add('is-drop-target');
+            });
+            wrapper.addEventListener('dragleave', () => wrapper.classList.remove('is-drop-target'));
+            wrapper.addEventListener('drop', (e) => {
+                wrapper.classList.remove('is-drop-target');
+                if (this.dragged || !e.dataTransfer.files.length) return;
+                e.preventDefault();
+                addFiles(e.dataTransfer.files);
+            });
+        }
+
+        wrapper.appendChild(controls);
+        rebuild();
+        return wrapper;
+    }
+
+    renderListItem(field, list, index, rebuild) {
+        const item = createElement('li', { className: 'editor-list-item' });
+        const header = createElement('div', { className: 'editor-list-header' });
+        const title = `${field.itemLabel[0].toUpperCase()}${field.itemLabel.slice(1)} ${index + 1}`;
+
+        const handle = createElement('span', {
+            className: 'editor-drag-handle',
+            draggable: 'true',
+            title: 'Drag to reorder',
+            'aria-hidden': 'true',
+            textContent: '⠿'
+        });
+        header.appendChild(handle);
+        header.appendChild(createElement('strong', { textContent: title }));
+
+        const move = (to) => {
+            const [moved] = list.splice(index, 1);
+            list.splice(to, 0, moved);
+            rebuild();
+            this.update();
+        };
+
+        const buttons = [
+            ['↑', `Move ${title} up`, () => move(index - 1), index === 0],
+            ['↓', `Move ${title} down`, () => move(index + 1), index === list.length - 1],
+            ['✕', `Remove ${title}`, () => {
+                list.splice(index, 1);
+                rebuild();
+                this.update();
+            }, false]
+        ];
+        buttons.forEach(([text, label, action, disabled]) => {
+            const button = createElement('button', { type: 'button', className: 'editor-icon-button', 'aria-label': label, textContent: text });
+            button.disabled = disabled;
+            button.addEventListener('click', action);
+            header.appendChild(button);
+        });
+        item.appendChild(header);
+
+        field.fields.forEach(itemField => item.appendChild(this.renderField(itemField, list[index])));
+
+        // Drag and drop reordering within this list
+        handle.addEventListener('dragstart', (e) => {
+            this.dragged = { list, index };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', title);
+            e.dataTransfer.setDragImage(item, 16, 16);
+            item.classList.add('is-dragging');
+        });
+        handle.addEventListener('dragend', () => {
+            this.dragged = null;
+            item.classList.remove('is-dragging');
+        });
+        item.addEventListener('dragover', (e) => {
+            if (!this.dragged || this.dragged.list !== list) return;
+            e.preventDefault();
+            item.classList.add('is-drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('is-drop-target'));
+        item.addEventListener('drop', (e) => {
+            item.classList.remove('is-drop-target');
+            if (!this.dragged || this.dragged.list !== list) return;
+            e.preventDefault();
+            const from = this.dragged.index;
+            this.dragged = null;
+            if (from !== index) {
+                const [moved] = list.splice(from, 1);
+                list.splice(index, 0, moved);
+                rebuild();
+                this.update();
+            }
+        });
+
+        return item;
+    }
+
+    // Uploaded files the document still uses
+    getUsedUploads(wishes) {
+        const used = new Set(getMediaUrls(wishes));
+        return [...this.uploads.keys()].filter(path => used.has(path));
+    }
+
+    exportJSON() {
+        const wishes = this.getWishes();
+        downloadBlob(new Blob([JSON.stringify(wishes, null, 4) + '\n'], { type: 'application/json' }), 'wishes.json');
+        this.isDirty = false;
+
+        const uploads = this.getUsedUploads(wishes);
+        this.setStatus(uploads.length
+            ? `Saved wishes.json. Also copy these files into your site: ${uploads.join(', ')}`
+            : 'Saved wishes.json. Put it in database/ to publish it.');
+    }
+
+    async createLink() {
+        const note = document.getElementById('editor-share-note');
+        const output = document.getElementById('editor-share-url');
+        const copyBtn = document.getElementById('editor-share-copy');
+        const passphrase = document.getElementById('editor-share-passphrase').value;
+        const wishes = this.getWishes();
+        const notes = [];
+
+        output.value = '';
+        copyBtn.disabled = true;
+        note.classList.remove('error');
+
+        try {
+            const { url, warning } = await createShareLink(wishes, {
+                baseUrl: new URL('index.html', window.location.href).href,
+                passphrase
+            });
+            output.value = url;
+            copyBtn.disabled = false;
+
+            if (warning) notes.push(warning);
+            const uploads = this.getUsedUploads(wishes);
+            if (uploads.length) {
+                notes.push(`Files you added aren't inside the link; upload them to this site first: ${uploads.join(', ')}`);
+            }
+            if (passphrase) {
+                notes.push('Send the passphrase separately from the link.');
+            }
+            note.textContent = notes.join(' ') || `Link ready (${url.length.toLocaleString()} characters).`;
+        } catch (error) {
+            console.error('Share link failed:', error);
+            note.textContent = error instanceof ShareLinkError ? error.message : `Couldn't create the link: ${error.message}`;
+            note.classList.add('error');
+        }
+    }
+
+    async copyLink() {
+        const output = document.getElementById('editor-share-url');
+        try {
+            await navigator.clipboard.writeText(output.value);
+            document.getElementById('editor-share-note').textContent = 'Link copied.';
+        } catch (error) {
+            // Clipboard access can be refused; leave the link selected to copy by hand
+            output.select();
+        }
+    }
+
+    async exportZip() {
+        this.zipBtn.disabled = true;
+        this.setStatus('Packing the site…');
+
+        try {
+            const wishes = this.getWishes();
+            const { blob, missing } = await buildSiteZip(wishes, this.uploads, (done, total) => {
+                this.setStatus(`Packing the site… ${done} of ${total} files`);
+            });
+            downloadBlob(blob, 'birthday-surprise.zip');
+            this.isDirty = false;
+
+            this.setStatus(missing.length
+                ? `Saved birthday-surprise.zip, but these files weren't found and are missing from it: ${missing.join(', ')}`
+                : 'Saved birthday-surprise.zip. Unzip it and upload the folder to any static host.', missing.length > 0);
+        } catch (error) {
+            console.error('Site export failed:', error);
+            this.setStatus(`Couldn't pack the site: ${error.message}`, true);
+        } finally {
+            this.zipBtn.disabled = false;
+        }
+    }
+}
+
+new WishesEditor();
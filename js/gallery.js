@@ -0,0 +1,157 @@
+// Gallery entry helpers and media elements
+import { formatDate, createElement } from './utils.js';
+import { getExtension, VIDEO_EXTENSIONS } from './schema.js';
+import { t } from './i18n.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ANIMATED_EXTENSIONS = ['gif', 'apng'];
+
+// Used when wishes.json has no flyingPhoto block
+export const FLYING_PHOTO_DEFAULTS = {
+    src: 'assets/images/flying-photo.webp',
+    placeholder: 'assets/images/flying-photo-lqip.jpg',
+    alt: 'Special memory'
+};
+
+/**
+ * Format a gallery date for display
+ * @param {string} value - ISO date ("2024-06-12") or date/time
+ * @returns {string} Formatted date, or an empty string if unparseable
+ */
+export function formatGalleryDate(value) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+
+    // Date-only strings are parsed as UTC midnight; keep them on the same day
+    return formatDate(date, DATE_ONLY.test(value) ? { timeZone: 'UTC' } : {});
+}
+
+/**
+ * Work out how a media entry should be rendered
+ * @param {{src: string, type: string}} item - Entry with an optional explicit type
+ * @returns {string} 'video', 'animated' or 'image'
+ */
+export function getMediaType(item) {
+    if (item.type) return item.type;
+
+    const extension = getExtension(item.src);
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (ANIMATED_EXTENSIONS.includes(extension)) return 'animated';
+    return 'image';
+}
+
+/**
+ * Turn a gallery entry (a path or an object) into a uniform object
+ * @param {string|Object} entry - Entry from wishes.json
+ * @param {number} index - Position in the gallery
+ * @returns {{src: string, type: string, poster: string, alt: string, caption: string, date: string}}
+ *   Normalized entry; `date` is already formatted for display
+ */
+export function normalizeGalleryItem(entry, index) {
+    const item = typeof entry === 'string' ? { src: entry } : entry;
+
+    return {
+        src: item.src,
+        type: getMediaType(item),
+        poster: item.poster || '',
+        alt: item.alt || item.caption || t('gallery.memory', { number: index + 1 }),
+        caption: item.caption || '',
+        date: formatGalleryDate(item.date)
+    };
+}
+
+/**
+ * Create the element that displays a media entry.
+ *
+ * Videos are muted, inline and loaded only when `lazy` is false or the
+ * element is later passed to observeVideos(). Under reduced motion videos
+ * don't autoplay and animated images show their poster if they have one.
+ * @param {Object} item - Normalized entry
+ * @param {Object} options - Options
+ * @param {string} options.className - Class for the element
+ * @param {string} options.alt - Alternative text (defaults to item.alt)
+ * @param {boolean} options.lazy - Defer loading until scrolled into view
+ * @param {boolean} options.controls - Show native video controls
+ * @param {boolean} options.reducedMotion - Whether motion should be avoided
+ * @returns {HTMLElement} img or video element
+ */
+export function createMediaElement(item, options = {}) {
+    const { className = '', alt = item.alt, lazy = false, controls = false, reducedMotion = false } = options;
+
+    if (item.type === 'video') {
+        const video = createElement('video', {
+            className,
+            preload: 'none',
+            playsinline: '',
+            'webkit-playsinline': '',
+            loop: ''
+        });
+        video.muted = true;
+        video.defaultMuted = true;
+        video.controls = controls;
+        video.dataset.autoplay = reducedMotion ? 'false' : 'true';
+
+        if (item.poster) {
+            video.poster = item.poster;
+        }
+        if (alt) {
+            video.setAttribute('aria-label', alt);
+        }
+
+        if (lazy) {
+            video.dataset.src = item.src;
+        } else {
+            video.src = item.src;
+            video.preload = 'metadata';
+        }
+        return video;
+    }
+
+    // A still poster stands in for animated images when motion is reduced
+    const src = item.type === 'animated' && reducedMotion && item.poster ? item.poster : item.src;
+    const img = createElement('img', { className, src, alt: alt || '' });
+    if (lazy) {
+        img.setAttribute('loading', 'lazy');
+    }
+    return img;
+}
+
+/**
+ * Load lazy videos as they approach the viewport and play them only while visible
+ * @param {HTMLVideoElement[]} videos - Videos created with `lazy: true`
+ * @returns {IntersectionObserver|null} Observer, or null when unsupported
+ */
+export function observeVideos(videos) {
+    const load = (video) => {
+        if (video.dataset.src) {
+            video.src = video.dataset.src;
+            video.removeAttribute('data-src');
+            video.preload = 'metadata';
+        }
+    };
+
+    if (!('IntersectionObserver' in window)) {
+        videos.forEach(load);
+        return null;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            const video = entry.target;
+
+            if (entry.isIntersecting) {
+                load(video);
+                if (video.dataset.autoplay === 'true') {
+                    video.play().catch(() => {});
+                }
+            } else if (!video.paused) {
+                video.pause();
+            }
+        });
+    }, { rootMargin: '200px 0px' });
+
+    videos.forEach(video => observer.observe(video));
+    return observer;
+}
\ No newline at end of file
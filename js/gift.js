@@ -0,0 +1,178 @@
+// Gift box: the `gift` setting, its opening stages and the 3D model
+import { scaleSegments } from './quality.js';
+import { prefersReducedMotion } from './utils.js';
+
+/**
+ * Opening a gift takes two goes: pull the ribbon, then lift the lid.
+ * "gift:opened" is dispatched on reaching "open"
+ */
+export const GIFT_STAGES = ['wrapped', 'untied', 'open'];
+
+const BOX_SIZE = 0.7;
+const BOX_HEIGHT = 0.55;
+const LID_OVERHANG = 0.04;
+const LID_HEIGHT = 0.14;
+const RIBBON_WIDTH = 0.12;
+// In front of the bottom tier and a little to one side, so portrait screens still see it
+const CAKE_GAP = 0.55;
+const SIDE_OFFSET = 0.7;
+
+/**
+ * Normalize the `gift` setting
+ * @param {Object|undefined} gift - { title, text, image, alt, code, color, ribbon } (localized)
+ * @returns {Object|null} Gift with every field present, or null when there's nothing inside
+ */
+export function normalizeGift(gift) {
+    if (!gift || !(gift.text || gift.image || gift.code)) return null;
+
+    return {
+        title: gift.title || '',
+        text: gift.text || '',
+        image: gift.image || null,
+        alt: gift.alt || '',
+        code: gift.code || '',
+        color: gift.color || null,
+        ribbon: gift.ribbon || null
+    };
+}
+
+/**
+ * The stage after this one
+ * @param {string} stage - One of GIFT_STAGES
+ * @returns {string} Next stage ("open" stays open)
+ */
+export function nextGiftStage(stage) {
+    const index = GIFT_STAGES.indexOf(stage);
+    return GIFT_STAGES[Math.min(index + 1, GIFT_STAGES.length - 1)];
+}
+
+// Ease a value from 0 to 1 over `duration` ms; instant for reduced motion
+function tween(duration, step) {
+    if (prefersReducedMotion()) {
+        step(1);
+        return;
+    }
+
+    const startTime = Date.now();
+    function frame() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        step(1 - Math.pow(1 - progress, 3));
+        if (progress < 1) {
+            requestAnimationFrame(frame);
+        }
+    }
+    frame();
+}
+
+/**
+ * A wrapped box with a ribbon and bow in front of the cake, hidden until show()
+ * @param {Object} THREE - Three.js module
+ * @param {Object} gift - Result of normalizeGift()
+ * @param {Object} palette - Theme palette
+ * @param {Object} cake - Result of normalizeCake(), to stand in front of it
+ * @param {number} detail - Quality tier detail
+ * @returns {Object} { group, stage, show(), advance(), update(time), setPalette(palette) }
+ */
+export function createGiftModel(THREE, gift, palette, cake, detail = 1) {
+    const group = new THREE.Group();
+    group.name = 'gift';
+    group.position.set(SIDE_OFFSET, 0, cake.tiers[0].radius + CAKE_GAP);
+    group.rotation.y = -0.4;
+    group.visible = false;
+
+    const boxMaterial = new THREE.MeshLambertMaterial({ color: gift.color || palette.primary });
+    const ribbonMaterial = new THREE.MeshLambertMaterial({
+        color: gift.ribbon || palette.frosting,
+        transparent: true
+    });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(BOX_SIZE, BOX_HEIGHT, BOX_SIZE), boxMaterial);
+    body.position.y = BOX_HEIGHT / 2;
+    group.add(body);
+
+    // The lid hinges on its back edge
+    const lidSize = BOX_SIZE + LID_OVERHANG * 2;
+    const lid = new THREE.Group();
+    lid.position.set(0, BOX_HEIGHT, -lidSize / 2);
+    const lidMesh = new THREE.Mesh(new THREE.BoxGeometry(lidSize, LID_HEIGHT, lidSize), boxMaterial);
+    lidMesh.position.set(0, LID_HEIGHT / 2, lidSize / 2);
+    lid.add(lidMesh);
+    group.add(lid);
+
+    // Two bands round the box and lid, and a bow on top
+    const ribbon = new THREE.Group();
+    const bandHeight = BOX_HEIGHT + LID_HEIGHT + 0.02;
+    [[BOX_SIZE + 0.02, RIBBON_WIDTH], [RIBBON_WIDTH, BOX_SIZE + 0.02]].forEach(([width, depth]) => {
+        const band = new THREE.Mesh(new THREE.BoxGeometry(width + LID_OVERHANG * 2, bandHeight, depth + LID_OVERHANG * 2),
+            ribbonMaterial);
+        band.position.y = bandHeight / 2;
+        ribbon.add(band);
+    });
+
+    const bow = new THREE.Group();
+    bow.position.y = bandHeight + 0.06;
+    const loopGeometry = new THREE.TorusGeometry(0.1, 0.03,
+        scaleSegments(8, detail, 4), scaleSegments(16, detail, 8));
+    [-1, 1].forEach(side => {
+        const loop = new THREE.Mesh(loopGeometry, ribbonMaterial);
+        loop.position.x = side * 0.1;
+        loop.rotation.set(Math.PI / 2, side * 0.5, 0);
+        bow.add(loop);
+    });
+    bow.add(new THREE.Mesh(new THREE.SphereGeometry(0.05, scaleSegments(8, detail, 5), scaleSegments(6, detail, 4)),
+        ribbonMaterial));
+    ribbon.add(bow);
+    group.add(ribbon);
+
+    group.traverse(child => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.userData = { interactive: true, gift: true };
+        }
+    });
+
+    let stage = GIFT_STAGES[0];
+
+    return {
+        group,
+        get stage() {
+            return stage;
+        },
+        show() {
+            if (group.visible) return;
+            group.visible = true;
+            tween(500, progress => group.scale.setScalar(Math.max(0.01, progress)));
+        },
+        /**
+         * Pull the ribbon, or lift the lid once it's untied
+         * @returns {string} The new stage
+         */
+        advance() {
+            if (stage === 'wrapped') {
+                stage = 'untied';
+                group.rotation.z = 0;
+                tween(700, progress => {
+                    bow.position.y = bandHeight + 0.06 + progress * 0.6;
+                    ribbonMaterial.opacity = 1 - progress;
+                    if (progress === 1) ribbon.visible = false;
+                });
+            } else if (stage === 'untied') {
+                stage = 'open';
+                tween(900, progress => {
+                    lid.rotation.x = -progress * 1.9;
+                    lid.position.y = BOX_HEIGHT + progress * 0.15;
+                });
+            }
+            return stage;
+        },
+        // A small wobble invites a tap while it's still wrapped
+        update(time) {
+            if (!group.visible || stage !== 'wrapped' || prefersReducedMotion()) return;
+            group.rotation.z = Math.sin(time * 4) * 0.04 * Math.max(0, Math.sin(time * 1.3));
+        },
+        setPalette(next) {
+            if (!gift.color) boxMaterial.color.set(next.primary);
+            if (!gift.ribbon) ribbonMaterial.color.set(next.frosting);
+        }
+    };
+}
@@ -0,0 +1,91 @@
+// Storage adapters for the guestbook contributor page
+
+const DEFAULT_ENDPOINT = 'api/guestbook';
+
+/**
+ * Error raised when an adapter can't save an entry; `message` is safe to show
+ */
+export class GuestbookStorageError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'GuestbookStorageError';
+        this.status = status;
+    }
+}
+
+/**
+ * Default adapter: the small Node endpoint in tools/guestbook-server.mjs,
+ * which writes entries into the recipient's wishes JSON file.
+ *
+ * Every adapter has the same shape:
+ *   list(): Promise<Array<Object>> - entries already in the guestbook
+ *   add(entry): Promise<Object> - save { author, message, avatar? } and return the stored entry
+ */
+export class JsonFileStorage {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.endpoint - Endpoint URL, relative to the page
+     * @param {string|null} options.recipient - Recipient slug, or null for the default
+     */
+    constructor({ endpoint = DEFAULT_ENDPOINT, recipient = null } = {}) {
+        this.url = new URL(endpoint, window.location.href);
+        if (recipient) {
+            this.url.searchParams.set('for', recipient);
+        }
+    }
+
+    async request(options = {}) {
+        let response;
+        try {
+            response = await fetch(this.url, {
+                headers: { 'Content-Type': 'application/json' },
+                ...options
+            });
+        } catch (error) {
+            throw new GuestbookStorageError('Could not reach the guestbook server. Is it running?');
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new GuestbookStorageError(body.error || `Saving failed (HTTP ${response.status})`,
+                response.status);
+        }
+        return body;
+    }
+
+    async list() {
+        const body = await this.request();
+        return body.entries || [];
+    }
+
+    async add(entry) {
+        const body = await this.request({ method: 'POST', body: JSON.stringify(entry) });
+        return body.entry;
+    }
+}
+
+const adapters = new Map([['json-file', JsonFileStorage]]);
+
+/**
+ * Make another storage adapter available to the contributor page
+ * @param {string} name - Name used in `?storage=<name>`
+ * @param {Function} Adapter - Class taking ({ recipient }) with list() and add(entry)
+ */
+export function registerStorageAdapter(name, Adapter) {
+    adapters.set(name, Adapter);
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string} name - Registered adapter name
+ * @param {Object} options - Passed to the adapter's constructor
+ * @returns {Object} Adapter instance
+ * @throws {GuestbookStorageError} When no adapter has that name
+ */
+export function createStorageAdapter(name = 'json-file', options = {}) {
+    const Adapter = adapters.get(name);
+    if (!Adapter) {
+        throw new GuestbookStorageError(`Unknown guestbook storage "${name}"`);
+    }
+    return new Adapter(options);
+}
@@ -0,0 +1,198 @@
+// Guestbook: wishes from friends, shown as a card-stack carousel
+import { createElement, isRightToLeft } from './utils.js';
+import { formatGalleryDate } from './gallery.js';
+import { t } from './i18n.js';
+
+const SWIPE_DISTANCE = 50;
+
+/**
+ * Initials for entries without an avatar
+ * @param {string} author - Author name
+ * @returns {string} Up to two initials
+ */
+export function getInitials(author) {
+    return author
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map(word => Array.from(word)[0].toUpperCase())
+        .join('');
+}
+
+/**
+ * Carousel of guestbook cards with buttons, dots, arrow keys and swipe.
+ * Only the current card is exposed to assistive technology; the others are
+ * stacked behind it.
+ */
+export class GuestbookCarousel {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {Array<Object>} entries - Validated guestbook entries
+     */
+    constructor(container, entries) {
+        this.container = container;
+        this.entries = entries;
+        this.index = 0;
+        this.touchStartX = null;
+        this.touchStartY = null;
+
+        this.build();
+        this.show(0);
+    }
+
+    build() {
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', t('guestbook.carousel'));
+
+        this.track = createElement('div', { className: 'guestbook-track' });
+        this.cards = this.entries.map((entry, index) => {
+            const card = this.createCard(entry, index);
+            this.track.appendChild(card);
+            return card;
+        });
+
+        const controls = createElement('div', { className: 'guestbook-controls' });
+        this.prevBtn = createElement('button', {
+            className: 'guestbook-nav',
+            type: 'button',
+            'aria-label': t('guestbook.previous'),
+            textContent: '‹'
+        });
+        this.nextBtn = createElement('button', {
+            className: 'guestbook-nav',
+            type: 'button',
+            'aria-label': t('guestbook.next'),
+            textContent: '›'
+        });
+        this.dots = createElement('div', { className: 'guestbook-dots' });
+        this.dotButtons = this.entries.map((entry, index) => {
+            const dot = createElement('button', {
+                className: 'guestbook-dot',
+                type: 'button',
+                'aria-label': t('guestbook.from', { author: entry.author })
+            });
+            dot.addEventListener('click', () => this.show(index));
+            this.dots.appendChild(dot);
+            return dot;
+        });
+
+        controls.appendChild(this.prevBtn);
+        controls.appendChild(this.dots);
+        controls.appendChild(this.nextBtn);
+
+        this.status = createElement('p', { className: 'sr-only', 'aria-live': 'polite' });
+
+        this.container.appendChild(this.track);
+        if (this.entries.length > 1) {
+            this.container.appendChild(controls);
+        }
+        this.container.appendChild(this.status);
+
+        this.prevBtn.addEventListener('click', () => this.show(this.index - 1));
+        this.nextBtn.addEventListener('click', () => this.show(this.index + 1));
+
+        // Arrows and swipes follow the reading direction
+        this.container.addEventListener('keydown', (e) => {
+            const forward = isRightToLeft(this.container) ? -1 : 1;
+            if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.show(this.index + forward);
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.show(this.index - forward);
+            }
+        });
+
+        this.track.addEventListener('touchstart', (e) => {
+            this.touchStartX = e.touches[0].clientX;
+            this.touchStartY = e.touches[0].clientY;
+        }, { passive: true });
+
+        this.track.addEventListener('touchend', (e) => {
+            if (this.touchStartX === null) return;
+
+            const dx = e.changedTouches[0].clientX - this.touchStartX;
+            const dy = e.changedTouches[0].clientY - this.touchStartY;
+            this.touchStartX = this.touchStartY = null;
+
+            // Only mostly-horizontal swipes navigate
+            if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                const forward = isRightToLeft(this.container) ? -1 : 1;
+                this.show(this.index + (dx < 0 ? forward : -forward));
+            }
+        });
+    }
+
+    createCard(entry, index) {
+        const card = createElement('article', {
+            className: 'guestbook-card',
+            role: 'group',
+            'aria-roledescription': t('guestbook.slide'),
+            'aria-label': t('guestbook.slideOf', { number: index + 1, total: this.entries.length })
+        });
+
+        const header = createElement('header', { className: 'guestbook-author' });
+        if (entry.avatar) {
+            header.appendChild(createElement('img', {
+                className: 'guestbook-avatar',
+                src: entry.avatar,
+                alt: '',
+                loading: 'lazy',
+                decoding: 'async'
+            }));
+        } else {
+            header.appendChild(createElement('span', {
+                className: 'guestbook-avatar guestbook-initials',
+                'aria-hidden': 'true',
+                textContent: getInitials(entry.author)
+            }));
+        }
+
+        const byline = createElement('div');
+        byline.appendChild(createElement('p', { className: 'guestbook-name', textContent: entry.author }));
+        const date = formatGalleryDate(entry.date);
+        if (date) {
+            byline.appendChild(createElement('p', { className: 'guestbook-date', textContent: date }));
+        }
+        header.appendChild(byline);
+
+        card.appendChild(header);
+        // Friends may write in any language, whatever the page's
+        card.appendChild(createElement('blockquote', {
+            className: 'guestbook-message',
+            dir: 'auto',
+            textContent: entry.message
+        }));
+        return card;
+    }
+
+    /**
+     * Bring a card to the front, wrapping around at either end
+     * @param {number} index - Card to show
+     */
+    show(index) {
+        const count = this.entries.length;
+        this.index = ((index % count) + count) % count;
+
+        this.cards.forEach((card, i) => {
+            // Position in the stack: 0 is the front card
+            const depth = (i - this.index + count) % count;
+            card.style.setProperty('--stack-depth', Math.min(depth, 3));
+            card.classList.toggle('is-current', depth === 0);
+            card.toggleAttribute('inert', depth !== 0);
+            card.setAttribute('aria-hidden', depth === 0 ? 'false' : 'true');
+        });
+
+        this.dotButtons.forEach((dot, i) => {
+            dot.setAttribute('aria-current', i === this.index ? 'true' : 'false');
+        });
+
+        if (count > 1) {
+            this.status.textContent = t('guestbook.status', {
+                number: this.index + 1,
+                total: count,
+                author: this.entries[this.index].author
+            });
+        }
+    }
+}
@@ -0,0 +1,269 @@
+// Localization: UI strings from js/locales/, per-locale wishes text and text direction
+import en from './locales/en.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages with a UI bundle in js/locales/ (missing keys fall back to English)
+export const UI_LOCALES = ['en', 'es', 'fr', 'de', 'ar', 'he'];
+
+// Languages written right to left, for browsers without Intl.Locale#getTextInfo
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+// Wishes fields that may hold { "<locale>": "text" } instead of a string
+const LOCALIZED_FIELDS = ['title', 'subtitle', 'message', 'sender'];
+const LOCALIZED_MEDIA_FIELDS = ['alt', 'caption'];
+const LOCALIZED_GIFT_FIELDS = ['title', 'text', 'alt'];
+
+let currentLocale = DEFAULT_LOCALE;
+let messages = en;
+
+/**
+ * Canonicalize a BCP 47 language tag ("pt_br" becomes "pt-BR")
+ * @param {string} tag - Language tag
+ * @returns {string|null} Canonical tag, or null if it isn't one
+ */
+export function normalizeLocale(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) return null;
+
+    try {
+        return Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'))[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Language part of a tag ("pt-BR" gives "pt")
+ * @param {string} tag - Canonical language tag
+ * @returns {string} Lowercase language subtag
+ */
+export function getLanguage(tag) {
+    return tag.split('-')[0].toLowerCase();
+}
+
+/**
+ * Find the best available match for a wanted locale: the same tag, then the
+ * same language ("es-MX" matches "es", and "es" matches "es-ES")
+ * @param {string} wanted - Wanted language tag
+ * @param {string[]} available - Tags on offer
+ * @returns {string|null} One of `available`, or null
+ */
+export function matchLocale(wanted, available) {
+    const tag = normalizeLocale(wanted);
+    if (!tag) return null;
+
+    const lower = tag.toLowerCase();
+    const exact = available.find(candidate => (normalizeLocale(candidate) || '').toLowerCase() === lower);
+    if (exact) return exact;
+
+    const language = getLanguage(tag);
+    return available.find(candidate => getLanguage(normalizeLocale(candidate) || candidate) === language) || null;
+}
+
+/**
+ * Read a locale pinned in the URL, e.g. ?lang=ar
+ * @param {Location|URL} location - Location to inspect
+ * @returns {string|null} Canonical tag, or null when none (or an invalid one) is given
+ */
+export function getRequestedLocale(location = window.location) {
+    return normalizeLocale(new URLSearchParams(location.search).get('lang'));
+}
+
+/**
+ * Choose the page language: ?lang= wins, then the first of the visitor's
+ * browser languages that's on offer, then `fallback`
+ * @param {Object} options - Options
+ * @param {string[]} options.available - Languages on offer (the surprise's, or UI_LOCALES)
+ * @param {string} options.fallback - Used when nothing matches
+ * @param {Location|URL} options.location - Location to read ?lang= from
+ * @param {string[]} options.languages - Visitor's languages, most preferred first
+ * @returns {string} Chosen language tag
+ */
+export function pickLocale({
+    available = UI_LOCALES,
+    fallback = DEFAULT_LOCALE,
+    location = window.location,
+    languages = navigator.languages || [navigator.language]
+} = {}) {
+    const requested = getRequestedLocale(location);
+    if (requested) return requested;
+
+    for (const language of languages) {
+        const match = matchLocale(language, available);
+        if (match) return normalizeLocale(match);
+    }
+    return normalizeLocale(fallback) || DEFAULT_LOCALE;
+}
+
+/**
+ * Writing direction of a language
+ * @param {string} locale - Language tag
+ * @returns {string} 'rtl' or 'ltr'
+ */
+export function getTextDirection(locale) {
+    try {
+        const info = new Intl.Locale(locale);
+        const textInfo = typeof info.getTextInfo === 'function' ? info.getTextInfo() : info.textInfo;
+        if (textInfo && textInfo.direction) return textInfo.direction;
+    } catch (error) {
+        // Fall through to the list below
+    }
+    return RTL_LANGUAGES.includes(getLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Current UI locale
+ * @returns {string} Language tag
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the UI language, loading its bundle when there is one; languages
+ * without a bundle keep English strings but still get their own dates
+ * @param {string} locale - Language tag
+ * @returns {Promise<string>} The locale now in use
+ */
+export async function setLocale(locale) {
+    const tag = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const bundle = matchLocale(tag, UI_LOCALES) || DEFAULT_LOCALE;
+
+    let loaded = en;
+    if (bundle !== DEFAULT_LOCALE) {
+        try {
+            loaded = (await import(`./locales/${bundle}.js`)).default;
+        } catch (error) {
+            console.warn(`Could not load the ${bundle} strings, using English:`, error);
+        }
+    }
+
+    currentLocale = tag;
+    messages = loaded;
+    return tag;
+}
+
+/**
+ * Look up a UI string and fill in its {placeholders}. Entries may be plural
+ * forms ({ one, other, ... }), chosen by `params.count`
+ * @param {string} key - Message key, e.g. "countdown.title"
+ * @param {Object} params - Placeholder values
+ * @returns {string} Localized text (English, or the key itself, when missing)
+ */
+export function t(key, params = {}) {
+    let message = messages[key] !== undefined ? messages[key] : en[key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+}
+
+/**
+ * Set the document's lang and dir, and translate elements marked with
+ * data-i18n (text), data-i18n-label (aria-label) or data-i18n-alt (alt)
+ * @param {Document} doc - Document to translate
+ */
+export function translatePage(doc = document) {
+    doc.documentElement.lang = currentLocale;
+    doc.documentElement.dir = getTextDirection(currentLocale);
+
+    doc.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    doc.querySelectorAll('[data-i18n-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+    });
+    doc.querySelectorAll('[data-i18n-alt]').forEach(el => {
+        el.setAttribute('alt', t(el.dataset.i18nAlt));
+    });
+}
+
+function isLocalized(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Languages a wishes document is written in: the keys of its per-locale
+ * message text, plus its `locale` (English by default) for plain strings.
+ * Photo captions don't count; they fall back like any missing translation
+ * @param {Object} data - Validated wishes document
+ * @returns {string[]} Language tags
+ */
+export function getWishesLocales(data) {
+    const base = data.locale || DEFAULT_LOCALE;
+    const locales = new Set();
+
+    LOCALIZED_FIELDS.forEach(key => {
+        const value = data[key];
+        if (isLocalized(value)) {
+            Object.keys(value).forEach(locale => locales.add(locale));
+        } else if (typeof value === 'string') {
+            locales.add(base);
+        }
+    });
+
+    return locales.size ? [...locales] : [base];
+}
+
+/**
+ * Pick the text for a locale from a string or { "<locale>": "text" }
+ * @param {string|Object} value - Plain or per-locale text
+ * @param {string} locale - Wanted language
+ * @param {string} fallback - Language to use when `locale` is missing
+ * @returns {string|undefined} Text, or undefined when there's none
+ */
+export function localizeText(value, locale, fallback = DEFAULT_LOCALE) {
+    if (!isLocalized(value)) return value;
+
+    const available = Object.keys(value);
+    const match = matchLocale(locale, available) || matchLocale(fallback, available) || available[0];
+    return match === undefined ? undefined : value[match];
+}
+
+/**
+ * Resolve every per-locale field of a wishes document to plain text
+ * @param {Object} data - Validated wishes document
+ * @param {string} locale - Language to show
+ * @returns {Object} Copy with strings in place of per-locale text
+ */
+export function localizeWishes(data, locale) {
+    const fallback = data.locale || DEFAULT_LOCALE;
+    const pick = value => localizeText(value, locale, fallback);
+    const result = { ...data };
+
+    LOCALIZED_FIELDS.forEach(key => {
+        if (result[key] !== undefined) result[key] = pick(result[key]);
+    });
+
+    if (isLocalized(result.flyingPhoto) && result.flyingPhoto.alt !== undefined) {
+        result.flyingPhoto = { ...result.flyingPhoto, alt: pick(result.flyingPhoto.alt) };
+    }
+
+    if (isLocalized(result.gift)) {
+        const gift = { ...result.gift };
+        LOCALIZED_GIFT_FIELDS.forEach(key => {
+            if (gift[key] !== undefined) gift[key] = pick(gift[key]);
+        });
+        result.gift = gift;
+    }
+
+    if (Array.isArray(result.gallery)) {
+        result.gallery = result.gallery.map(item => {
+            if (!isLocalized(item)) return item;
+
+            const localized = { ...item };
+            LOCALIZED_MEDIA_FIELDS.forEach(key => {
+                if (localized[key] !== undefined) localized[key] = pick(localized[key]);
+            });
+            return localized;
+        });
+    }
+
+    return result;
+}
@@ -0,0 +1,400 @@
+// Keepsake: the surprise laid out on canvases, saved as a printable PDF or a PNG card
+import { createPdf, A4 } from './pdf.js';
+
+// A4 at 200 dpi, and a 3:4 card that prints well at 15 x 20 cm
+export const KEEPSAKE_PAGE = { width: 1654, height: 2339 };
+export const KEEPSAKE_CARD = { width: 1800, height: 2400 };
+
+const PHOTO_COLUMNS = 2;
+// Each photo page is a large canvas; phones run out of memory long before readers tire
+const MAX_PDF_PHOTOS = 18;
+const MAX_CARD_PHOTOS = 4;
+const LINE_HEIGHT = 1.5;
+
+/**
+ * Break text into lines that fit a width. Paragraphs stay separate (an
+ * empty line between them), and words too long for a line, or text
+ * without spaces, are broken between characters
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width
+ * @param {Function} measure - (text) => width in the same units
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxWidth, measure) {
+    const lines = [];
+
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) {
+                lines.push(line);
+            }
+
+            // Break an over-long word into pieces that fit
+            line = '';
+            Array.from(word).forEach(char => {
+                if (line && measure(line + char) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            });
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+/**
+ * Load an image for drawing. Cross-origin images are requested with CORS so
+ * they don't taint the canvas; ones that can't be loaded that way are skipped
+ * @param {string|CanvasImageSource} source - URL, or something already drawable
+ * @returns {Promise<CanvasImageSource|null>} Drawable image, or null
+ */
+export function loadImage(source) {
+    if (!source) return Promise.resolve(null);
+    if (typeof source !== 'string') return Promise.resolve(source);
+
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = source;
+    });
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The keepsake image could not be encoded'));
+            }
+        }, type, quality);
+    });
+}
+
+function getSize(image) {
+    return {
+        width: image.naturalWidth || image.videoWidth || image.width,
+        height: image.naturalHeight || image.videoHeight || image.height
+    };
+}
+
+function font(size, family, { weight = 'normal', style = 'normal' } = {}) {
+    return `${style} ${weight} ${Math.round(size)}px ${family}`;
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+// Fill the box, cropping the image's overflow from the middle
+function drawCover(ctx, image, x, y, width, height, radius) {
+    const size = getSize(image);
+    const scale = Math.max(width / size.width, height / size.height);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+
+    ctx.save();
+    roundedRect(ctx, x, y, width, height, radius);
+    ctx.clip();
+    ctx.drawImage(image, (size.width - cropWidth) / 2, (size.height - cropHeight) / 2, cropWidth, cropHeight,
+        x, y, width, height);
+    ctx.restore();
+}
+
+// Fit the whole image in the box, centred horizontally; returns the height used
+function drawContain(ctx, image, centerX, y, maxWidth, maxHeight) {
+    const size = getSize(image);
+    const scale = Math.min(maxWidth / size.width, maxHeight / size.height);
+    const width = size.width * scale;
+    const height = size.height * scale;
+
+    ctx.drawImage(image, centerX - width / 2, y, width, height);
+    return height;
+}
+
+/**
+ * One or more canvases of the same size, filled from top to bottom; a new
+ * page starts when the next block doesn't fit. `reserve` keeps room free
+ * above the footer
+ */
+class PageFlow {
+    constructor(size, content, { reserve = 0 } = {}) {
+        this.size = size;
+        this.content = content;
+        this.margin = Math.round(size.width * 0.08);
+        this.footer = Math.round(size.width * 0.04);
+        this.bottom = size.height - this.margin - this.footer - reserve;
+        this.pages = [];
+        this.addPage();
+    }
+
+    get width() {
+        return this.size.width - this.margin * 2;
+    }
+
+    get centerX() {
+        return this.size.width / 2;
+    }
+
+    addPage() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.size.width;
+        canvas.height = this.size.height;
+
+        const ctx = canvas.getContext('2d');
+        const { palette } = this.content;
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // A thin frame in the theme's accent
+        const inset = this.margin / 2;
+        ctx.strokeStyle = palette.accent;
+        ctx.lineWidth = Math.max(2, this.size.width * 0.003);
+        roundedRect(ctx, inset, inset, canvas.width - inset * 2, canvas.height - inset * 2, this.size.width * 0.02);
+        ctx.stroke();
+
+        ctx.direction = this.content.direction;
+        ctx.textBaseline = 'top';
+
+        this.ctx = ctx;
+        this.y = this.margin;
+        this.pages.push(canvas);
+    }
+
+    // Start a new page unless `height` still fits on this one
+    ensure(height) {
+        if (this.y + height > this.bottom) {
+            this.addPage();
+        }
+    }
+
+    /**
+     * Write wrapped text, continuing onto new pages as needed
+     * @param {string} text - Text
+     * @param {Object} style - { size, family, color, align, weight, style }
+     */
+    text(text, style) {
+        if (!text) return;
+
+        const { ctx } = this;
+        const lineHeight = style.size * LINE_HEIGHT;
+        const align = style.align || 'center';
+
+        // "end" is the right edge in left-to-right text and the left edge otherwise
+        const atLeft = (align === 'end') === (this.content.direction === 'rtl');
+        const x = align === 'center' ? this.centerX : (atLeft ? this.margin : this.size.width - this.margin);
+
+        ctx.font = font(style.size, style.family, style);
+        const lines = wrapText(text, this.width, value => ctx.measureText(value).width);
+
+        lines.forEach(line => {
+            this.ensure(lineHeight);
+            this.ctx.font = font(style.size, style.family, style);
+            this.ctx.fillStyle = style.color;
+            this.ctx.textAlign = align;
+            this.ctx.fillText(line, x, this.y);
+            this.y += lineHeight;
+        });
+    }
+
+    space(height) {
+        this.y += height;
+    }
+
+    // Date at the foot of every page
+    finish() {
+        const { date, palette, fonts } = this.content;
+        if (!date) return this.pages;
+
+        this.pages.forEach(canvas => {
+            const ctx = canvas.getContext('2d');
+            ctx.font = font(this.footer * 0.6, fonts.body);
+            ctx.fillStyle = palette.text;
+            ctx.globalAlpha = 0.6;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(date, this.centerX, this.size.height - this.margin * 0.75);
+            ctx.globalAlpha = 1;
+        });
+        return this.pages;
+    }
+}
+
+// Title, subtitle, cake snapshot, message and sender
+function drawLetter(flow, content, snapshot, { snapshotHeight, messageSize }) {
+    const { size } = flow;
+    const { palette, fonts } = content;
+    const base = size.width;
+
+    flow.text(content.title, { size: base * 0.05, family: fonts.title, color: palette.primary, weight: 'bold' });
+    flow.space(base * 0.01);
+    flow.text(content.subtitle, { size: base * 0.028, family: fonts.body, color: palette.text, style: 'italic' });
+
+    if (snapshot) {
+        flow.space(base * 0.02);
+        flow.ensure(snapshotHeight);
+        flow.y += drawContain(flow.ctx, snapshot, flow.centerX, flow.y, flow.width, snapshotHeight);
+    }
+
+    flow.space(base * 0.03);
+    flow.text(content.message, { size: messageSize, family: fonts.body, color: palette.text });
+    flow.space(base * 0.02);
+    flow.text(content.sender, { size: base * 0.026, family: fonts.body, color: palette.primary, style: 'italic', align: 'end' });
+}
+
+async function loadPhotos(photos, limit) {
+    const loaded = await Promise.all(photos.slice(0, limit).map(async photo => ({
+        image: await loadImage(photo.src),
+        caption: photo.caption || ''
+    })));
+    return loaded.filter(photo => photo.image);
+}
+
+/**
+ * Lay the surprise out on A4 pages: the letter first, then the photos
+ * @param {Object} content - See createKeepsakePdf
+ * @returns {Promise<HTMLCanvasElement[]>} Pages
+ */
+export async function renderKeepsakePages(content) {
+    const [snapshot, photos] = await Promise.all([
+        loadImage(content.snapshot),
+        loadPhotos(content.photos || [], MAX_PDF_PHOTOS)
+    ]);
+
+    const flow = new PageFlow(KEEPSAKE_PAGE, content);
+    drawLetter(flow, content, snapshot, {
+        snapshotHeight: KEEPSAKE_PAGE.height * 0.28,
+        messageSize: KEEPSAKE_PAGE.width * 0.024
+    });
+
+    if (photos.length) {
+        const { palette, fonts } = content;
+        const gap = flow.margin / 3;
+        const captionSize = KEEPSAKE_PAGE.width * 0.018;
+        const cellWidth = (flow.width - gap * (PHOTO_COLUMNS - 1)) / PHOTO_COLUMNS;
+        const cellHeight = cellWidth * 0.75;
+        const rowHeight = cellHeight + captionSize * LINE_HEIGHT * 2 + gap;
+
+        flow.addPage();
+        flow.text(content.galleryTitle, { size: KEEPSAKE_PAGE.width * 0.035, family: fonts.title, color: palette.primary, weight: 'bold' });
+        flow.space(gap);
+
+        for (let start = 0; start < photos.length; start += PHOTO_COLUMNS) {
+            flow.ensure(rowHeight);
+            const { ctx } = flow;
+
+            photos.slice(start, start + PHOTO_COLUMNS).forEach((photo, column) => {
+                // Columns run from the reading side
+                const index = content.direction === 'rtl' ? PHOTO_COLUMNS - 1 - column : column;
+                const x = flow.margin + index * (cellWidth + gap);
+                drawCover(ctx, photo.image, x, flow.y, cellWidth, cellHeight, gap / 2);
+
+                if (photo.caption) {
+                    ctx.font = font(captionSize, fonts.body, { style: 'italic' });
+                    ctx.fillStyle = palette.text;
+                    ctx.textAlign = 'center';
+                    const [line] = wrapText(photo.caption, cellWidth, value => ctx.measureText(value).width);
+                    ctx.fillText(line, x + cellWidth / 2, flow.y + cellHeight + captionSize * 0.4);
+                }
+            });
+            flow.y += rowHeight;
+        }
+    }
+
+    return flow.finish();
+}
+
+/**
+ * Draw everything on one card: the letter, with the message shrunk to fit,
+ * and a strip of up to four photos
+ * @param {Object} content - See createKeepsakePdf
+ * @returns {Promise<HTMLCanvasElement>} Card
+ */
+export async function renderKeepsakeCard(content) {
+    const [snapshot, photos] = await Promise.all([
+        loadImage(content.snapshot),
+        loadPhotos(content.photos || [], MAX_CARD_PHOTOS)
+    ]);
+
+    const size = KEEPSAKE_CARD;
+    const stripHeight = photos.length ? size.width * 0.2 : 0;
+
+    // Try smaller message text until the letter fits on the one card
+    let flow;
+    for (let messageSize = size.width * 0.026; ; messageSize *= 0.9) {
+        flow = new PageFlow(size, content, { reserve: stripHeight });
+        drawLetter(flow, content, snapshot, { snapshotHeight: size.height * 0.22, messageSize });
+        if (flow.pages.length === 1 || messageSize < size.width * 0.012) break;
+    }
+
+    if (photos.length) {
+        const { ctx } = flow;
+        const gap = flow.margin / 4;
+        const side = Math.min(stripHeight, (flow.width - gap * (photos.length - 1)) / photos.length);
+        const rowWidth = side * photos.length + gap * (photos.length - 1);
+        const y = flow.bottom + stripHeight - side;
+
+        photos.forEach((photo, index) => {
+            const column = content.direction === 'rtl' ? photos.length - 1 - index : index;
+            drawCover(ctx, photo.image, flow.centerX - rowWidth / 2 + column * (side + gap), y, side, side, gap / 2);
+        });
+    }
+
+    return flow.finish()[0];
+}
+
+/**
+ * Build the printable PDF
+ * @param {Object} content - What to lay out
+ * @param {string} content.title - Birthday title (also the PDF's title)
+ * @param {string} content.subtitle - Subtitle
+ * @param {string} content.message - Message
+ * @param {string} content.sender - Signature
+ * @param {string} content.date - Printed at the foot of each page
+ * @param {string|CanvasImageSource} content.snapshot - Picture of the cake
+ * @param {Array<{src: string, caption: string}>} content.photos - Gallery photos
+ * @param {string} content.galleryTitle - Heading above the photos
+ * @param {Object} content.palette - Theme palette
+ * @param {{title: string, body: string}} content.fonts - CSS font families
+ * @param {string} content.direction - 'ltr' or 'rtl'
+ * @returns {Promise<Blob>} PDF
+ */
+export async function createKeepsakePdf(content) {
+    const canvases = await renderKeepsakePages(content);
+    const pages = [];
+
+    // One page at a time, letting each canvas go once it's encoded
+    for (const canvas of canvases) {
+        const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        pages.push({ jpeg: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height });
+        canvas.width = canvas.height = 0;
+    }
+
+    return new Blob([createPdf(pages, { size: A4, title: content.title })], { type: 'application/pdf' });
+}
+
+/**
+ * Build the high-resolution PNG card
+ * @param {Object} content - As for createKeepsakePdf
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function createKeepsakePng(content) {
+    return canvasToBlob(await renderKeepsakeCard(content), 'image/png');
+}
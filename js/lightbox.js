@@ -0,0 +1,246 @@
+// Full-screen photo viewer for the gallery
+import { createElement, isRightToLeft } from './utils.js';
+import { createMediaElement } from './gallery.js';
+import { t } from './i18n.js';
+
+const SWIPE_DISTANCE = 50;
+const FOCUSABLE = 'button:not([disabled]):not(.hidden), video[controls], [href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal lightbox with keyboard, swipe and focus-trap support
+ */
+export class Lightbox {
+    /**
+     * @param {Array<Object>} items - Normalized gallery entries
+     * @param {Object} options - Options
+     * @param {Function} options.isMuted - Returns true while the app's audio is muted
+     * @param {boolean} options.reducedMotion - Don't autoplay videos
+     */
+    constructor(items, options = {}) {
+        this.items = items;
+        this.options = { isMuted: () => false, reducedMotion: false, ...options };
+        this.media = null;
+        this.index = 0;
+        this.trigger = null;
+        this.touchStartX = null;
+        this.touchStartY = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.build();
+    }
+
+    build() {
+        this.element = createElement('div', {
+            className: 'lightbox hidden',
+            role: 'dialog',
+            'aria-modal': 'true',
+            'aria-label': t('lightbox.label')
+        });
+
+        this.closeBtn = createElement('button', {
+            className: 'lightbox-close',
+            type: 'button',
+            'aria-label': t('lightbox.close'),
+            textContent: '✕'
+        });
+        this.prevBtn = createElement('button', {
+            className: 'lightbox-nav lightbox-prev',
+            type: 'button',
+            'aria-label': t('lightbox.previous'),
+            textContent: '‹'
+        });
+        this.nextBtn = createElement('button', {
+            className: 'lightbox-nav lightbox-next',
+            type: 'button',
+            'aria-label': t('lightbox.next'),
+            textContent: '›'
+        });
+
+        const figure = createElement('figure', { className: 'lightbox-figure' });
+        this.mediaSlot = createElement('div', { className: 'lightbox-media' });
+        const caption = createElement('figcaption', { className: 'lightbox-caption' });
+        this.captionText = createElement('span', { className: 'lightbox-caption-text' });
+        this.dateText = createElement('span', { className: 'lightbox-date' });
+        this.counter = createElement('span', { className: 'lightbox-counter', 'aria-live': 'polite' });
+
+        caption.appendChild(this.captionText);
+        caption.appendChild(this.dateText);
+        caption.appendChild(this.counter);
+        figure.appendChild(this.mediaSlot);
+        figure.appendChild(caption);
+
+        this.element.appendChild(this.closeBtn);
+        this.element.appendChild(this.prevBtn);
+        this.element.appendChild(figure);
+        this.element.appendChild(this.nextBtn);
+
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.prevBtn.addEventListener('click', () => this.show(this.index - 1));
+        this.nextBtn.addEventListener('click', () => this.show(this.index + 1));
+
+        // Clicking the backdrop (not the photo) closes
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+
+        this.element.addEventListener('touchstart', (e) => {
+            this.touchStartX = e.touches[0].clientX;
+            this.touchStartY = e.touches[0].clientY;
+        }, { passive: true });
+
+        this.element.addEventListener('touchend', (e) => {
+            if (this.touchStartX === null) return;
+
+            const dx = e.changedTouches[0].clientX - this.touchStartX;
+            const dy = e.changedTouches[0].clientY - this.touchStartY;
+            this.touchStartX = this.touchStartY = null;
+
+            // Only mostly-horizontal swipes navigate
+            if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                const forward = isRightToLeft(this.element) ? -1 : 1;
+                this.show(this.index + (dx < 0 ? forward : -forward));
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Open the viewer at an entry
+     * @param {number} index - Entry to show
+     * @param {HTMLElement} trigger - Element to refocus on close
+     */
+    open(index, trigger = document.activeElement) {
+        this.trigger = trigger;
+        this.element.classList.remove('hidden');
+        document.body.classList.add('lightbox-open');
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.show(index);
+        this.closeBtn.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.classList.add('hidden');
+        document.body.classList.remove('lightbox-open');
+        this.clearMedia();
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.trigger && this.trigger.focus) {
+            this.trigger.focus();
+        }
+        this.trigger = null;
+    }
+
+    /**
+     * Show an entry, wrapping around at either end
+     * @param {number} index - Entry to show
+     */
+    show(index) {
+        const count = this.items.length;
+        this.index = ((index % count) + count) % count;
+
+        const item = this.items[this.index];
+        this.clearMedia();
+        this.media = createMediaElement(item, {
+            className: 'lightbox-image',
+            controls: true,
+            reducedMotion: this.options.reducedMotion
+        });
+        this.mediaSlot.appendChild(this.media);
+
+        if (item.type === 'video') {
+            // Sound is opt-in via the controls, and never while the app is muted
+            const video = this.media;
+            video.addEventListener('volumechange', () => {
+                if (!video.muted && this.options.isMuted()) {
+                    video.muted = true;
+                }
+            });
+            if (!this.options.reducedMotion) {
+                video.play().catch(() => {});
+            }
+        }
+
+        this.captionText.textContent = item.caption;
+        this.dateText.textContent = item.date;
+        this.counter.textContent = `${this.index + 1} / ${count}`;
+
+        const single = count < 2;
+        this.prevBtn.classList.toggle('hidden', single);
+        this.nextBtn.classList.toggle('hidden', single);
+    }
+
+    /**
+     * Mute any playing video (called when the app is muted)
+     */
+    mute() {
+        if (this.media && this.media.tagName === 'VIDEO') {
+            this.media.muted = true;
+        }
+    }
+
+    clearMedia() {
+        if (!this.media) return;
+
+        if (this.media.tagName === 'VIDEO') {
+            this.media.pause();
+            this.media.removeAttribute('src');
+            this.media.load();
+        }
+        this.media.remove();
+        this.media = null;
+    }
+
+    handleKeydown(e) {
+        // Arrows follow the reading direction
+        const forward = isRightToLeft(this.element) ? -1 : 1;
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.show(this.index + forward);
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.show(this.index - forward);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll(FOCUSABLE));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !this.element.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.element.remove();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Arabic UI strings (keys and placeholders as in en.js); shown right to left
+export default {
+    'page.title': 'عيد ميلاد سعيد يا أغلى الناس! 💖',
+    'loading.message': 'نحضّر شيئًا مميزًا...',
+
+    'countdown.title': 'مفاجأتك على وشك أن تجهز',
+    'countdown.opens': 'تُفتح في {date}',
+    'countdown.invalid': 'وقت الفتح غير صالح، لذلك تبقى المفاجأة مغلقة',
+    'countdown.days': 'أيام',
+    'countdown.hours': 'ساعات',
+    'countdown.minutes': 'دقائق',
+    'countdown.seconds': 'ثوانٍ',
+
+    'passphrase.title': 'هذه المفاجأة مقفلة',
+    'passphrase.intro': 'يرجى إدخال كلمة المرور التي وصلتك لفتحها.',
+    'passphrase.label': 'كلمة المرور',
+    'passphrase.submit': 'فتح',
+    'passphrase.answerIntro': 'الإجابة تفتح مفاجأتك 💌',
+    'passphrase.answerLabel': 'إجابتك',
+    'passphrase.retry1': 'ليس تمامًا. هل نحاول مرة أخرى؟ 💭',
+    'passphrase.retry2': 'ربما قريب جدًا! ماذا عن كتابة مختلفة؟ 💕',
+    'passphrase.retry3': 'على مهلك. إنه شيء لا يعرفه غيركما ✨',
+
+    'cake.image': 'كعكة عيد الميلاد',
+    'cake.scene': 'كعكة عيد ميلاد تفاعلية - مفتاح Enter أو النقر للتفاعل، والسحب لتدويرها',
+    'cake.paper': 'فتح البطاقة الورقية',
+    'cake.candles': 'الشموع',
+    'cake.candle': 'إطفاء الشمعة',
+    'cake.candleOf': 'إطفاء الشمعة {number} من {total}',
+
+    'candles.prompt': 'والآن حان وقت الأمنية وإطفاء الشمعة! 🕯️',
+    'candles.progress': 'انطفأت {out} من {total} — بقي القليل!',
+
+    'gift.scene': 'صندوق هدية - مفتاح Enter أو النقر لفتحه، والسحب لتدويره',
+    'gift.untie': 'اسحب الشريط',
+    'gift.open': 'ارفع الغطاء',
+    'gift.title': 'هدية صغيرة لك 🎁',
+    'gift.code': 'رمزك',
+    'gift.copy': 'نسخ',
+    'gift.copied': 'تم النسخ!',
+    'gift.copyFailed': 'حدد الرمز لنسخه',
+
+    'keepsake.title': 'احفظها تذكارًا',
+    'keepsake.hint': 'الرسالة والصور والكعكة في صفحة للطباعة أو الاحتفاظ بها',
+    'keepsake.pdf': '📄 ملف PDF للطباعة',
+    'keepsake.png': '🖼️ بطاقة صورة',
+    'keepsake.working': 'جارٍ تجهيز التذكار…',
+    'keepsake.saved': 'تم الحفظ! تحقق من التنزيلات.',
+    'keepsake.failed': 'عذرًا، تعذر إنشاء التذكار على هذا الجهاز.',
+
+    'mic.button': '🎤 النفخ في الميكروفون',
+    'mic.level': 'مستوى الميكروفون',
+    'mic.allow': 'يلزم السماح بالوصول إلى الميكروفون لإطفاء الشمعة…',
+    'mic.calibrating': 'لحظة هدوء من فضلك بينما نستمع إلى الغرفة…',
+    'mic.blow': 'حان وقت النفخ! 💨',
+    'mic.unavailable': 'لا يوجد ميكروفون؟ لا مشكلة — يكفي لمس الشمعة 🕯️',
+
+    'guestbook.title': 'أمنيات من الأصدقاء',
+    'guestbook.carousel': 'عرض دوّار',
+    'guestbook.slide': 'شريحة',
+    'guestbook.slideOf': '{number} من {total}',
+    'guestbook.previous': 'الأمنية السابقة',
+    'guestbook.next': 'الأمنية التالية',
+    'guestbook.from': 'أمنية من {author}',
+    'guestbook.status': 'الأمنية {number} من {total}، من {author}',
+
+    'photo.alt': 'ذكرى مميزة',
+
+    'gallery.title': 'أجمل ذكرياتنا',
+    'gallery.memory': 'ذكرى {number}',
+    'gallery.view': 'عرض {alt} ({number} من {total})',
+
+    'lightbox.label': 'عارض الصور',
+    'lightbox.close': 'إغلاق عارض الصور',
+    'lightbox.previous': 'الصورة السابقة',
+    'lightbox.next': 'الصورة التالية',
+
+    'audio.next': 'الأغنية التالية',
+    'audio.mute': 'كتم الصوت',
+    'audio.unmute': 'تشغيل الصوت',
+
+    'error.title': 'عذرًا! حدث خطأ ما 😔',
+    'error.message': 'يرجى تحديث الصفحة والمحاولة مرة أخرى.',
+    'notFound.title': 'همم، هذه المفاجأة ليست هنا 🎁',
+    'notFound.message': 'لم نجد مفاجأة عيد ميلاد باسم "{slug}". يرجى التحقق من الرابط المرسَل أو طلب رابط جديد ممن شاركه.',
+    'link.title': 'همم، هذا الرابط لم يصل كاملًا 🎁',
+    'link.incomplete': 'يبدو أن هذا الرابط غير مكتمل. يرجى طلب إرساله مرة أخرى.',
+    'link.damaged': 'تضرر هذا الرابط في الطريق (قد يكون جزء منه مفقودًا). يرجى طلب إرساله مرة أخرى.',
+    'link.unsupported': 'هذا المتصفح أقدم من أن يفتح الرابط. يرجى تجربة متصفح حديث.',
+    'link.unreadable': 'تعذرت قراءة هذا الرابط. يرجى طلب إرساله مرة أخرى.'
+};
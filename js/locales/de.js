@@ -0,0 +1,91 @@
+// German UI strings (keys and placeholders as in en.js)
+export default {
+    'page.title': 'Alles Gute zum Geburtstag, meine Schöne! 💖',
+    'loading.message': 'Hier wird etwas Besonderes vorbereitet...',
+
+    'countdown.title': 'Deine Überraschung ist fast fertig',
+    'countdown.opens': 'Öffnet am {date}',
+    'countdown.invalid': 'Die Freischaltzeit ist ungültig, deshalb bleibt die Überraschung verschlossen',
+    'countdown.days': 'Tage',
+    'countdown.hours': 'Stunden',
+    'countdown.minutes': 'Minuten',
+    'countdown.seconds': 'Sekunden',
+
+    'passphrase.title': 'Diese Überraschung ist verschlossen',
+    'passphrase.intro': 'Gib das Passwort ein, das du bekommen hast, um sie zu öffnen.',
+    'passphrase.label': 'Passwort',
+    'passphrase.submit': 'Öffnen',
+    'passphrase.answerIntro': 'Antworte, um deine Überraschung zu öffnen 💌',
+    'passphrase.answerLabel': 'Deine Antwort',
+    'passphrase.retry1': 'Nicht ganz. Noch ein Versuch? 💭',
+    'passphrase.retry2': 'Vielleicht knapp daneben! Versuch eine andere Schreibweise 💕',
+    'passphrase.retry3': 'Lass dir Zeit. Es ist etwas, das nur ihr beide wisst ✨',
+
+    'cake.image': 'Geburtstagstorte',
+    'cake.scene': 'Interaktive Geburtstagstorte – Eingabetaste drücken oder klicken zum Interagieren, ziehen zum Drehen',
+    'cake.paper': 'Den Papieranhänger öffnen',
+    'cake.candles': 'Kerzen',
+    'cake.candle': 'Die Kerze auspusten',
+    'cake.candleOf': 'Kerze {number} von {total} auspusten',
+
+    'candles.prompt': 'Wünsch dir jetzt etwas und puste die Kerze aus! 🕯️',
+    'candles.progress': '{out} von {total} Kerzen aus – weiter so!',
+
+    'gift.scene': 'Geschenkbox – Eingabetaste drücken oder klicken zum Öffnen, ziehen zum Drehen',
+    'gift.untie': 'An der Schleife ziehen',
+    'gift.open': 'Den Deckel anheben',
+    'gift.title': 'Eine Kleinigkeit für dich 🎁',
+    'gift.code': 'Dein Code',
+    'gift.copy': 'Kopieren',
+    'gift.copied': 'Kopiert!',
+    'gift.copyFailed': 'Markiere den Code, um ihn zu kopieren',
+
+    'keepsake.title': 'Als Andenken speichern',
+    'keepsake.hint': 'Nachricht, Fotos und Torte auf einer Seite zum Drucken oder Aufheben',
+    'keepsake.pdf': '📄 PDF zum Drucken',
+    'keepsake.png': '🖼️ Bildkarte',
+    'keepsake.working': 'Dein Andenken wird erstellt…',
+    'keepsake.saved': 'Gespeichert! Schau in deine Downloads.',
+    'keepsake.failed': 'Leider konnte das Andenken auf diesem Gerät nicht erstellt werden.',
+
+    'mic.button': '🎤 Ins Mikrofon pusten',
+    'mic.level': 'Mikrofonpegel',
+    'mic.allow': 'Erlaube den Mikrofonzugriff, um die Kerze auszupusten…',
+    'mic.calibrating': 'Sei kurz still, während wir in den Raum hören…',
+    'mic.blow': 'Jetzt pusten! 💨',
+    'mic.unavailable': 'Kein Mikrofon? Kein Problem – tippe einfach auf die Kerze 🕯️',
+
+    'guestbook.title': 'Wünsche von Freunden',
+    'guestbook.carousel': 'Karussell',
+    'guestbook.slide': 'Folie',
+    'guestbook.slideOf': '{number} von {total}',
+    'guestbook.previous': 'Vorheriger Wunsch',
+    'guestbook.next': 'Nächster Wunsch',
+    'guestbook.from': 'Wunsch von {author}',
+    'guestbook.status': 'Wunsch {number} von {total}, von {author}',
+
+    'photo.alt': 'Eine besondere Erinnerung',
+
+    'gallery.title': 'Unsere schönsten Erinnerungen',
+    'gallery.memory': 'Erinnerung {number}',
+    'gallery.view': '{alt} ansehen ({number} von {total})',
+
+    'lightbox.label': 'Fotoansicht',
+    'lightbox.close': 'Fotoansicht schließen',
+    'lightbox.previous': 'Vorheriges Foto',
+    'lightbox.next': 'Nächstes Foto',
+
+    'audio.next': 'Nächstes Lied',
+    'audio.mute': 'Ton aus',
+    'audio.unmute': 'Ton an',
+
+    'error.title': 'Hoppla! Da ist etwas schiefgelaufen 😔',
+    'error.message': 'Bitte lade die Seite neu und versuch es noch einmal.',
+    'notFound.title': 'Hm, diese Überraschung gibt es hier nicht 🎁',
+    'notFound.message': 'Wir haben keine Geburtstagsüberraschung für „{slug}“ gefunden. Prüf den Link, den du bekommen hast, oder bitte um einen neuen.',
+    'link.title': 'Hm, dieser Link ist nicht vollständig angekommen 🎁',
+    'link.incomplete': 'Dieser Link sieht unvollständig aus. Bitte darum, ihn noch einmal zu schicken.',
+    'link.damaged': 'Dieser Link wurde unterwegs beschädigt (vielleicht fehlt ein Teil). Bitte darum, ihn noch einmal zu schicken.',
+    'link.unsupported': 'Dieser Browser ist zu alt, um den Link zu öffnen. Versuch es mit einem aktuellen Browser.',
+    'link.unreadable': 'Dieser Link konnte nicht gelesen werden. Bitte darum, ihn noch einmal zu schicken.'
+};
@@ -0,0 +1,92 @@
+// English UI strings; the reference bundle every other locale falls back to.
+// {name} placeholders are filled in by t(); an object holds plural forms.
+export default {
+    'page.title': 'Happy Birthday, Beautiful! 💖',
+    'loading.message': 'Preparing something special...',
+
+    'countdown.title': 'Your surprise is almost ready',
+    'countdown.opens': 'Opens {date}',
+    'countdown.invalid': 'The unlock time is invalid, so this surprise stays sealed',
+    'countdown.days': 'days',
+    'countdown.hours': 'hours',
+    'countdown.minutes': 'minutes',
+    'countdown.seconds': 'seconds',
+
+    'passphrase.title': 'This surprise is locked',
+    'passphrase.intro': 'Enter the passphrase you were given to open it.',
+    'passphrase.label': 'Passphrase',
+    'passphrase.submit': 'Open',
+    'passphrase.answerIntro': 'Answer to open your surprise 💌',
+    'passphrase.answerLabel': 'Your answer',
+    'passphrase.retry1': 'Not quite. Have another go? 💭',
+    'passphrase.retry2': 'So close, maybe! Try a different spelling 💕',
+    'passphrase.retry3': 'Take your time. It\'s something only the two of you would know ✨',
+
+    'cake.image': 'Birthday cake',
+    'cake.scene': 'Interactive birthday cake - press Enter or click to interact, drag to turn it',
+    'cake.paper': 'Open the paper tag',
+    'cake.candles': 'Candles',
+    'cake.candle': 'Blow out the candle',
+    'cake.candleOf': 'Blow out candle {number} of {total}',
+
+    'candles.prompt': 'Now make a wish and blow out the candle! 🕯️',
+    'candles.progress': '{out} of {total} candles out — keep going!',
+
+    'gift.scene': 'Gift box - press Enter or click to open it, drag to turn it',
+    'gift.untie': 'Pull the ribbon',
+    'gift.open': 'Lift the lid',
+    'gift.title': 'A little something for you 🎁',
+    'gift.code': 'Your code',
+    'gift.copy': 'Copy',
+    'gift.copied': 'Copied!',
+    'gift.copyFailed': 'Select the code to copy it',
+
+    'keepsake.title': 'Save as keepsake',
+    'keepsake.hint': 'The message, photos and cake on a page to print or keep',
+    'keepsake.pdf': '📄 Printable PDF',
+    'keepsake.png': '🖼️ Image card',
+    'keepsake.working': 'Putting your keepsake together…',
+    'keepsake.saved': 'Saved! Check your downloads.',
+    'keepsake.failed': 'Sorry, the keepsake couldn\'t be made on this device.',
+
+    'mic.button': '🎤 Blow into your microphone',
+    'mic.level': 'Microphone level',
+    'mic.allow': 'Allow microphone access to blow out the candle…',
+    'mic.calibrating': 'Stay quiet for a moment while we listen to the room…',
+    'mic.blow': 'Now blow! 💨',
+    'mic.unavailable': 'No microphone? No problem — tap the candle instead 🕯️',
+
+    'guestbook.title': 'Wishes From Friends',
+    'guestbook.carousel': 'carousel',
+    'guestbook.slide': 'slide',
+    'guestbook.slideOf': '{number} of {total}',
+    'guestbook.previous': 'Previous wish',
+    'guestbook.next': 'Next wish',
+    'guestbook.from': 'Wish from {author}',
+    'guestbook.status': 'Wish {number} of {total}, from {author}',
+
+    'photo.alt': 'Special memory',
+
+    'gallery.title': 'Our Beautiful Memories',
+    'gallery.memory': 'Memory {number}',
+    'gallery.view': 'View {alt} ({number} of {total})',
+
+    'lightbox.label': 'Photo viewer',
+    'lightbox.close': 'Close photo viewer',
+    'lightbox.previous': 'Previous photo',
+    'lightbox.next': 'Next photo',
+
+    'audio.next': 'Next song',
+    'audio.mute': 'Mute audio',
+    'audio.unmute': 'Unmute audio',
+
+    'error.title': 'Oops! Something went wrong 😔',
+    'error.message': 'Please refresh the page and try again.',
+    'notFound.title': 'Hmm, this surprise isn\'t here 🎁',
+    'notFound.message': 'We couldn\'t find a birthday surprise for "{slug}". Double-check the link you were sent, or ask whoever shared it for a fresh one.',
+    'link.title': 'Hmm, this link didn\'t make it in one piece 🎁',
+    'link.incomplete': 'This link looks incomplete. Ask for it to be sent again.',
+    'link.damaged': 'This link was damaged on the way (part of it may be missing). Ask for it to be sent again.',
+    'link.unsupported': 'This browser is too old to open the link. Try an up-to-date browser.',
+    'link.unreadable': 'This link couldn\'t be read. Ask for it to be sent again.'
+};
@@ -0,0 +1,91 @@
+// Spanish UI strings (keys and placeholders as in en.js)
+export default {
+    'page.title': '¡Feliz cumpleaños, preciosa! 💖',
+    'loading.message': 'Preparando algo especial...',
+
+    'countdown.title': 'Tu sorpresa está casi lista',
+    'countdown.opens': 'Se abre el {date}',
+    'countdown.invalid': 'La hora de apertura no es válida, así que la sorpresa sigue cerrada',
+    'countdown.days': 'días',
+    'countdown.hours': 'horas',
+    'countdown.minutes': 'minutos',
+    'countdown.seconds': 'segundos',
+
+    'passphrase.title': 'Esta sorpresa está cerrada',
+    'passphrase.intro': 'Escribe la contraseña que te dieron para abrirla.',
+    'passphrase.label': 'Contraseña',
+    'passphrase.submit': 'Abrir',
+    'passphrase.answerIntro': 'Responde para abrir tu sorpresa 💌',
+    'passphrase.answerLabel': 'Tu respuesta',
+    'passphrase.retry1': 'No del todo. ¿Lo intentas otra vez? 💭',
+    'passphrase.retry2': '¡Quizá casi! Prueba a escribirlo de otra forma 💕',
+    'passphrase.retry3': 'Tómate tu tiempo. Es algo que solo vosotros dos sabéis ✨',
+
+    'cake.image': 'Tarta de cumpleaños',
+    'cake.scene': 'Tarta de cumpleaños interactiva: pulsa Intro o haz clic para interactuar, arrastra para girarla',
+    'cake.paper': 'Abrir la etiqueta de papel',
+    'cake.candles': 'Velas',
+    'cake.candle': 'Apagar la vela',
+    'cake.candleOf': 'Apagar la vela {number} de {total}',
+
+    'candles.prompt': '¡Ahora pide un deseo y sopla la vela! 🕯️',
+    'candles.progress': '{out} de {total} velas apagadas, ¡sigue así!',
+
+    'gift.scene': 'Caja de regalo: pulsa Intro o haz clic para abrirla, arrastra para girarla',
+    'gift.untie': 'Tirar del lazo',
+    'gift.open': 'Levantar la tapa',
+    'gift.title': 'Un detallito para ti 🎁',
+    'gift.code': 'Tu código',
+    'gift.copy': 'Copiar',
+    'gift.copied': '¡Copiado!',
+    'gift.copyFailed': 'Selecciona el código para copiarlo',
+
+    'keepsake.title': 'Guardar como recuerdo',
+    'keepsake.hint': 'El mensaje, las fotos y la tarta en una página para imprimir o guardar',
+    'keepsake.pdf': '📄 PDF para imprimir',
+    'keepsake.png': '🖼️ Tarjeta en imagen',
+    'keepsake.working': 'Preparando tu recuerdo…',
+    'keepsake.saved': '¡Guardado! Revisa tus descargas.',
+    'keepsake.failed': 'Lo sentimos, no se pudo crear el recuerdo en este dispositivo.',
+
+    'mic.button': '🎤 Sopla al micrófono',
+    'mic.level': 'Nivel del micrófono',
+    'mic.allow': 'Permite el acceso al micrófono para soplar la vela…',
+    'mic.calibrating': 'Guarda silencio un momento mientras escuchamos la sala…',
+    'mic.blow': '¡Ahora sopla! 💨',
+    'mic.unavailable': '¿Sin micrófono? No pasa nada: toca la vela 🕯️',
+
+    'guestbook.title': 'Deseos de tus amigos',
+    'guestbook.carousel': 'carrusel',
+    'guestbook.slide': 'diapositiva',
+    'guestbook.slideOf': '{number} de {total}',
+    'guestbook.previous': 'Deseo anterior',
+    'guestbook.next': 'Deseo siguiente',
+    'guestbook.from': 'Deseo de {author}',
+    'guestbook.status': 'Deseo {number} de {total}, de {author}',
+
+    'photo.alt': 'Un recuerdo especial',
+
+    'gallery.title': 'Nuestros recuerdos más bonitos',
+    'gallery.memory': 'Recuerdo {number}',
+    'gallery.view': 'Ver {alt} ({number} de {total})',
+
+    'lightbox.label': 'Visor de fotos',
+    'lightbox.close': 'Cerrar el visor de fotos',
+    'lightbox.previous': 'Foto anterior',
+    'lightbox.next': 'Foto siguiente',
+
+    'audio.next': 'Siguiente canción',
+    'audio.mute': 'Silenciar el audio',
+    'audio.unmute': 'Activar el audio',
+
+    'error.title': '¡Vaya! Algo ha salido mal 😔',
+    'error.message': 'Recarga la página y vuelve a intentarlo.',
+    'notFound.title': 'Mmm, esta sorpresa no está aquí 🎁',
+    'notFound.message': 'No encontramos ninguna sorpresa de cumpleaños para "{slug}". Revisa el enlace que te enviaron o pide uno nuevo a quien lo compartió.',
+    'link.title': 'Mmm, este enlace no ha llegado entero 🎁',
+    'link.incomplete': 'Este enlace parece incompleto. Pide que te lo vuelvan a enviar.',
+    'link.damaged': 'Este enlace se ha dañado por el camino (puede que falte una parte). Pide que te lo vuelvan a enviar.',
+    'link.unsupported': 'Este navegador es demasiado antiguo para abrir el enlace. Prueba con uno actualizado.',
+    'link.unreadable': 'No se ha podido leer este enlace. Pide que te lo vuelvan a enviar.'
+};
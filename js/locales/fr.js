@@ -0,0 +1,91 @@
+// French UI strings (keys and placeholders as in en.js)
+export default {
+    'page.title': 'Joyeux anniversaire, ma belle ! 💖',
+    'loading.message': 'Je prépare quelque chose de spécial...',
+
+    'countdown.title': 'Ta surprise est presque prête',
+    'countdown.opens': 'Ouverture le {date}',
+    'countdown.invalid': 'L\'heure d\'ouverture est invalide, la surprise reste donc scellée',
+    'countdown.days': 'jours',
+    'countdown.hours': 'heures',
+    'countdown.minutes': 'minutes',
+    'countdown.seconds': 'secondes',
+
+    'passphrase.title': 'Cette surprise est verrouillée',
+    'passphrase.intro': 'Saisis la phrase secrète qu\'on t\'a donnée pour l\'ouvrir.',
+    'passphrase.label': 'Phrase secrète',
+    'passphrase.submit': 'Ouvrir',
+    'passphrase.answerIntro': 'Réponds pour ouvrir ta surprise 💌',
+    'passphrase.answerLabel': 'Ta réponse',
+    'passphrase.retry1': 'Pas tout à fait. On réessaie ? 💭',
+    'passphrase.retry2': 'Presque, peut-être ! Essaie une autre orthographe 💕',
+    'passphrase.retry3': 'Prends ton temps. C\'est quelque chose que vous seuls connaissez ✨',
+
+    'cake.image': 'Gâteau d\'anniversaire',
+    'cake.scene': 'Gâteau d\'anniversaire interactif : appuie sur Entrée ou clique pour interagir, fais glisser pour le tourner',
+    'cake.paper': 'Ouvrir l\'étiquette en papier',
+    'cake.candles': 'Bougies',
+    'cake.candle': 'Souffler la bougie',
+    'cake.candleOf': 'Souffler la bougie {number} sur {total}',
+
+    'candles.prompt': 'Fais un vœu et souffle la bougie ! 🕯️',
+    'candles.progress': '{out} bougies soufflées sur {total}, continue !',
+
+    'gift.scene': 'Boîte cadeau : appuie sur Entrée ou clique pour l\'ouvrir, fais glisser pour la tourner',
+    'gift.untie': 'Tirer sur le ruban',
+    'gift.open': 'Soulever le couvercle',
+    'gift.title': 'Une petite surprise pour toi 🎁',
+    'gift.code': 'Ton code',
+    'gift.copy': 'Copier',
+    'gift.copied': 'Copié !',
+    'gift.copyFailed': 'Sélectionne le code pour le copier',
+
+    'keepsake.title': 'Garder en souvenir',
+    'keepsake.hint': 'Le message, les photos et le gâteau sur une page à imprimer ou à garder',
+    'keepsake.pdf': '📄 PDF à imprimer',
+    'keepsake.png': '🖼️ Carte image',
+    'keepsake.working': 'Préparation de ton souvenir…',
+    'keepsake.saved': 'Enregistré ! Regarde dans tes téléchargements.',
+    'keepsake.failed': 'Désolé, le souvenir n\'a pas pu être créé sur cet appareil.',
+
+    'mic.button': '🎤 Souffle dans ton micro',
+    'mic.level': 'Niveau du micro',
+    'mic.allow': 'Autorise l\'accès au micro pour souffler la bougie…',
+    'mic.calibrating': 'Reste silencieux un instant pendant qu\'on écoute la pièce…',
+    'mic.blow': 'Maintenant, souffle ! 💨',
+    'mic.unavailable': 'Pas de micro ? Pas de souci : touche la bougie 🕯️',
+
+    'guestbook.title': 'Les vœux de tes amis',
+    'guestbook.carousel': 'carrousel',
+    'guestbook.slide': 'diapositive',
+    'guestbook.slideOf': '{number} sur {total}',
+    'guestbook.previous': 'Vœu précédent',
+    'guestbook.next': 'Vœu suivant',
+    'guestbook.from': 'Vœu de {author}',
+    'guestbook.status': 'Vœu {number} sur {total}, de {author}',
+
+    'photo.alt': 'Un souvenir spécial',
+
+    'gallery.title': 'Nos plus beaux souvenirs',
+    'gallery.memory': 'Souvenir {number}',
+    'gallery.view': 'Voir {alt} ({number} sur {total})',
+
+    'lightbox.label': 'Visionneuse de photos',
+    'lightbox.close': 'Fermer la visionneuse',
+    'lightbox.previous': 'Photo précédente',
+    'lightbox.next': 'Photo suivante',
+
+    'audio.next': 'Chanson suivante',
+    'audio.mute': 'Couper le son',
+    'audio.unmute': 'Remettre le son',
+
+    'error.title': 'Oups ! Quelque chose s\'est mal passé 😔',
+    'error.message': 'Actualise la page et réessaie.',
+    'notFound.title': 'Hmm, cette surprise n\'est pas ici 🎁',
+    'notFound.message': 'Aucune surprise d\'anniversaire trouvée pour « {slug} ». Vérifie le lien reçu, ou demande-en un nouveau à la personne qui l\'a partagé.',
+    'link.title': 'Hmm, ce lien n\'est pas arrivé en entier 🎁',
+    'link.incomplete': 'Ce lien semble incomplet. Demande qu\'on te le renvoie.',
+    'link.damaged': 'Ce lien a été abîmé en route (il en manque peut-être une partie). Demande qu\'on te le renvoie.',
+    'link.unsupported': 'Ce navigateur est trop ancien pour ouvrir le lien. Essaie un navigateur à jour.',
+    'link.unreadable': 'Ce lien n\'a pas pu être lu. Demande qu\'on te le renvoie.'
+};
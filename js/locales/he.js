@@ -0,0 +1,91 @@
+// Hebrew UI strings (keys and placeholders as in en.js); shown right to left
+export default {
+    'page.title': 'מזל טוב ויום הולדת שמח! 💖',
+    'loading.message': 'מכינים משהו מיוחד...',
+
+    'countdown.title': 'ההפתעה שלך כמעט מוכנה',
+    'countdown.opens': 'נפתחת ב־{date}',
+    'countdown.invalid': 'זמן הפתיחה אינו תקין, ולכן ההפתעה נשארת נעולה',
+    'countdown.days': 'ימים',
+    'countdown.hours': 'שעות',
+    'countdown.minutes': 'דקות',
+    'countdown.seconds': 'שניות',
+
+    'passphrase.title': 'ההפתעה הזו נעולה',
+    'passphrase.intro': 'יש להזין את הסיסמה שקיבלת כדי לפתוח אותה.',
+    'passphrase.label': 'סיסמה',
+    'passphrase.submit': 'פתיחה',
+    'passphrase.answerIntro': 'התשובה תפתח את ההפתעה שלך 💌',
+    'passphrase.answerLabel': 'התשובה שלך',
+    'passphrase.retry1': 'לא בדיוק. ננסה שוב? 💭',
+    'passphrase.retry2': 'אולי ממש קרוב! כדאי לנסות איות אחר 💕',
+    'passphrase.retry3': 'אין לחץ. זה משהו שרק שניכם יודעים ✨',
+
+    'cake.image': 'עוגת יום הולדת',
+    'cake.scene': 'עוגת יום הולדת אינטראקטיבית - Enter או לחיצה לפעולה, גרירה לסיבוב',
+    'cake.paper': 'פתיחת תגית הנייר',
+    'cake.candles': 'נרות',
+    'cake.candle': 'כיבוי הנר',
+    'cake.candleOf': 'כיבוי נר {number} מתוך {total}',
+
+    'candles.prompt': 'ועכשיו זה הזמן לבקש משאלה ולכבות את הנר! 🕯️',
+    'candles.progress': 'כבו {out} מתוך {total} נרות — עוד קצת!',
+
+    'gift.scene': 'קופסת מתנה - Enter או לחיצה לפתיחה, גרירה לסיבוב',
+    'gift.untie': 'משיכת הסרט',
+    'gift.open': 'הרמת המכסה',
+    'gift.title': 'משהו קטן בשבילך 🎁',
+    'gift.code': 'הקוד שלך',
+    'gift.copy': 'העתקה',
+    'gift.copied': 'הועתק!',
+    'gift.copyFailed': 'יש לסמן את הקוד כדי להעתיק אותו',
+
+    'keepsake.title': 'שמירה למזכרת',
+    'keepsake.hint': 'ההודעה, התמונות והעוגה בעמוד להדפסה או לשמירה',
+    'keepsake.pdf': '📄 PDF להדפסה',
+    'keepsake.png': '🖼️ כרטיס תמונה',
+    'keepsake.working': 'המזכרת בהכנה…',
+    'keepsake.saved': 'נשמר! אפשר למצוא אותו בהורדות.',
+    'keepsake.failed': 'מצטערים, לא ניתן ליצור את המזכרת במכשיר הזה.',
+
+    'mic.button': '🎤 לנשוף למיקרופון',
+    'mic.level': 'עוצמת המיקרופון',
+    'mic.allow': 'יש לאשר גישה למיקרופון כדי לכבות את הנר…',
+    'mic.calibrating': 'רגע של שקט בזמן שאנחנו מקשיבים לחדר…',
+    'mic.blow': 'עכשיו לנשוף! 💨',
+    'mic.unavailable': 'אין מיקרופון? אין בעיה — אפשר פשוט לגעת בנר 🕯️',
+
+    'guestbook.title': 'איחולים מחברים',
+    'guestbook.carousel': 'קרוסלה',
+    'guestbook.slide': 'שקופית',
+    'guestbook.slideOf': '{number} מתוך {total}',
+    'guestbook.previous': 'האיחול הקודם',
+    'guestbook.next': 'האיחול הבא',
+    'guestbook.from': 'איחול מאת {author}',
+    'guestbook.status': 'איחול {number} מתוך {total}, מאת {author}',
+
+    'photo.alt': 'זיכרון מיוחד',
+
+    'gallery.title': 'הזיכרונות היפים שלנו',
+    'gallery.memory': 'זיכרון {number}',
+    'gallery.view': 'הצגת {alt} ({number} מתוך {total})',
+
+    'lightbox.label': 'מציג תמונות',
+    'lightbox.close': 'סגירת מציג התמונות',
+    'lightbox.previous': 'התמונה הקודמת',
+    'lightbox.next': 'התמונה הבאה',
+
+    'audio.next': 'השיר הבא',
+    'audio.mute': 'השתקת השמע',
+    'audio.unmute': 'ביטול ההשתקה',
+
+    'error.title': 'אוי! משהו השתבש 😔',
+    'error.message': 'יש לרענן את הדף ולנסות שוב.',
+    'notFound.title': 'הממ, ההפתעה הזו לא כאן 🎁',
+    'notFound.message': 'לא מצאנו הפתעת יום הולדת עבור "{slug}". כדאי לבדוק את הקישור שנשלח, או לבקש קישור חדש ממי ששיתף אותו.',
+    'link.title': 'הממ, הקישור הזה לא הגיע בשלמותו 🎁',
+    'link.incomplete': 'הקישור נראה חלקי. כדאי לבקש שישלחו אותו שוב.',
+    'link.damaged': 'הקישור נפגם בדרך (ייתכן שחסר חלק ממנו). כדאי לבקש שישלחו אותו שוב.',
+    'link.unsupported': 'הדפדפן הזה ישן מדי בשביל לפתוח את הקישור. כדאי לנסות דפדפן עדכני.',
+    'link.unreadable': 'לא ניתן היה לקרוא את הקישור. כדאי לבקש שישלחו אותו שוב.'
+};
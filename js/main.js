@@ -1,27 +1,105 @@
 // Main application logic
-import { fetchJSON, preloadImage, createElement } from './utils.js';
-import { initThreeScene, cleanupThreeScene } from './three-scene.js';
+import { preloadImage, createElement, prefersReducedMotion, formatDate, animateElement, downloadBlob } from './utils.js';
+import { initThreeScene, cleanupThreeScene, MAX_CANDLES } from './three-scene.js';
+import { loadRecipientWishes, RecipientNotFoundError } from './recipients.js';
+import { validateWishes } from './schema.js';
+import { isDevMode, logIssues, showDiagnosticsOverlay } from './diagnostics.js';
+import { Typewriter } from './typewriter.js';
+import { parseUnlockAt, getTimeRemaining } from './unlock.js';
+import { isMicrophoneSupported, startBlowDetection } from './microphone.js';
+import { normalizeGalleryItem, getMediaType, createMediaElement, observeVideos, FLYING_PHOTO_DEFAULTS } from './gallery.js';
+import { Lightbox } from './lightbox.js';
+import { createImagePlaceholder } from './placeholder.js';
+import { normalizeMusic, MusicPlayer } from './music.js';
+import { enableOffline } from './offline.js';
+import { resolveTheme, applyTheme, watchColorScheme, prefersDarkScheme } from './theme.js';
+import { normalizeCake } from './cake.js';
+import { detectQuality, getQualityOverride } from './quality.js';
+import { GuestbookCarousel } from './guestbook.js';
+import { isPreviewMode, receivePreviewWishes } from './preview.js';
+import { hasSharedWishes, isEncryptedShareLink, readShareLink, ShareLinkError } from './share-link.js';
+import { WrongPassphraseError, isEncryptedWishes, decryptWishes } from './wishes-crypto.js';
+import { pickLocale, setLocale, translatePage, getWishesLocales, localizeWishes, t } from './i18n.js';
+import { ScenePipeline, getDefaultScenes, normalizeScenes, SCENE_STATES } from './scenes.js';
+import { PluginHost, registerPlugin, APP_EVENTS } from './plugins.js';
+import { normalizeGift, nextGiftStage } from './gift.js';
+import { createKeepsakePdf, createKeepsakePng } from './keepsake.js';
+
+// Shown in turn after wrong passphrases; never an error page
+const PASSPHRASE_RETRY_MESSAGES = ['passphrase.retry1', 'passphrase.retry2', 'passphrase.retry3'];
 
 class BirthdayApp {
     constructor() {
         this.data = null;
-        this.audio = null;
+        this.recipient = null;
+        this.isPreview = isPreviewMode();
+        this.locale = null;
+        this.music = null;
         this.isAudioMuted = false;
         this.threeScene = null;
+        this.typewriter = null;
+        this.messageRevealed = false;
+        this.isLocked = false;
+        this.countdownTimer = null;
+        this.microphone = null;
+        this.candleBlown = false;
+        this.gift = null;
+        this.giftOpened = false;
+        this.giftTransition = null;
+        this.isSavingKeepsake = false;
+        this.lightbox = null;
+        this.videoObserver = null;
+        this.galleryObserver = null;
+        this.guestbook = null;
+        this.scenes = null;
+        this.palette = resolveTheme();
+        this.stopWatchingTheme = null;
+        
+        // Plugins registered so far are set up now, before anything loads
+        this.plugins = new PluginHost(this);
+        this.plugins.attach();
         
         this.init();
     }
     
     async init() {
         try {
-            // Load wishes data
-            this.data = await fetchJSON('database/wishes.json');
+            // Speak the visitor's language while the wishes load
+            await this.applyLocale(pickLocale());
+            
+            const { slug, data } = await this.loadWishes();
+            this.recipient = slug;
+            this.data = await this.localizeData(this.validateData(data));
+            this.setupTheme();
             
             // Initialize UI
             this.setupUI();
+            document.documentElement.classList.remove('loading');
+            this.plugins.emit(APP_EVENTS.DATA_LOADED, {
+                data: this.data,
+                recipient: this.recipient,
+                locale: this.locale
+            });
+            
+            // Cache the shell and this surprise's media for offline visits
+            // (a preview's media is still being edited)
+            if (!this.isPreview) {
+                enableOffline({
+                    ...this.data,
+                    flyingPhoto: this.data.flyingPhoto || FLYING_PHOTO_DEFAULTS
+                }, ['assets/images/cake-thumb.webp']);
+            }
+            
+            // Keep the surprise sealed until its unlock time
+            await this.waitForUnlock();
             
             // Initialize 3D scene or fallback
             await this.initScene();
+            this.plugins.emit(APP_EVENTS.SCENE_READY, {
+                mode: this.threeScene ? '3d' : '2d',
+                container: document.getElementById('cake-container'),
+                scene: this.threeScene
+            });
             
             // Setup event listeners
             this.setupEventListeners();
@@ -29,42 +107,310 @@ class BirthdayApp {
             // Setup audio
             this.setupAudio();
             
+            // Wait for the paper tag, then play the reveal in order
+            this.startScenes();
+            
         } catch (error) {
+            if (error instanceof RecipientNotFoundError) {
+                console.warn(error.message);
+                this.showNotFound(error.slug);
+                return;
+            }
+            
+            if (error instanceof ShareLinkError) {
+                console.warn(error.message);
+                this.showLinkProblem(error);
+                return;
+            }
+            
             console.error('Failed to initialize app:', error);
             this.showError();
+        } finally {
+            document.documentElement.classList.remove('loading');
+        }
+    }
+    
+    /**
+     * Load the wishes document: from the editor when running as its live
+     * preview, from the link itself for share links, otherwise the file for
+     * the recipient named in the URL
+     * @returns {Promise<{slug: string|null, data: Object}>} Recipient slug and raw wishes
+     */
+    async loadWishes() {
+        if (this.isPreview) {
+            return receivePreviewWishes();
+        }
+        
+        if (hasSharedWishes()) {
+            const { hash } = window.location;
+            const data = isEncryptedShareLink(hash)
+                ? await this.askPassphrase(passphrase => readShareLink(hash, passphrase))
+                : await readShareLink(hash);
+            return { slug: null, data };
+        }
+        
+        const recipient = await loadRecipientWishes();
+        if (!isEncryptedWishes(recipient.data)) {
+            return recipient;
+        }
+        
+        // The envelope's own theme dresses the prompt until the wishes are open
+        const envelope = recipient.data;
+        applyTheme(resolveTheme(envelope.theme, prefersDarkScheme()));
+        const data = await this.askPassphrase(answer => decryptWishes(envelope, answer), envelope.hint);
+        return { slug: recipient.slug, data };
+    }
+    
+    /**
+     * Switch the UI strings, lang and dir to a locale
+     * @param {string} locale - Language tag
+     */
+    async applyLocale(locale) {
+        this.locale = await setLocale(locale);
+        translatePage();
+    }
+    
+    /**
+     * Settle on the page language now the surprise's own languages are
+     * known, and pick its text in that language
+     * @param {Object} data - Validated wishes document
+     * @returns {Promise<Object>} Wishes with plain text in every localized field
+     */
+    async localizeData(data) {
+        const locale = pickLocale({
+            available: getWishesLocales(data),
+            fallback: data.locale
+        });
+        if (locale !== this.locale) {
+            await this.applyLocale(locale);
+        }
+        return localizeWishes(data, locale);
+    }
+    
+    /**
+     * Show the passphrase prompt until `open` accepts a passphrase
+     * @param {Function} open - Called with the passphrase; rejects with WrongPassphraseError to retry
+     * @param {string} hint - Question to ask instead of the generic title
+     * @returns {Promise<*>} Whatever `open` resolved with
+     */
+    askPassphrase(open, hint = '') {
+        const section = document.getElementById('passphrase-section');
+        const card = section.querySelector('.countdown-card');
+        const heroSection = document.getElementById('hero-section');
+        const form = document.getElementById('passphrase-form');
+        const input = document.getElementById('passphrase-input');
+        const submitBtn = document.getElementById('passphrase-submit');
+        const errorEl = document.getElementById('passphrase-error');
+        
+        let attempts = 0;
+        
+        if (hint) {
+            document.getElementById('passphrase-title').textContent = hint;
+            document.getElementById('passphrase-intro').textContent = t('passphrase.answerIntro');
+            document.querySelector('label[for="passphrase-input"]').textContent = t('passphrase.answerLabel');
+            input.setAttribute('type', 'text');
+        }
+        
+        document.documentElement.classList.remove('loading');
+        heroSection.classList.add('hidden');
+        section.classList.remove('hidden');
+        input.focus();
+        
+        return new Promise((resolve, reject) => {
+            const onSubmit = async (e) => {
+                e.preventDefault();
+                if (!input.value) return;
+                
+                submitBtn.disabled = true;
+                errorEl.textContent = '';
+                
+                try {
+                    const result = await open(input.value);
+                    form.removeEventListener('submit', onSubmit);
+                    section.classList.add('hidden');
+                    heroSection.classList.remove('hidden');
+                    resolve(result);
+                } catch (error) {
+                    if (!(error instanceof WrongPassphraseError)) {
+                        form.removeEventListener('submit', onSubmit);
+                        reject(error);
+                        return;
+                    }
+                    errorEl.textContent = t(PASSPHRASE_RETRY_MESSAGES[attempts % PASSPHRASE_RETRY_MESSAGES.length]);
+                    attempts++;
+                    input.select();
+                    if (!prefersReducedMotion()) {
+                        animateElement(card, 'gentle-shake', 500);
+                    }
+                } finally {
+                    submitBtn.disabled = false;
+                }
+            };
+            
+            form.addEventListener('submit', onSubmit);
+        });
+    }
+    
+    validateData(data) {
+        const { data: validData, issues } = validateWishes(data);
+        const source = this.recipient ? `wishes for "${this.recipient}"` : 'wishes.json';
+        
+        if (issues.length) {
+            logIssues(issues, source);
+            // The editor lists the issues beside its preview
+            if (isDevMode() && !this.isPreview) {
+                showDiagnosticsOverlay(issues, source);
+            }
         }
+        
+        // Only a document that isn't an object at all is fatal; anything
+        // else degrades section by section
+        if (!validData) {
+            throw new Error(`Invalid ${source}`);
+        }
+        
+        return validData;
+    }
+    
+    setupTheme() {
+        this.palette = resolveTheme(this.data.theme, prefersDarkScheme());
+        applyTheme(this.palette);
+        
+        // Follow the device between light and dark while the page is open
+        this.stopWatchingTheme = watchColorScheme(this.data.theme, (palette) => {
+            this.palette = palette;
+            applyTheme(palette);
+            if (this.threeScene) {
+                this.threeScene.setPalette(palette);
+            }
+        });
     }
     
     setupUI() {
-        // Populate content from wishes.json
-        const titleEl = document.getElementById('birthday-title');
-        const subtitleEl = document.getElementById('birthday-subtitle');
-        const messageEl = document.getElementById('birthday-message');
-        const senderEl = document.getElementById('birthday-sender');
-        
-        if (titleEl) titleEl.textContent = this.data.title;
-        if (subtitleEl) subtitleEl.textContent = this.data.subtitle;
-        if (messageEl) messageEl.textContent = this.data.message;
-        if (senderEl) senderEl.textContent = this.data.sender;
-        
-        // Populate gallery
+        // Populate content from wishes.json, hiding anything that's missing
+        this.setText('birthday-title', this.data.title);
+        this.setText('birthday-subtitle', this.data.subtitle);
+        this.setText('birthday-message', this.data.message);
+        this.setText('birthday-sender', this.data.sender);
+        
+        // Populate gallery and guestbook
         this.populateGallery();
+        this.populateGuestbook();
         
         // Setup flying photo
         this.setupFlyingPhoto();
+        
+        this.setupGift();
+    }
+    
+    setText(id, value) {
+        const el = document.getElementById(id);
+        if (!el) return;
+        
+        if (value) {
+            el.textContent = value;
+            el.classList.remove('hidden');
+        } else {
+            el.textContent = '';
+            el.classList.add('hidden');
+        }
+    }
+    
+    hasGallery() {
+        return Array.isArray(this.data.gallery) && this.data.gallery.length > 0;
+    }
+    
+    waitForUnlock() {
+        if (!this.data.unlockAt) return Promise.resolve();
+        
+        let unlockDate = null;
+        try {
+            unlockDate = parseUnlockAt(this.data.unlockAt);
+        } catch (error) {
+            // Already reported by the validator
+        }
+        if (unlockDate && getTimeRemaining(unlockDate).total === 0) return Promise.resolve();
+        
+        this.isLocked = true;
+        
+        const heroSection = document.getElementById('hero-section');
+        const countdownSection = document.getElementById('countdown-section');
+        const dateEl = document.getElementById('countdown-date');
+        
+        if (heroSection) heroSection.classList.add('hidden');
+        if (countdownSection) countdownSection.classList.remove('hidden');
+        
+        // A time we can't read never opens the surprise early
+        if (!unlockDate) {
+            const timer = countdownSection && countdownSection.querySelector('.countdown-timer');
+            if (timer) timer.classList.add('hidden');
+            if (dateEl) dateEl.textContent = t('countdown.invalid');
+            return new Promise(() => {});
+        }
+        
+        // Shown in the visitor's own time zone
+        if (dateEl) {
+            dateEl.textContent = t('countdown.opens', {
+                date: formatDate(unlockDate, {
+                    weekday: 'long',
+                    hour: 'numeric',
+                    minute: '2-digit',
+                    timeZoneName: 'short'
+                })
+            });
+        }
+        
+        return new Promise(resolve => {
+            const tick = () => {
+                const remaining = getTimeRemaining(unlockDate);
+                this.renderCountdown(remaining);
+                
+                if (remaining.total === 0) {
+                    clearInterval(this.countdownTimer);
+                    document.removeEventListener('visibilitychange', tick);
+                    this.countdownTimer = null;
+                    this.isLocked = false;
+                    
+                    if (countdownSection) countdownSection.classList.add('hidden');
+                    if (heroSection) heroSection.classList.remove('hidden');
+                    resolve();
+                }
+            };
+            
+            // Recompute from the clock on every tick so sleeping tabs catch up
+            this.countdownTimer = setInterval(tick, 1000);
+            document.addEventListener('visibilitychange', tick);
+            tick();
+        });
+    }
+    
+    renderCountdown(remaining) {
+        ['days', 'hours', 'minutes', 'seconds'].forEach(unit => {
+            const el = document.getElementById(`countdown-${unit}`);
+            if (el) {
+                el.textContent = String(remaining[unit]).padStart(unit === 'days' ? 1 : 2, '0');
+            }
+        });
     }
     
     async initScene() {
         const container = document.getElementById('cake-container');
         const fallback = document.getElementById('fallback-cake');
         
-        // Check if we should use 3D scene
-        const shouldUse3D = this.shouldUse3D();
+        // Pick a quality tier, or the 2D cake for devices that can't cope
+        const quality = this.getQuality();
         
-        if (shouldUse3D) {
+        if (quality.level !== '2d') {
             try {
-                this.threeScene = await initThreeScene(container);
-                console.log('3D scene initialized');
+                this.threeScene = await initThreeScene(container, {
+                    candles: this.getCandleCount(),
+                    palette: this.palette,
+                    cake: normalizeCake(this.data.cake, this.data.name),
+                    quality: quality.level,
+                    adaptive: quality.adaptive,
+                    gift: this.gift
+                });
+                console.log(`3D scene initialized (${quality.level} quality)`);
             } catch (error) {
                 console.warn('3D scene failed, using fallback:', error);
                 this.showFallback();
@@ -75,13 +421,21 @@ class BirthdayApp {
         }
     }
     
-    shouldUse3D() {
-        // Device capability checks
-        const hasWebGL = this.hasWebGLSupport();
-        const hasEnoughMemory = navigator.deviceMemory ? navigator.deviceMemory >= 2 : true;
-        const isLargeScreen = window.innerWidth >= 420;
+    getQuality() {
+        // ?quality=low|medium|high|2d pins a tier for debugging
+        const override = getQualityOverride();
+        if (override) {
+            return { level: override, adaptive: false };
+        }
         
-        return hasWebGL && hasEnoughMemory && isLargeScreen;
+        // Device capability checks
+        const level = detectQuality({
+            webgl: this.hasWebGLSupport(),
+            memory: navigator.deviceMemory,
+            cores: navigator.hardwareConcurrency,
+            width: window.innerWidth
+        });
+        return { level, adaptive: true };
     }
     
     hasWebGLSupport() {
@@ -104,32 +458,43 @@ class BirthdayApp {
     setupEventListeners() {
         // Paper click events (3D scene dispatches custom events)
         document.addEventListener('paper:clicked', () => this.handlePaperClick());
+        document.addEventListener('candle:extinguished', (e) => this.handleCandleProgress(e.detail));
         document.addEventListener('candle:blown', () => this.handleCandleBlow());
         
         // Fallback button events
         const paperBtn = document.getElementById('paper-button');
-        const candleBtn = document.getElementById('candle-button');
         
         if (paperBtn) {
-            paperBtn.addEventListener('click', () => this.handlePaperClick());
+            paperBtn.addEventListener('click', () => this.openPaper());
             paperBtn.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
-                    this.handlePaperClick();
+                    this.openPaper();
                 }
             });
         }
         
-        if (candleBtn) {
-            candleBtn.addEventListener('click', () => this.handleCandleBlow());
-            candleBtn.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleCandleBlow();
-                }
-            });
+        this.setupFallbackCandles();
+        
+        // Gift box: the 3D one dispatches gift:opened itself
+        document.addEventListener('gift:opened', () => this.handleGiftOpened());
+        const giftBtn = document.getElementById('gift-button');
+        if (giftBtn) {
+            giftBtn.addEventListener('click', () => this.unwrapGift(giftBtn));
+        }
+        const copyBtn = document.getElementById('gift-copy');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => this.copyGiftCode());
         }
         
+        // Keepsake downloads
+        document.querySelectorAll('.keepsake-button').forEach(btn => {
+            btn.addEventListener('click', () => this.saveKeepsake(btn.dataset.format));
+        });
+        
+        // Opt-in microphone blowing
+        this.setupMicrophone();
+        
         // Audio controls
         const muteBtn = document.getElementById('mute-button');
         if (muteBtn) {
@@ -155,149 +520,732 @@ class BirthdayApp {
         });
     }
     
+    // The fallback tag sends the same event as the 3D one, so scenes have a single trigger
+    openPaper() {
+        if (this.isLocked || this.messageRevealed) return;
+        document.dispatchEvent(new CustomEvent('paper:clicked'));
+    }
+    
     handlePaperClick() {
-        console.log('Paper clicked - revealing message');
+        if (this.isLocked || this.messageRevealed) return;
+        this.messageRevealed = true;
+        
+        console.log('Paper clicked - starting the reveal');
         
         // Hide paper button
         const paperBtn = document.getElementById('paper-button');
         if (paperBtn) {
             paperBtn.style.display = 'none';
         }
+    }
+    
+    startScenes() {
+        const scenes = this.data.scenes && this.data.scenes.length
+            ? this.data.scenes
+            : getDefaultScenes(this.data);
         
-        // Show message section
-        const messageSection = document.getElementById('message-section');
-        if (messageSection) {
-            messageSection.classList.remove('hidden');
-            
-            // Focus management for accessibility
-            const titleEl = document.getElementById('birthday-title');
-            if (titleEl) {
-                titleEl.focus();
+        this.scenes = new ScenePipeline(normalizeScenes(scenes), {
+            run: (scene, index) => this.runScene(scene, index),
+            listen: (name, handler) => {
+                document.addEventListener(name, handler);
+                return () => document.removeEventListener(name, handler);
+            },
+            // A reveal without candles still ends with something to keep
+            onChange: (state) => {
+                if (state === SCENE_STATES.DONE) {
+                    this.offerKeepsake();
+                }
+            }
+        });
+        this.scenes.start();
+    }
+    
+    /**
+     * Perform one step of the reveal
+     * @param {Object} scene - Normalized scene
+     * @param {number} index - Position in the reveal
+     * @returns {Promise|undefined} Settles when the next step may start
+     */
+    runScene({ type, transition }, index) {
+        this.plugins.emit(APP_EVENTS.REVEAL_STEP, { type, index });
+        
+        switch (type) {
+            case 'message': {
+                const messageSection = document.getElementById('message-section');
+                if (!messageSection) return undefined;
+                
+                this.showSection(messageSection, transition);
+                
+                // Focus management for accessibility
+                const titleEl = document.getElementById('birthday-title');
+                if (titleEl) {
+                    titleEl.focus();
+                }
+                return this.revealMessage().then(() => {
+                    this.plugins.emit(APP_EVENTS.MESSAGE_REVEALED, { title: this.data.title });
+                });
             }
+            case 'guestbook':
+                if (this.guestbook) {
+                    this.showSection(document.getElementById('guestbook-section'), transition);
+                }
+                return undefined;
+            case 'candle':
+                return this.offerCandles(transition);
+            case 'music':
+                this.playAudio();
+                return undefined;
+            case 'flyingPhoto': {
+                const flyingPhotoSection = document.getElementById('flying-photo-section');
+                if (flyingPhotoSection) {
+                    this.showSection(flyingPhotoSection, transition);
+                    this.revealFlyingPhoto();
+                }
+                return undefined;
+            }
+            case 'gallery': {
+                const gallerySection = document.getElementById('gallery-section');
+                if (gallerySection && this.hasGallery()) {
+                    this.showSection(gallerySection, transition);
+                    gallerySection.setAttribute('aria-hidden', 'false');
+                    this.observeGallery(gallerySection);
+                    this.plugins.emit(APP_EVENTS.GALLERY_SHOWN, { section: gallerySection });
+                }
+                return undefined;
+            }
+            case 'confetti':
+                this.createConfetti();
+                return undefined;
+            case 'gift':
+                return this.offerGift(transition);
+            default:
+                return undefined;
         }
+    }
+    
+    showSection(section, transition) {
+        if (!section) return;
         
-        // Show blow prompt and candle button
-        setTimeout(() => {
-            const blowPrompt = document.getElementById('blow-prompt');
-            const candleBtn = document.getElementById('candle-button');
+        if (transition) {
+            section.dataset.transition = transition;
+        }
+        section.classList.remove('hidden');
+    }
+    
+    // Show the blow prompt and candle buttons; resolves once every candle is out
+    offerCandles(transition) {
+        if (this.candleBlown) return undefined;
+        
+        const blowPrompt = document.getElementById('blow-prompt');
+        const candleButtons = document.getElementById('candle-buttons');
+        
+        this.showSection(blowPrompt, transition);
+        
+        if (candleButtons) {
+            candleButtons.classList.remove('hidden');
+            this.focusNextCandle(); // Focus on candle for keyboard users
+        }
+        
+        return new Promise(resolve => {
+            document.addEventListener('candle:blown', resolve, { once: true });
+        });
+    }
+    
+    setupGift() {
+        this.gift = normalizeGift(this.data.gift);
+        if (!this.gift) return;
+        
+        this.setText('gift-title', this.gift.title || t('gift.title'));
+        this.setText('gift-text', this.gift.text);
+        
+        const image = document.getElementById('gift-image');
+        if (image && this.gift.image) {
+            image.loading = 'lazy';
+            image.src = this.gift.image;
+            image.alt = this.gift.alt;
+            image.classList.remove('hidden');
+        }
+        
+        if (this.gift.code) {
+            document.getElementById('gift-code-value').textContent = this.gift.code;
+            document.getElementById('gift-code').classList.remove('hidden');
+        }
+    }
+    
+    // Bring out the gift box by the cake; resolves once it's been opened
+    offerGift(transition) {
+        if (!this.gift || this.giftOpened) return undefined;
+        this.giftTransition = transition;
+        
+        const giftBtn = document.getElementById('gift-button');
+        if (this.threeScene && this.threeScene.showGift()) {
+            const canvas = document.querySelector('#cake-container canvas');
+            if (canvas) canvas.focus({ preventScroll: true });
+        } else if (giftBtn) {
+            giftBtn.classList.remove('hidden');
+            giftBtn.focus({ preventScroll: true });
+        }
+        
+        // The cake may have scrolled out of view by now
+        const heroSection = document.getElementById('hero-section');
+        if (heroSection) {
+            heroSection.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' });
+        }
+        
+        return new Promise(resolve => {
+            document.addEventListener('gift:opened', resolve, { once: true });
+        });
+    }
+    
+    // 2D gift: the first press pulls the ribbon, the second lifts the lid
+    unwrapGift(btn) {
+        if (this.isLocked || this.giftOpened) return;
+        
+        const stage = nextGiftStage(btn.dataset.stage);
+        btn.dataset.stage = stage;
+        
+        if (stage === 'open') {
+            btn.classList.add('hidden');
+            document.dispatchEvent(new CustomEvent('gift:opened'));
+        } else {
+            btn.setAttribute('aria-label', t('gift.open'));
+        }
+    }
+    
+    handleGiftOpened() {
+        if (this.isLocked || this.giftOpened || !this.gift) return;
+        this.giftOpened = true;
+        
+        console.log('Gift opened');
+        
+        this.showSection(document.getElementById('gift-section'), this.giftTransition);
+        const titleEl = document.getElementById('gift-title');
+        if (titleEl) {
+            titleEl.focus();
+        }
+        
+        this.plugins.emit(APP_EVENTS.GIFT_OPENED, { gift: this.gift });
+    }
+    
+    async copyGiftCode() {
+        const status = document.getElementById('gift-status');
+        
+        try {
+            await navigator.clipboard.writeText(this.gift.code);
+            status.textContent = t('gift.copied');
+        } catch (error) {
+            // No clipboard access (e.g. plain http); the code selects with one tap
+            status.textContent = t('gift.copyFailed');
+        }
+    }
+    
+    async revealMessage() {
+        const settings = this.data.typewriter || {};
+        if (settings.enabled === false || prefersReducedMotion()) return;
+        
+        const messageSection = document.getElementById('message-section');
+        const elements = ['birthday-title', 'birthday-subtitle', 'birthday-message', 'birthday-sender']
+            .map(id => document.getElementById(id))
+            .filter(el => el && el.textContent && !el.classList.contains('hidden'));
+        
+        if (!messageSection || elements.length === 0) return;
+        
+        this.typewriter = new Typewriter(settings);
+        
+        // Click or tap on the card, or Enter/Space/Escape, skips to the end
+        const skip = (e) => {
+            // Ignore the key press that opened the paper tag itself
+            if (e.type === 'keydown' &&
+                (e.defaultPrevented || !['Enter', ' ', 'Escape'].includes(e.key))) return;
+            this.typewriter.skip();
+        };
+        messageSection.addEventListener('click', skip);
+        document.addEventListener('keydown', skip);
+        
+        // Hold announcements until the full text is in place
+        messageSection.setAttribute('aria-busy', 'true');
+        
+        await this.typewriter.reveal(elements);
+        
+        messageSection.removeAttribute('aria-busy');
+        messageSection.removeEventListener('click', skip);
+        document.removeEventListener('keydown', skip);
+        this.typewriter = null;
+    }
+    
+    setupMicrophone() {
+        const micControls = document.getElementById('mic-controls');
+        const micBtn = document.getElementById('mic-button');
+        
+        if (!micControls || !micBtn || this.data.microphone === false || !isMicrophoneSupported()) {
+            return;
+        }
+        
+        micControls.classList.remove('hidden');
+        micBtn.addEventListener('click', () => this.startMicrophone());
+    }
+    
+    async startMicrophone() {
+        if (this.microphone || this.candleBlown) return;
+        
+        const micBtn = document.getElementById('mic-button');
+        const meter = document.getElementById('mic-meter');
+        const meterFill = document.getElementById('mic-meter-fill');
+        const status = document.getElementById('mic-status');
+        const setStatus = (text) => {
+            if (status) status.textContent = text;
+        };
+        
+        if (micBtn) micBtn.disabled = true;
+        setStatus(t('mic.allow'));
+        
+        // Stands in while the permission prompt is open, so blowing the candles
+        // out by tap in the meantime still gets the stream stopped
+        let cancelled = false;
+        this.microphone = {
+            stop: () => {
+                cancelled = true;
+            }
+        };
+        
+        try {
+            const microphone = await startBlowDetection({
+                onStatus: (state) => {
+                    setStatus(t(state === 'calibrating' ? 'mic.calibrating' : 'mic.blow'));
+                },
+                onLevel: (level) => {
+                    const percent = Math.round(level * 100);
+                    if (meterFill) meterFill.style.width = `${percent}%`;
+                    if (meter) meter.setAttribute('aria-valuenow', String(percent));
+                },
+                onBlow: () => {
+                    this.microphone = null;
+                    this.blowOutCandle();
+                }
+            });
             
-            if (blowPrompt) {
-                blowPrompt.classList.remove('hidden');
+            if (cancelled) {
+                microphone.stop();
+                return;
             }
+            this.microphone = microphone;
+            
+            if (micBtn) micBtn.classList.add('hidden');
+            if (meter) meter.classList.remove('hidden');
+        } catch (error) {
+            if (cancelled) return;
+            
+            console.warn('Microphone unavailable, falling back to the button:', error);
+            this.microphone = null;
             
-            if (candleBtn) {
-                candleBtn.classList.remove('hidden');
-                candleBtn.focus(); // Focus on candle for keyboard users
+            if (micBtn) micBtn.classList.add('hidden');
+            if (meter) meter.classList.add('hidden');
+            setStatus(t('mic.unavailable'));
+            
+            this.focusNextCandle();
+        }
+    }
+    
+    stopMicrophone() {
+        if (this.microphone) {
+            this.microphone.stop();
+            this.microphone = null;
+        }
+    }
+    
+    blowOutCandle() {
+        // A real breath gets every candle at once; both paths end in candle:blown
+        if (this.threeScene) {
+            this.threeScene.blowOutCandles();
+        } else {
+            this.getLitFallbackCandles().forEach(btn => this.extinguishFallbackCandle(btn));
+        }
+    }
+    
+    getCandleCount() {
+        const count = this.data.candles || this.data.age || 1;
+        return Math.min(count, MAX_CANDLES);
+    }
+    
+    setupFallbackCandles() {
+        const template = document.getElementById('candle-button');
+        if (!template) return;
+        
+        const total = this.getCandleCount();
+        const buttons = [template];
+        
+        for (let i = 1; i < total; i++) {
+            const clone = template.cloneNode(true);
+            clone.removeAttribute('id');
+            template.parentNode.appendChild(clone);
+            buttons.push(clone);
+        }
+        
+        buttons.forEach((btn, index) => {
+            btn.dataset.index = String(index);
+            if (total > 1) {
+                btn.setAttribute('aria-label', t('cake.candleOf', { number: index + 1, total }));
             }
-        }, 2000);
+            btn.addEventListener('click', () => this.extinguishFallbackCandle(btn));
+        });
     }
     
-    handleCandleBlow() {
-        console.log('Candle blown - revealing gallery and starting music');
+    getLitFallbackCandles() {
+        return Array.from(document.querySelectorAll('#candle-buttons .candle-button:not(.blown)'));
+    }
+    
+    extinguishFallbackCandle(btn) {
+        if (this.isLocked || btn.classList.contains('blown')) return;
+        
+        btn.classList.add('blown');
+        btn.disabled = true;
+        
+        const lit = this.getLitFallbackCandles();
+        const total = document.querySelectorAll('#candle-buttons .candle-button').length;
         
-        // Hide candle button
-        const candleBtn = document.getElementById('candle-button');
-        if (candleBtn) {
-            candleBtn.style.display = 'none';
+        // Same events as the 3D scene
+        document.dispatchEvent(new CustomEvent('candle:extinguished', {
+            detail: { index: Number(btn.dataset.index), remaining: lit.length, total }
+        }));
+        
+        if (lit.length === 0) {
+            document.dispatchEvent(new CustomEvent('candle:blown'));
+        } else if (document.activeElement === btn || document.activeElement === document.body) {
+            lit[0].focus();
+        }
+    }
+    
+    focusNextCandle() {
+        if (this.threeScene) {
+            const canvas = document.querySelector('#cake-container canvas');
+            if (canvas) canvas.focus();
+            return;
         }
         
-        // Start music (this is user-initiated, so autoplay is allowed)
-        this.playAudio();
+        const [next] = this.getLitFallbackCandles();
+        if (next) next.focus();
+    }
+    
+    handleCandleProgress({ remaining, total }) {
+        const progress = document.getElementById('candle-progress');
+        if (!progress || total <= 1 || remaining === 0) return;
         
-        // Show audio controls
-        const audioControls = document.getElementById('audio-controls');
-        if (audioControls) {
-            audioControls.classList.remove('hidden');
+        const out = total - remaining;
+        progress.textContent = t('candles.progress', { count: total, out, total });
+        progress.classList.remove('hidden');
+    }
+    
+    handleCandleBlow() {
+        if (this.isLocked || this.candleBlown) return;
+        this.candleBlown = true;
+        
+        console.log('Candle blown');
+        
+        // Release the microphone if it was listening
+        this.stopMicrophone();
+        const micControls = document.getElementById('mic-controls');
+        if (micControls) {
+            micControls.classList.add('hidden');
+        }
+        
+        // Hide candle buttons and progress
+        const candleButtons = document.getElementById('candle-buttons');
+        if (candleButtons) {
+            candleButtons.style.display = 'none';
         }
         
-        // Show flying photo
-        const flyingPhotoSection = document.getElementById('flying-photo-section');
-        if (flyingPhotoSection) {
-            flyingPhotoSection.classList.remove('hidden');
-            this.revealFlyingPhoto();
+        const progress = document.getElementById('candle-progress');
+        if (progress) {
+            progress.classList.add('hidden');
         }
         
-        // Show gallery
-        const gallerySection = document.getElementById('gallery-section');
-        if (gallerySection) {
-            gallerySection.classList.remove('hidden');
-            gallerySection.setAttribute('aria-hidden', 'false');
+        // Music moves on to its candle phase; the scenes decide what follows
+        if (this.music) {
+            this.music.setPhase('candle');
         }
         
-        // Trigger confetti effect
-        this.createConfetti();
+        this.offerKeepsake();
+        this.plugins.emit(APP_EVENTS.CANDLE_BLOWN);
+    }
+    
+    offerKeepsake() {
+        if (this.data.keepsake === false) return;
+        this.showSection(document.getElementById('keepsake-section'));
+    }
+    
+    // What the keepsake shows, in the page's language and fonts
+    getKeepsakeContent() {
+        const fontOf = (id) => {
+            const el = document.getElementById(id);
+            return el ? getComputedStyle(el).fontFamily : 'sans-serif';
+        };
+        
+        // Videos are represented by their poster; ones without are left out
+        const photos = (this.data.gallery || [])
+            .map((entry, index) => normalizeGalleryItem(entry, index))
+            .map(item => ({ src: item.type === 'video' ? item.poster : item.src, caption: item.caption }))
+            .filter(photo => photo.src);
+        
+        return {
+            title: this.data.title || '',
+            subtitle: this.data.subtitle || '',
+            message: this.data.message || '',
+            sender: this.data.sender || '',
+            date: formatDate(new Date()),
+            snapshot: (this.threeScene && this.threeScene.snapshot()) || 'assets/images/cake-thumb.webp',
+            photos,
+            galleryTitle: t('gallery.title'),
+            // The light variant, unless the theme insists; dark pages waste ink
+            palette: resolveTheme(this.data.theme),
+            fonts: { title: fontOf('birthday-title'), body: fontOf('birthday-message') },
+            direction: document.documentElement.dir === 'rtl' ? 'rtl' : 'ltr'
+        };
+    }
+    
+    /**
+     * Lay the surprise out and download it
+     * @param {string} format - 'pdf' for printable pages, 'png' for one card
+     */
+    async saveKeepsake(format) {
+        if (this.isSavingKeepsake) return;
+        this.isSavingKeepsake = true;
+        
+        const type = format === 'png' ? 'png' : 'pdf';
+        const status = document.getElementById('keepsake-status');
+        const buttons = document.querySelectorAll('.keepsake-button');
+        buttons.forEach(btn => {
+            btn.disabled = true;
+        });
+        status.textContent = t('keepsake.working');
+        
+        try {
+            // Canvas text only uses fonts that have finished loading
+            if (document.fonts) {
+                await document.fonts.ready;
+            }
+            
+            const content = this.getKeepsakeContent();
+            const blob = type === 'png'
+                ? await createKeepsakePng(content)
+                : await createKeepsakePdf(content);
+            downloadBlob(blob, `${this.recipient || 'birthday'}-keepsake.${type}`);
+            
+            status.textContent = t('keepsake.saved');
+            this.plugins.emit(APP_EVENTS.KEEPSAKE_SAVED, { format: type });
+        } catch (error) {
+            console.error('Failed to save the keepsake:', error);
+            status.textContent = t('keepsake.failed');
+        } finally {
+            buttons.forEach(btn => {
+                btn.disabled = false;
+            });
+            this.isSavingKeepsake = false;
+        }
     }
     
     setupAudio() {
-        this.audio = document.getElementById('birthday-audio');
-        if (this.audio && this.data.music) {
-            this.audio.src = this.data.music;
+        if (!this.data.music) return;
+        
+        this.music = new MusicPlayer(normalizeMusic(this.data.music), {
+            element: document.getElementById('birthday-audio'),
+            onTrackChange: (track) => this.updateNowPlaying(track)
+        });
+        
+        const skipBtn = document.getElementById('skip-button');
+        if (skipBtn) {
+            skipBtn.addEventListener('click', () => this.music.next());
         }
     }
     
     playAudio() {
-        if (this.audio) {
-            this.audio.play().catch(error => {
-                console.warn('Audio playback failed:', error);
-            });
+        if (!this.music) return;
+        
+        this.music.start();
+        
+        // Show audio controls
+        const audioControls = document.getElementById('audio-controls');
+        if (audioControls) {
+            audioControls.classList.remove('hidden');
         }
     }
     
+    updateNowPlaying(track) {
+        const nowPlaying = document.getElementById('now-playing');
+        const skipBtn = document.getElementById('skip-button');
+        
+        if (nowPlaying) {
+            nowPlaying.textContent = track && track.title ? `♪ ${track.title}` : '';
+            nowPlaying.classList.toggle('hidden', !(track && track.title));
+        }
+        
+        if (skipBtn) {
+            skipBtn.classList.toggle('hidden', !this.music.canSkip());
+        }
+    }
+    
+    observeGallery(gallerySection) {
+        if (!this.music || this.galleryObserver || !('IntersectionObserver' in window)) return;
+        
+        this.galleryObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => this.music.setGalleryVisible(entry.isIntersecting));
+        }, { threshold: 0.3 });
+        this.galleryObserver.observe(gallerySection);
+    }
+    
     toggleMute() {
-        if (this.audio) {
+        if (this.music) {
             this.isAudioMuted = !this.isAudioMuted;
-            this.audio.muted = this.isAudioMuted;
+            this.music.setMuted(this.isAudioMuted);
             
             const muteBtn = document.getElementById('mute-button');
             const unmutedIcon = muteBtn.querySelector('.unmuted');
             const mutedIcon = muteBtn.querySelector('.muted');
             
+            // Muting the app silences a lightbox video the visitor unmuted too
+            if (this.isAudioMuted && this.lightbox) {
+                this.lightbox.mute();
+            }
+            
             if (this.isAudioMuted) {
                 unmutedIcon.classList.add('hidden');
                 mutedIcon.classList.remove('hidden');
-                muteBtn.setAttribute('aria-label', 'Unmute audio');
+                muteBtn.setAttribute('aria-label', t('audio.unmute'));
             } else {
                 unmutedIcon.classList.remove('hidden');
                 mutedIcon.classList.add('hidden');
-                muteBtn.setAttribute('aria-label', 'Mute audio');
+                muteBtn.setAttribute('aria-label', t('audio.mute'));
             }
         }
     }
     
     populateGallery() {
         const galleryGrid = document.getElementById('gallery-grid');
-        if (!galleryGrid || !this.data.gallery) return;
-        
-        this.data.gallery.forEach((imagePath, index) => {
-            const item = createElement('div', { className: 'gallery-item' });
-            const img = createElement('img', {
-                src: imagePath,
-                alt: `Memory ${index + 1}`,
-                loading: 'lazy'
+        if (!galleryGrid || !this.hasGallery()) return;
+        
+        const items = this.data.gallery.map(normalizeGalleryItem);
+        const videos = [];
+        
+        items.forEach((entry, index) => {
+            const item = createElement('button', {
+                className: 'gallery-item',
+                type: 'button',
+                'aria-label': t('gallery.view', { alt: entry.alt, number: index + 1, total: items.length })
             });
+            const media = createMediaElement(entry, {
+                alt: '',
+                lazy: true,
+                reducedMotion: prefersReducedMotion()
+            });
+            
+            item.appendChild(media);
+            
+            if (entry.type === 'video') {
+                item.classList.add('is-video');
+                videos.push(media);
+            }
+            
+            if (entry.caption) {
+                item.appendChild(createElement('span', {
+                    className: 'gallery-caption',
+                    textContent: entry.caption
+                }));
+            }
             
-            item.appendChild(img);
+            item.addEventListener('click', () => this.openLightbox(items, index, item));
             galleryGrid.appendChild(item);
         });
+        
+        if (videos.length) {
+            this.videoObserver = observeVideos(videos);
+        }
     }
     
-    setupFlyingPhoto() {
-        const fullImg = document.getElementById('flying-photo-full');
-        if (fullImg) {
-            // Preload the full image
-            preloadImage(fullImg.src).then(() => {
-                console.log('Flying photo preloaded');
-            }).catch(error => {
-                console.warn('Failed to preload flying photo:', error);
+    populateGuestbook() {
+        const carousel = document.getElementById('guestbook-carousel');
+        const entries = this.data.guestbook || [];
+        if (!carousel || !entries.length) return;
+        
+        this.guestbook = new GuestbookCarousel(carousel, entries);
+    }
+    
+    openLightbox(items, index, trigger) {
+        if (!this.lightbox) {
+            this.lightbox = new Lightbox(items, {
+                isMuted: () => this.isAudioMuted,
+                reducedMotion: prefersReducedMotion()
             });
         }
+        this.lightbox.open(index, trigger);
+    }
+    
+    setupFlyingPhoto() {
+        const container = document.getElementById('flying-photo-container');
+        const lqipImg = document.getElementById('flying-photo-lqip');
+        let fullImg = document.getElementById('flying-photo-full');
+        if (!container || !lqipImg || !fullImg) return;
+        
+        const config = this.data.flyingPhoto || FLYING_PHOTO_DEFAULTS;
+        const item = {
+            src: config.src,
+            type: getMediaType(config),
+            poster: config.poster || ''
+        };
+        
+        const media = createMediaElement(item, {
+            className: fullImg.className,
+            alt: config.alt || t('photo.alt'),
+            reducedMotion: prefersReducedMotion()
+        });
+        media.id = 'flying-photo-full';
+        fullImg.replaceWith(media);
+        fullImg = media;
+        
+        // Placeholder: the configured one, a video's poster, or generated below
+        const placeholder = config.placeholder || (item.type === 'video' ? item.poster : '');
+        if (placeholder) {
+            lqipImg.src = placeholder;
+        } else {
+            container.classList.add('is-placeholder');
+        }
+        
+        if (item.type === 'video') return;
+        
+        // Preload the full image
+        preloadImage(fullImg.src).then((img) => {
+            console.log('Flying photo preloaded');
+            
+            if (!placeholder) {
+                const generated = createImagePlaceholder(img);
+                if (generated) {
+                    lqipImg.src = generated.dataUrl;
+                    container.style.backgroundColor = generated.color;
+                }
+            }
+        }).catch(error => {
+            console.warn('Failed to preload flying photo:', error);
+        });
     }
     
     revealFlyingPhoto() {
         const lqipImg = document.getElementById('flying-photo-lqip');
         const fullImg = document.getElementById('flying-photo-full');
         
-        if (fullImg && lqipImg) {
+        if (fullImg && lqipImg && fullImg.tagName === 'VIDEO') {
+            // Wait for the first frame, then crossfade and start playback
+            const start = () => {
+                this.crossfadeImages(lqipImg, fullImg);
+                if (fullImg.dataset.autoplay === 'true') {
+                    fullImg.play().catch(() => {});
+                }
+            };
+            
+            if (fullImg.readyState >= 2) {
+                start();
+            } else {
+                fullImg.addEventListener('loadeddata', start, { once: true });
+                fullImg.preload = 'auto';
+            }
+        } else if (fullImg && lqipImg) {
             // Wait for full image to load, then crossfade
             if (fullImg.complete) {
                 this.crossfadeImages(lqipImg, fullImg);
@@ -333,7 +1281,12 @@ class BirthdayApp {
             return;
         }
         
-        const colors = ['var(--color-primary)', 'var(--color-accent)', 'var(--color-soft)'];
+        // The 3D scene throws its own confetti; these divs are the fallback
+        if (this.threeScene && this.threeScene.burstConfetti()) {
+            return;
+        }
+        
+        const colors = this.palette.confetti;
         const pieces = 50;
         
         for (let i = 0; i < pieces; i++) {
@@ -363,25 +1316,82 @@ class BirthdayApp {
             container.innerHTML = `
                 <div class="error-message" style="text-align: center; padding: 2rem;">
                     <h1 style="color: var(--color-primary); margin-bottom: 1rem;">
-                        Oops! Something went wrong 😔
+                        ${t('error.title')}
                     </h1>
                     <p style="color: var(--color-text);">
-                        Please refresh the page and try again.
+                        ${t('error.message')}
                     </p>
                 </div>
             `;
         }
     }
     
+    showNotFound(slug) {
+        this.showProblem(t('notFound.title'), t('notFound.message', { slug }));
+    }
+    
+    showLinkProblem(error) {
+        const key = `link.${error.reason}`;
+        const message = t(key);
+        this.showProblem(t('link.title'), message === key ? error.message : message);
+    }
+    
+    showProblem(title, message) {
+        const container = document.querySelector('.main-container');
+        if (!container) return;
+        
+        const wrapper = createElement('div', { className: 'not-found-message' });
+        wrapper.appendChild(createElement('h1', { textContent: title }));
+        wrapper.appendChild(createElement('p', { textContent: message }));
+        container.innerHTML = '';
+        container.appendChild(wrapper);
+    }
+    
+    /**
+     * Add a plugin once the app is running (same as registerPlugin)
+     * @param {Object} plugin - { name, setup(api) }
+     */
+    use(plugin) {
+        registerPlugin(plugin);
+    }
+    
     // Cleanup method
     destroy() {
+        // Plugins go first, while the page they extend is still intact
+        this.plugins.destroy();
+        
+        if (this.scenes) {
+            this.scenes.stop();
+        }
+        
+        if (this.stopWatchingTheme) {
+            this.stopWatchingTheme();
+        }
+        
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+        }
+        
+        this.stopMicrophone();
+        
+        if (this.lightbox) {
+            this.lightbox.destroy();
+        }
+        
+        if (this.videoObserver) {
+            this.videoObserver.disconnect();
+        }
+        
         if (this.threeScene) {
             cleanupThreeScene();
         }
         
-        if (this.audio) {
-            this.audio.pause();
-            this.audio.src = '';
+        if (this.galleryObserver) {
+            this.galleryObserver.disconnect();
+        }
+        
+        if (this.music) {
+            this.music.destroy();
         }
     }
 }
@@ -389,15 +1399,15 @@ class BirthdayApp {
 // Initialize the app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        new BirthdayApp();
+        window.birthdayApp = new BirthdayApp();
     });
 } else {
-    new BirthdayApp();
+    window.birthdayApp = new BirthdayApp();
 }
 
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-    if (window.birthdayApp) {
+// Handle page unload; a page kept in the back/forward cache must come back intact
+window.addEventListener('pagehide', (event) => {
+    if (!event.persisted && window.birthdayApp) {
         window.birthdayApp.destroy();
     }
 });
\ No newline at end of file
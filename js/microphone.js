@@ -0,0 +1,115 @@
+// Microphone input for blowing out the candle (Web Audio glue)
+import { BreathDetector } from './breath-detector.js';
+
+/**
+ * Check whether microphone capture is available
+ * @returns {boolean} True if getUserMedia and Web Audio are supported
+ */
+export function isMicrophoneSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia &&
+        (window.AudioContext || window.webkitAudioContext));
+}
+
+/**
+ * Listen to the microphone until a breath is detected
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onStatus - Called with 'calibrating' or 'listening'
+ * @param {Function} handlers.onLevel - Called with the input level (0..1, threshold at 0.5)
+ * @param {Function} handlers.onBlow - Called once when a breath is detected
+ * @param {Object} options - Options
+ * @param {number} options.calibrationMs - How long to sample room noise first
+ * @param {Object} options.detector - BreathDetector settings
+ * @returns {Promise<{stop: Function}>} Controller; rejects if permission is denied
+ */
+export async function startBlowDetection({ onStatus, onLevel, onBlow }, options = {}) {
+    const { calibrationMs = 1500, detector: detectorOptions } = options;
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+            // Processing would suppress exactly the noise we're listening for
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    });
+
+    // Until stop() exists, a failure here must release the microphone itself
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let context = null;
+    let source;
+    let analyser;
+    try {
+        context = new AudioContextClass();
+        source = context.createMediaStreamSource(stream);
+        analyser = context.createAnalyser();
+        analyser.fftSize = 2048;
+        source.connect(analyser);
+    } catch (error) {
+        stream.getTracks().forEach(track => track.stop());
+        if (context) {
+            context.close().catch(() => {});
+        }
+        throw error;
+    }
+
+    const samples = new Float32Array(analyser.fftSize);
+    const detector = new BreathDetector(detectorOptions);
+    const calibrationFrames = [];
+    const calibrationEnd = performance.now() + calibrationMs;
+    let frameId = null;
+    let calibrated = false;
+    let stopped = false;
+
+    function stop() {
+        if (stopped) return;
+        stopped = true;
+
+        if (frameId) {
+            cancelAnimationFrame(frameId);
+        }
+        source.disconnect();
+        stream.getTracks().forEach(track => track.stop());
+        context.close().catch(() => {});
+    }
+
+    function poll(time) {
+        if (stopped) return;
+        frameId = requestAnimationFrame(poll);
+
+        analyser.getFloatTimeDomainData(samples);
+
+        if (time < calibrationEnd) {
+            calibrationFrames.push(Float32Array.from(samples));
+            return;
+        }
+
+        if (!calibrated) {
+            detector.calibrate(calibrationFrames);
+            calibrationFrames.length = 0;
+            calibrated = true;
+            onStatus('listening');
+        }
+
+        const result = detector.process(samples, time);
+        onLevel(result.level);
+
+        if (result.detected) {
+            stop();
+            onBlow();
+        }
+    }
+
+    if (context.state === 'suspended') {
+        try {
+            await context.resume();
+        } catch (error) {
+            stop();
+            throw error;
+        }
+    }
+
+    onStatus('calibrating');
+    frameId = requestAnimationFrame(poll);
+
+    return { stop };
+}
\ No newline at end of file
@@ -0,0 +1,371 @@
+// Background music: playlist scheduling with faded transitions
+
+const DEFAULT_FADE_IN = 1.5;
+const DEFAULT_FADE_OUT = 1.5;
+
+/**
+ * Normalize the `music` setting into a playlist
+ * @param {string|Object} music - A single URL, or { playlist, loop, startOn }
+ * @returns {{startOn: string, loop: boolean, tracks: Array<Object>}} Playlist; each
+ *   track has src, title, start, fadeIn, fadeOut and when
+ */
+export function normalizeMusic(music) {
+    const config = typeof music === 'string' ? { playlist: [music] } : music;
+
+    const tracks = (config.playlist || []).map((entry, index) => {
+        const track = typeof entry === 'string' ? { src: entry } : entry;
+        return {
+            index,
+            src: track.src,
+            title: track.title || '',
+            start: track.start || 0,
+            fadeIn: track.fadeIn !== undefined ? track.fadeIn : DEFAULT_FADE_IN,
+            fadeOut: track.fadeOut !== undefined ? track.fadeOut : DEFAULT_FADE_OUT,
+            when: track.when || 'any'
+        };
+    });
+
+    return {
+        startOn: config.startOn || 'candle',
+        loop: config.loop !== false,
+        tracks
+    };
+}
+
+function isSameOrigin(src) {
+    try {
+        return new URL(src, window.location.href).origin === window.location.origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Plays a normalized playlist on two crossfading audio elements.
+ *
+ * Tracks are scheduled by phase: "any" tracks always play, "afterCandle"
+ * tracks wait for the candle, and "gallery" tracks take over only while the
+ * gallery is on screen. Volume changes are Web Audio gain ramps when every
+ * track is same-origin (cross-origin media would be silenced by the graph),
+ * and stepped element volume otherwise.
+ */
+export class MusicPlayer {
+    /**
+     * @param {Object} playlist - Result of normalizeMusic()
+     * @param {Object} options - Options
+     * @param {HTMLAudioElement} options.element - Existing audio element to reuse
+     * @param {Function} options.onTrackChange - Called with the track now playing (or null)
+     */
+    constructor(playlist, options = {}) {
+        this.playlist = playlist;
+        this.onTrackChange = options.onTrackChange || (() => {});
+
+        this.phase = 'paper';
+        this.galleryVisible = false;
+        this.muted = false;
+        this.started = false;
+        this.current = null;
+        this.resumePoint = null;
+        this.context = null;
+        this.master = null;
+
+        const primary = options.element || new Audio();
+        const secondary = new Audio();
+        [primary, secondary].forEach(element => {
+            element.preload = 'none';
+            element.loop = false;
+            element.setAttribute('playsinline', '');
+        });
+
+        this.decks = [primary, secondary].map(element => ({
+            element,
+            gain: null,
+            track: null,
+            fading: false,
+            fadeTimer: null
+        }));
+        this.decks.forEach(deck => {
+            deck.element.addEventListener('timeupdate', () => this.handleTimeUpdate(deck));
+            deck.element.addEventListener('ended', () => {
+                if (deck === this.current) this.next();
+            });
+        });
+
+        this.useWebAudio = !!(window.AudioContext || window.webkitAudioContext) &&
+            playlist.tracks.every(track => isSameOrigin(track.src));
+    }
+
+    /**
+     * Tracks that may play in the current phase
+     * @returns {Array<Object>} Eligible tracks in playlist order
+     */
+    eligibleTracks() {
+        const { tracks } = this.playlist;
+        const galleryTracks = tracks.filter(track => track.when === 'gallery');
+
+        if (this.galleryVisible && galleryTracks.length) {
+            return galleryTracks;
+        }
+
+        return tracks.filter(track => track.when === 'any' ||
+            (track.when === 'afterCandle' && this.phase === 'candle'));
+    }
+
+    /**
+     * Whether skipping would move to a different track
+     * @returns {boolean} True when more than one track is eligible
+     */
+    canSkip() {
+        return this.eligibleTracks().length > 1;
+    }
+
+    // Web Audio must be created from a user gesture
+    ensureGraph() {
+        if (!this.useWebAudio || this.context) return;
+
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.muted ? 0 : 1;
+            this.master.connect(this.context.destination);
+
+            this.decks.forEach(deck => {
+                const source = this.context.createMediaElementSource(deck.element);
+                deck.gain = this.context.createGain();
+                deck.gain.gain.value = 0;
+                source.connect(deck.gain);
+                deck.gain.connect(this.master);
+            });
+        } catch (error) {
+            console.warn('Web Audio unavailable, using element volume:', error);
+            this.useWebAudio = false;
+            this.context = null;
+        }
+    }
+
+    /**
+     * Ramp a deck's volume
+     * @param {Object} deck - Deck to fade
+     * @param {number} target - Target volume (0..1)
+     * @param {number} seconds - Ramp duration
+     */
+    rampDeck(deck, target, seconds) {
+        clearInterval(deck.fadeTimer);
+
+        if (this.useWebAudio && deck.gain) {
+            const gain = deck.gain.gain;
+            const now = this.context.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(target, now + Math.max(seconds, 0.01));
+            return;
+        }
+
+        const element = deck.element;
+        if (seconds <= 0) {
+            element.volume = target;
+            return;
+        }
+
+        const from = element.volume;
+        const startTime = performance.now();
+        deck.fadeTimer = setInterval(() => {
+            const progress = Math.min((performance.now() - startTime) / (seconds * 1000), 1);
+            element.volume = from + (target - from) * progress;
+            if (progress === 1) clearInterval(deck.fadeTimer);
+        }, 50);
+    }
+
+    /**
+     * Start playback (call from a user gesture)
+     */
+    start() {
+        this.ensureGraph();
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+
+        if (this.started) return;
+        this.started = true;
+
+        const [first] = this.eligibleTracks();
+        if (first) this.play(first);
+    }
+
+    /**
+     * Move to a new phase; afterCandle tracks take over straight away
+     * @param {string} phase - 'paper' or 'candle'
+     */
+    setPhase(phase) {
+        if (this.phase === phase) return;
+        this.phase = phase;
+
+        if (!this.started || this.galleryVisible) return;
+
+        const afterCandle = this.eligibleTracks().find(track => track.when === 'afterCandle');
+        if (afterCandle) this.play(afterCandle);
+    }
+
+    /**
+     * Tell the player whether the gallery is on screen
+     * @param {boolean} visible - Gallery visibility
+     */
+    setGalleryVisible(visible) {
+        if (this.galleryVisible === visible) return;
+
+        const hasGalleryTracks = this.playlist.tracks.some(track => track.when === 'gallery');
+        const wasPlaying = this.current && this.current.track;
+        this.galleryVisible = visible;
+
+        if (!this.started || !hasGalleryTracks) return;
+
+        if (visible) {
+            // Remember where the playlist was so it can pick up again
+            if (wasPlaying && wasPlaying.when !== 'gallery') {
+                this.resumePoint = { track: wasPlaying, time: this.current.element.currentTime };
+            }
+            this.play(this.eligibleTracks()[0]);
+        } else {
+            const resume = this.resumePoint;
+            this.resumePoint = null;
+            const [first] = this.eligibleTracks();
+            if (resume) {
+                this.play(resume.track, resume.time);
+            } else if (first) {
+                this.play(first);
+            }
+        }
+    }
+
+    /**
+     * Crossfade to a track
+     * @param {Object} track - Track to play
+     * @param {number} startAt - Position in seconds (defaults to the track's start)
+     */
+    play(track, startAt = track.start) {
+        const previous = this.current;
+        const deck = previous === this.decks[0] ? this.decks[1] : this.decks[0];
+        const { element } = deck;
+
+        clearInterval(deck.fadeTimer);
+        deck.track = track;
+        deck.fading = false;
+        element.loop = this.playlist.loop && this.eligibleTracks().length === 1;
+        element.src = track.src;
+        if (this.useWebAudio) {
+            element.volume = 1;
+        } else {
+            element.volume = 0;
+            element.muted = this.muted;
+        }
+
+        // play() has to happen inside the user's gesture (iOS blocks it once
+        // the gesture is over), so start now and seek when the metadata is in
+        const seek = () => {
+            try {
+                element.currentTime = startAt;
+            } catch (error) {
+                // Some browsers refuse seeking before enough data arrives
+            }
+        };
+
+        element.preload = 'auto';
+        element.play().catch(error => {
+            console.warn('Audio playback failed:', error);
+        });
+        if (startAt > 0) {
+            if (element.readyState >= 1) {
+                seek();
+            } else {
+                element.addEventListener('loadedmetadata', seek, { once: true });
+            }
+        }
+        this.rampDeck(deck, 1, track.fadeIn);
+
+        if (previous) {
+            this.fadeOutDeck(previous, previous.track ? previous.track.fadeOut : 0);
+        }
+
+        this.current = deck;
+        this.onTrackChange(track);
+    }
+
+    fadeOutDeck(deck, seconds) {
+        deck.fading = true;
+        this.rampDeck(deck, 0, seconds);
+
+        setTimeout(() => {
+            if (deck !== this.current) {
+                deck.element.pause();
+            }
+        }, seconds * 1000 + 50);
+    }
+
+    handleTimeUpdate(deck) {
+        const { element, track } = deck;
+        if (deck !== this.current || deck.fading || !track || element.loop) return;
+
+        // Start the next track while this one fades out
+        if (track.fadeOut > 0 && element.duration &&
+            element.currentTime >= element.duration - track.fadeOut) {
+            this.next();
+        }
+    }
+
+    /**
+     * Skip to the next eligible track
+     */
+    next() {
+        const tracks = this.eligibleTracks();
+        if (!tracks.length) return;
+
+        const currentTrack = this.current && this.current.track;
+        const position = tracks.indexOf(currentTrack);
+        let nextIndex = position + 1;
+
+        if (nextIndex >= tracks.length) {
+            if (!this.playlist.loop) {
+                this.fadeOutDeck(this.current, currentTrack ? currentTrack.fadeOut : 0);
+                this.current = null;
+                this.onTrackChange(null);
+                return;
+            }
+            nextIndex = 0;
+        }
+
+        this.play(tracks[nextIndex]);
+    }
+
+    /**
+     * Mute or unmute everything with a short ramp
+     * @param {boolean} muted - Mute state
+     */
+    setMuted(muted) {
+        this.muted = muted;
+
+        if (this.useWebAudio && this.master) {
+            const gain = this.master.gain;
+            const now = this.context.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(muted ? 0 : 1, now + 0.25);
+        } else {
+            this.decks.forEach(deck => {
+                deck.element.muted = muted;
+            });
+        }
+    }
+
+    destroy() {
+        this.decks.forEach(deck => {
+            clearInterval(deck.fadeTimer);
+            deck.element.pause();
+            deck.element.removeAttribute('src');
+        });
+        if (this.context) {
+            this.context.close().catch(() => {});
+        }
+        this.current = null;
+    }
+}
\ No newline at end of file
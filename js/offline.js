@@ -0,0 +1,70 @@
+// Offline support: service worker registration and media precaching
+import { normalizeGalleryItem } from './gallery.js';
+import { normalizeMusic } from './music.js';
+
+/**
+ * List the media files a wishes document refers to, as written in it
+ * @param {Object} data - Validated wishes data
+ * @returns {string[]} URLs and paths, possibly repeated
+ */
+export function getMediaUrls(data) {
+    const urls = [];
+
+    (data.gallery || []).map(normalizeGalleryItem).forEach(item => {
+        urls.push(item.src, item.poster);
+    });
+
+    if (data.music) {
+        normalizeMusic(data.music).tracks.forEach(track => urls.push(track.src));
+    }
+
+    if (data.flyingPhoto) {
+        const { src, placeholder, poster } = data.flyingPhoto;
+        urls.push(src, placeholder, poster);
+    }
+
+    (data.guestbook || []).forEach(entry => urls.push(entry.avatar));
+
+    if (data.gift) {
+        urls.push(data.gift.image);
+    }
+
+    return urls.filter(Boolean);
+}
+
+/**
+ * Collect the media URLs a wishes document uses
+ * @param {Object} data - Validated wishes data
+ * @param {string[]} extraUrls - Other files the page needs (e.g. fallback images)
+ * @returns {string[]} Absolute, de-duplicated URLs
+ */
+export function getOfflineAssets(data, extraUrls = []) {
+    const urls = [...extraUrls, ...getMediaUrls(data)];
+
+    return [...new Set(urls
+        .filter(url => url && !url.startsWith('data:') && !url.startsWith('blob:'))
+        .map(url => new URL(url, window.location.href).href))];
+}
+
+/**
+ * Register the service worker and ask it to cache this surprise's media
+ * @param {Object} data - Validated wishes data
+ * @param {string[]} extraUrls - Other files the page needs
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported
+ */
+export async function enableOffline(data, extraUrls = []) {
+    if (!('serviceWorker' in navigator)) return null;
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        const ready = await navigator.serviceWorker.ready;
+
+        if (ready.active) {
+            ready.active.postMessage({ type: 'cache-media', urls: getOfflineAssets(data, extraUrls) });
+        }
+        return registration;
+    } catch (error) {
+        console.warn('Offline support unavailable:', error);
+        return null;
+    }
+}
\ No newline at end of file
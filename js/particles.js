@@ -0,0 +1,363 @@
+// GPU particle effects for the 3D scene: candle smoke, paper-tag sparkles and confetti
+import { getSurfaceHeight } from './cake.js';
+
+/**
+ * Particle counts at full density; quality tiers scale these down
+ */
+export const PARTICLE_BUDGETS = {
+    confetti: 600,
+    smoke: 320,
+    sparkles: 48
+};
+
+const SMOKE_PER_CANDLE = 40;
+const SMOKE_COLOR = '#b8b8b8';
+const CONFETTI_FALL_SPEED = 0.9;
+// Birth time far in the future for slots that haven't been used, so they stay hidden
+const UNUSED = 1e9;
+
+// Every effect is a Points cloud whose motion is worked out in the vertex
+// shader from per-particle start data, so the CPU only writes on emit.
+const SMOKE_VERTEX = `
+    uniform float uTime;
+    uniform float uScale;
+    attribute vec3 aVelocity;
+    attribute float aBirth;
+    attribute float aLife;
+    attribute float aSeed;
+    varying float vAlpha;
+
+    void main() {
+        float age = uTime - aBirth;
+        float t = age / aLife;
+        vec3 p = position + aVelocity * age;
+        p.x += sin(age * 2.0 + aSeed * 6.283) * 0.05 * age;
+        p.z += cos(age * 1.7 + aSeed * 6.283) * 0.05 * age;
+
+        vAlpha = (t < 0.0 || t > 1.0) ? 0.0 : smoothstep(0.0, 0.15, t) * (1.0 - t) * 0.45;
+
+        vec4 mv = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = vAlpha > 0.0 ? (0.04 + 0.22 * t) * uScale / -mv.z : 0.0;
+        gl_Position = projectionMatrix * mv;
+    }
+`;
+
+const SMOKE_FRAGMENT = `
+    uniform vec3 uColor;
+    varying float vAlpha;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        gl_FragColor = vec4(uColor, vAlpha * smoothstep(0.5, 0.0, d));
+    }
+`;
+
+const SPARKLE_VERTEX = `
+    uniform float uTime;
+    uniform float uScale;
+    uniform vec3 uAnchor;
+    uniform float uOpacity;
+    attribute float aSeed;
+    varying float vAlpha;
+
+    void main() {
+        vec3 p = uAnchor + position;
+        p.y += sin(uTime * 0.8 + aSeed * 6.283) * 0.05;
+
+        float twinkle = pow(max(0.0, sin(uTime * (1.5 + aSeed * 2.0) + aSeed * 40.0)), 4.0);
+        vAlpha = twinkle * uOpacity;
+
+        vec4 mv = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = vAlpha > 0.0 ? 0.07 * uScale / -mv.z : 0.0;
+        gl_Position = projectionMatrix * mv;
+    }
+`;
+
+const SPARKLE_FRAGMENT = `
+    uniform vec3 uColor;
+    varying float vAlpha;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5) * 2.0;
+        float glow = pow(max(0.0, 1.0 - d), 2.0);
+        gl_FragColor = vec4(mix(uColor, vec3(1.0), 0.5), vAlpha * glow);
+    }
+`;
+
+const CONFETTI_VERTEX = `
+    uniform float uTime;
+    uniform float uScale;
+    attribute vec3 aRest;
+    attribute vec3 aColor;
+    attribute float aBirth;
+    attribute float aFall;
+    attribute float aSeed;
+    varying vec3 vColor;
+    varying float vSpin;
+    varying float vFlip;
+    varying float vVisible;
+
+    void main() {
+        float age = uTime - aBirth;
+        float k = clamp(age / aFall, 0.0, 1.0);
+        float airborne = 1.0 - k;
+
+        // Pop outwards fast, drift down slowly, flutter until it lands
+        vec3 p;
+        p.xz = mix(position.xz, aRest.xz, 1.0 - pow(airborne, 3.0));
+        p.y = mix(position.y, aRest.y, k * k) + sin(k * 3.14159) * 0.6;
+        p.xz += vec2(sin(age * 3.0 + aSeed * 10.0), cos(age * 2.3 + aSeed * 7.0)) * 0.06 * airborne;
+
+        float spin = age * (4.0 + aSeed * 6.0);
+        vSpin = aSeed * 6.283 + spin * airborne;
+        vFlip = mix(0.35, abs(cos(spin * 0.7)), airborne);
+        vColor = aColor;
+        vVisible = age < 0.0 ? 0.0 : 1.0;
+
+        vec4 mv = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = vVisible > 0.0 ? 0.08 * uScale / -mv.z : 0.0;
+        gl_Position = projectionMatrix * mv;
+    }
+`;
+
+const CONFETTI_FRAGMENT = `
+    varying vec3 vColor;
+    varying float vSpin;
+    varying float vFlip;
+    varying float vVisible;
+
+    void main() {
+        // A thin strip, turned and foreshortened as it tumbles
+        vec2 c = gl_PointCoord - 0.5;
+        float s = sin(vSpin);
+        float co = cos(vSpin);
+        c = vec2(c.x * co - c.y * s, c.x * s + c.y * co);
+        if (vVisible < 0.5 || abs(c.x) > 0.45 || abs(c.y) > 0.2 * max(vFlip, 0.15)) discard;
+        gl_FragColor = vec4(vColor, 1.0);
+    }
+`;
+
+function createPoints(THREE, capacity, attributes, shader) {
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(attributes).forEach(([name, size]) => {
+        const attribute = new THREE.BufferAttribute(new Float32Array(capacity * size), size);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute(name, attribute);
+    });
+
+    const material = new THREE.ShaderMaterial({
+        transparent: true,
+        depthWrite: false,
+        ...shader
+    });
+    const points = new THREE.Points(geometry, material);
+    // Positions are computed on the GPU, so the CPU-side bounds are meaningless
+    points.frustumCulled = false;
+    return points;
+}
+
+/**
+ * Smoke, sparkles and confetti, sized to a device's particle budget
+ */
+export class ParticleEffects {
+    /**
+     * @param {Object} THREE - Three.js module
+     * @param {Object} scene - Scene to add the effects to
+     * @param {Object} options - Options
+     * @param {Object} options.palette - Theme palette (confetti and glow colours)
+     * @param {Object} options.cake - Normalized cake, for where confetti lands
+     * @param {number} options.density - Share of PARTICLE_BUDGETS to allocate (0..1)
+     */
+    constructor(THREE, scene, options) {
+        this.THREE = THREE;
+        this.cake = options.cake;
+        this.palette = options.palette;
+        this.density = options.density;
+        this.initialDensity = options.density;
+        this.startTime = performance.now();
+
+        const capacity = (budget) => Math.max(1, Math.round(budget * options.density));
+        const uniforms = (extra) => ({
+            uTime: { value: 0 },
+            uScale: { value: 1 },
+            ...extra
+        });
+
+        this.smoke = createPoints(THREE, capacity(PARTICLE_BUDGETS.smoke),
+            { position: 3, aVelocity: 3, aBirth: 1, aLife: 1, aSeed: 1 }, {
+                uniforms: uniforms({ uColor: { value: new THREE.Color(SMOKE_COLOR) } }),
+                vertexShader: SMOKE_VERTEX,
+                fragmentShader: SMOKE_FRAGMENT
+            });
+
+        this.sparkles = createPoints(THREE, capacity(PARTICLE_BUDGETS.sparkles),
+            { position: 3, aSeed: 1 }, {
+                uniforms: uniforms({
+                    uAnchor: { value: new THREE.Vector3() },
+                    uOpacity: { value: 0 },
+                    uColor: { value: new THREE.Color(options.palette.glow) }
+                }),
+                vertexShader: SPARKLE_VERTEX,
+                fragmentShader: SPARKLE_FRAGMENT,
+                blending: THREE.AdditiveBlending
+            });
+
+        this.confetti = createPoints(THREE, capacity(PARTICLE_BUDGETS.confetti),
+            { position: 3, aRest: 3, aColor: 3, aBirth: 1, aFall: 1, aSeed: 1 }, {
+                uniforms: uniforms(),
+                vertexShader: CONFETTI_VERTEX,
+                fragmentShader: CONFETTI_FRAGMENT,
+                transparent: false,
+                depthWrite: true
+            });
+
+        this.smoke.geometry.getAttribute('aBirth').array.fill(UNUSED);
+        this.confetti.geometry.getAttribute('aBirth').array.fill(UNUSED);
+        this.smokeCursor = 0;
+        this.confettiCursor = 0;
+
+        this.placeSparkles();
+
+        this.effects = [this.smoke, this.sparkles, this.confetti];
+        this.effects.forEach(points => scene.add(points));
+    }
+
+    get time() {
+        return (performance.now() - this.startTime) / 1000;
+    }
+
+    // A loose shell around the paper tag
+    placeSparkles() {
+        const geometry = this.sparkles.geometry;
+        const positions = geometry.getAttribute('position');
+        const seeds = geometry.getAttribute('aSeed');
+
+        for (let i = 0; i < positions.count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const radius = 0.25 + Math.random() * 0.2;
+            positions.setXYZ(i, Math.cos(angle) * radius, (Math.random() - 0.5) * 0.8,
+                Math.sin(angle) * radius * 0.6);
+            seeds.setX(i, Math.random());
+        }
+        positions.needsUpdate = true;
+        seeds.needsUpdate = true;
+    }
+
+    /**
+     * Match point sizes to the canvas (call on resize and pixel ratio changes)
+     * @param {number} bufferHeight - Drawing buffer height in device pixels
+     * @param {number} fov - Camera vertical field of view in degrees
+     */
+    setViewport(bufferHeight, fov) {
+        const scale = bufferHeight / (2 * Math.tan((fov * Math.PI) / 360));
+        this.effects.forEach(points => {
+            points.material.uniforms.uScale.value = scale;
+        });
+    }
+
+    /**
+     * Emit fewer particles on lower quality tiers (capacity is fixed at start)
+     * @param {number} density - Share of the budget (0..1)
+     */
+    setDensity(density) {
+        this.density = density;
+    }
+
+    setPalette(palette) {
+        this.palette = palette;
+        this.sparkles.material.uniforms.uColor.value.set(palette.glow);
+    }
+
+    /**
+     * Advance the effects
+     * @param {Object|null} anchor - Object the sparkles circle (the paper tag), or null to fade them
+     */
+    update(anchor) {
+        const time = this.time;
+        this.effects.forEach(points => {
+            points.material.uniforms.uTime.value = time;
+        });
+
+        const uniforms = this.sparkles.material.uniforms;
+        const visible = !!(anchor && anchor.visible);
+        if (visible) {
+            uniforms.uAnchor.value.copy(anchor.position);
+        }
+        uniforms.uOpacity.value += ((visible ? 1 : 0) - uniforms.uOpacity.value) * 0.08;
+    }
+
+    /**
+     * Send a wisp of smoke up from a wick
+     * @param {Object} origin - Vector3 where the flame was
+     */
+    emitSmoke(origin) {
+        const geometry = this.smoke.geometry;
+        const positions = geometry.getAttribute('position');
+        const velocities = geometry.getAttribute('aVelocity');
+        const births = geometry.getAttribute('aBirth');
+        const lives = geometry.getAttribute('aLife');
+        const seeds = geometry.getAttribute('aSeed');
+        const count = Math.min(positions.count, Math.max(4, Math.round(SMOKE_PER_CANDLE * this.density)));
+        const now = this.time;
+
+        for (let n = 0; n < count; n++) {
+            const i = this.smokeCursor;
+            this.smokeCursor = (this.smokeCursor + 1) % positions.count;
+
+            positions.setXYZ(i, origin.x, origin.y, origin.z);
+            velocities.setXYZ(i, (Math.random() - 0.5) * 0.06, 0.25 + Math.random() * 0.2,
+                (Math.random() - 0.5) * 0.06);
+            // Staggered births make a trail rather than a puff
+            births.setX(i, now + n * 0.03);
+            lives.setX(i, 1.6 + Math.random() * 1.2);
+            seeds.setX(i, Math.random());
+        }
+
+        [positions, velocities, births, lives, seeds].forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Throw confetti over the cake; it flutters down and stays where it lands
+     */
+    burstConfetti() {
+        const THREE = this.THREE;
+        const geometry = this.confetti.geometry;
+        const positions = geometry.getAttribute('position');
+        const rests = geometry.getAttribute('aRest');
+        const colors = geometry.getAttribute('aColor');
+        const births = geometry.getAttribute('aBirth');
+        const falls = geometry.getAttribute('aFall');
+        const seeds = geometry.getAttribute('aSeed');
+        const count = Math.round(positions.count * Math.min(1, this.density / this.initialDensity));
+        const palette = this.palette.confetti.map(value => new THREE.Color(value));
+        const base = this.cake.tiers[0];
+        const startY = this.cake.tiers[this.cake.tiers.length - 1].top + 1.6;
+        const now = this.time;
+
+        for (let n = 0; n < count; n++) {
+            const i = this.confettiCursor;
+            this.confettiCursor = (this.confettiCursor + 1) % positions.count;
+
+            // Land anywhere on the cake's frosted surfaces
+            const radius = Math.sqrt(Math.random()) * base.radius * 0.95;
+            const angle = Math.random() * Math.PI * 2;
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+            const restY = getSurfaceHeight(this.cake, x, z) + 0.01;
+
+            positions.setXYZ(i, (Math.random() - 0.5) * 0.3, startY, (Math.random() - 0.5) * 0.3);
+            rests.setXYZ(i, x, restY, z);
+            const color = palette[Math.floor(Math.random() * palette.length)];
+            colors.setXYZ(i, color.r, color.g, color.b);
+            births.setX(i, now + Math.random() * 0.4);
+            falls.setX(i, (startY - restY) / (CONFETTI_FALL_SPEED * (0.7 + Math.random() * 0.6)));
+            seeds.setX(i, Math.random());
+        }
+
+        [positions, rests, colors, births, falls, seeds].forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    }
+}
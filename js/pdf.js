@@ -0,0 +1,109 @@
+// Minimal PDF writer for the keepsake (no DOM, unit-testable).
+// Each page is one full-bleed JPEG: the layout is drawn on a canvas first,
+// so fonts, emoji and right-to-left text print exactly as they looked.
+
+// A4 in points (1/72 inch)
+export const A4 = { width: 595.28, height: 841.89 };
+
+const encoder = new TextEncoder();
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Encode text as a PDF string: literal for plain ASCII, UTF-16BE hex otherwise
+ * @param {string} text - Text to encode
+ * @returns {string} PDF string token
+ */
+export function toPdfString(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) {
+        return `(${text.replace(/[\\()]/g, '\\$&')})`;
+    }
+
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+/**
+ * Build a PDF with one image per page
+ * @param {Array<{jpeg: Uint8Array, width: number, height: number}>} pages - JPEG bytes and pixel size
+ * @param {Object} options - Options
+ * @param {{width: number, height: number}} options.size - Page size in points (A4 by default)
+ * @param {string} options.title - Document title shown by PDF viewers
+ * @returns {Uint8Array} PDF bytes
+ * @throws {RangeError} When there are no pages
+ */
+export function createPdf(pages, { size = A4, title = '' } = {}) {
+    if (!pages.length) {
+        throw new RangeError('A PDF needs at least one page');
+    }
+
+    // Objects 1-3 are the catalog, page tree and info; each page then takes three
+    const pageIds = pages.map((_, index) => 4 + index * 3);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        `<< /Title ${toPdfString(title)} /Producer (Birthday keepsake) >>`
+    ];
+
+    const width = formatNumber(size.width);
+    const height = formatNumber(size.height);
+
+    pages.forEach((page, index) => {
+        const id = pageIds[index];
+        const drawing = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`,
+            { dictionary: `<< /Length ${drawing.length} >>`, data: encoder.encode(drawing) },
+            {
+                dictionary: `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+                data: page.jpeg
+            }
+        );
+    });
+
+    // The second line's high bytes tell tools the file is binary
+    const parts = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+    let offset = parts[0].length + parts[1].length;
+    const offsets = [];
+
+    const push = part => {
+        parts.push(part);
+        offset += part.length;
+    };
+
+    objects.forEach((object, index) => {
+        offsets.push(offset);
+        if (typeof object === 'string') {
+            push(encoder.encode(`${index + 1} 0 obj\n${object}\nendobj\n`));
+        } else {
+            push(encoder.encode(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`));
+            push(object.data);
+            push(encoder.encode('\nendstream\nendobj\n'));
+        }
+    });
+
+    // Cross-reference entries are exactly 20 bytes each
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f \n' + offsets.map(value => `${String(value).padStart(10, '0')} 00000 n \n`).join('')
+    ].join('\n');
+    push(encoder.encode(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\n` +
+        `startxref\n${offset}\n%%EOF\n`));
+
+    const pdf = new Uint8Array(offset);
+    let position = 0;
+    parts.forEach(part => {
+        pdf.set(part, position);
+        position += part.length;
+    });
+    return pdf;
+}
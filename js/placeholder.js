@@ -0,0 +1,42 @@
+// Generated placeholders for images that don't ship an LQIP
+
+/**
+ * Build a tiny, blurred-up copy of a loaded image plus its average colour
+ * @param {HTMLImageElement} img - Fully loaded image
+ * @param {number} size - Longest side of the thumbnail in pixels
+ * @returns {{dataUrl: string, color: string}|null} Placeholder, or null when the
+ *   image can't be read (e.g. cross-origin without CORS)
+ */
+export function createImagePlaceholder(img, size = 16) {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    if (!width || !height) return null;
+
+    const scale = size / Math.max(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    try {
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+        let r = 0, g = 0, b = 0;
+        const pixels = data.length / 4;
+        for (let i = 0; i < data.length; i += 4) {
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+        }
+
+        return {
+            // Upscaled by the browser and blurred by .flying-photo.lqip
+            dataUrl: canvas.toDataURL('image/png'),
+            color: `rgb(${Math.round(r / pixels)}, ${Math.round(g / pixels)}, ${Math.round(b / pixels)})`
+        };
+    } catch (error) {
+        // Tainted canvas: keep the CSS gradient placeholder
+        return null;
+    }
+}
@@ -0,0 +1,225 @@
+// Plugins: extras that hook into the app's lifecycle without patching core files
+import { EventEmitter } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Lifecycle events, in the order they happen. Each listener gets one detail
+ * object:
+ *   data:loaded       { data, recipient, locale } - wishes validated and localized
+ *   scene:ready       { mode: '3d'|'2d', container, scene } - cake on screen;
+ *                     `scene` is the 3D scene's controls, or null for the 2D cake
+ *   reveal:step       { type, index } - a step of the reveal is starting
+ *   message:revealed  { title } - the message has been typed out
+ *   candle:blown      {} - every candle is out
+ *   gallery:shown     { section } - the gallery section is visible
+ *   gift:opened       { gift } - the gift box is open and its contents shown
+ *   keepsake:saved    { format: 'pdf'|'png' } - a keepsake was downloaded
+ *   teardown          {} - the app is going away; undo anything you added
+ */
+export const APP_EVENTS = {
+    DATA_LOADED: 'data:loaded',
+    SCENE_READY: 'scene:ready',
+    REVEAL_STEP: 'reveal:step',
+    MESSAGE_REVEALED: 'message:revealed',
+    CANDLE_BLOWN: 'candle:blown',
+    GALLERY_SHOWN: 'gallery:shown',
+    GIFT_OPENED: 'gift:opened',
+    KEEPSAKE_SAVED: 'keepsake:saved',
+    TEARDOWN: 'teardown'
+};
+
+// Events that happen once; plugins that arrive late still hear them
+const ONCE_EVENTS = [
+    APP_EVENTS.DATA_LOADED,
+    APP_EVENTS.SCENE_READY,
+    APP_EVENTS.MESSAGE_REVEALED,
+    APP_EVENTS.CANDLE_BLOWN,
+    APP_EVENTS.GALLERY_SHOWN,
+    APP_EVENTS.GIFT_OPENED
+];
+
+export class PluginError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PluginError';
+    }
+}
+
+const pending = [];
+let activeHost = null;
+
+/**
+ * Add a plugin to the page. Plugins registered before the app starts are
+ * set up as soon as it does; later ones straight away
+ * @param {Object} plugin - Plugin
+ * @param {string} plugin.name - Unique name, used in logs
+ * @param {Function} plugin.setup - (api) => optional teardown function
+ * @throws {PluginError} When the plugin is malformed
+ */
+export function registerPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new PluginError('A plugin needs a name');
+    }
+    if (typeof plugin.setup !== 'function') {
+        throw new PluginError(`Plugin "${plugin.name}" needs a setup(api) function`);
+    }
+
+    if (activeHost) {
+        activeHost.use(plugin);
+    } else {
+        pending.push(plugin);
+    }
+}
+
+/**
+ * Runs plugins for one app: hands each a small API, relays lifecycle events
+ * to them and undoes what they added on teardown. A failing plugin is logged
+ * and skipped; it never stops the surprise.
+ */
+export class PluginHost {
+    /**
+     * @param {Object} app - The BirthdayApp the plugins extend
+     */
+    constructor(app) {
+        this.app = app;
+        this.events = new EventEmitter();
+        this.fired = new Map();
+        this.plugins = new Map();
+    }
+
+    // Become the page's host and set up everything registered so far
+    attach() {
+        activeHost = this;
+        pending.splice(0).forEach(plugin => this.use(plugin));
+    }
+
+    /**
+     * Set up a plugin
+     * @param {Object} plugin - Plugin, as for registerPlugin
+     * @returns {boolean} Whether it was set up
+     */
+    use(plugin) {
+        if (this.plugins.has(plugin.name)) {
+            console.warn(`Plugin "${plugin.name}" is already registered`);
+            return false;
+        }
+
+        const record = { plugin, cleanups: [] };
+        this.plugins.set(plugin.name, record);
+
+        try {
+            const teardown = plugin.setup(this.createApi(record));
+            if (typeof teardown === 'function') {
+                record.cleanups.push(teardown);
+            }
+            return true;
+        } catch (error) {
+            console.warn(`Plugin "${plugin.name}" failed to set up:`, error);
+            this.release(record);
+            this.plugins.delete(plugin.name);
+            return false;
+        }
+    }
+
+    /**
+     * The API a plugin's setup receives
+     * @param {Object} record - Plugin record
+     * @returns {Object} API
+     */
+    createApi(record) {
+        const { app } = this;
+        const { name } = record.plugin;
+
+        return {
+            name,
+            app,
+            t,
+            get data() {
+                return app.data;
+            },
+            on: (event, callback) => this.listen(record, event, callback),
+            addSection: (element, options) => this.addSection(record, element, options)
+        };
+    }
+
+    /**
+     * Subscribe a plugin to a lifecycle event
+     * @param {Object} record - Plugin record
+     * @param {string} event - One of APP_EVENTS
+     * @param {Function} callback - Called with the event's detail
+     * @returns {Function} Unsubscribe function
+     */
+    listen(record, event, callback) {
+        const handler = detail => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.warn(`Plugin "${record.plugin.name}" failed on ${event}:`, error);
+            }
+        };
+
+        this.events.on(event, handler);
+        const unsubscribe = () => this.events.off(event, handler);
+        record.cleanups.push(unsubscribe);
+
+        if (this.fired.has(event)) {
+            handler(this.fired.get(event));
+        }
+        return unsubscribe;
+    }
+
+    /**
+     * Put a plugin's section on the page; it's removed on teardown
+     * @param {Object} record - Plugin record
+     * @param {HTMLElement} element - Section to add
+     * @param {Object} options - Options
+     * @param {string} options.after - id of the element to follow
+     *   (by default it goes after the gallery, before the confetti)
+     * @returns {HTMLElement} The element
+     */
+    addSection(record, element, { after } = {}) {
+        const anchor = after ? document.getElementById(after) : null;
+        if (anchor) {
+            anchor.after(element);
+        } else {
+            const main = document.querySelector('.main-container');
+            main.insertBefore(element, document.getElementById('confetti-container'));
+        }
+
+        record.cleanups.push(() => element.remove());
+        return element;
+    }
+
+    /**
+     * Tell every plugin about a lifecycle event
+     * @param {string} event - One of APP_EVENTS
+     * @param {Object} detail - Event detail
+     */
+    emit(event, detail = {}) {
+        if (ONCE_EVENTS.includes(event)) {
+            this.fired.set(event, detail);
+        }
+        this.events.emit(event, detail);
+    }
+
+    release(record) {
+        record.cleanups.splice(0).reverse().forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.warn(`Plugin "${record.plugin.name}" failed to clean up:`, error);
+            }
+        });
+    }
+
+    // Announce the teardown, then undo everything the plugins added
+    destroy() {
+        this.emit(APP_EVENTS.TEARDOWN);
+        this.plugins.forEach(record => this.release(record));
+        this.plugins.clear();
+
+        if (activeHost === this) {
+            activeHost = null;
+        }
+    }
+}
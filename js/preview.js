@@ -0,0 +1,33 @@
+// Live preview handshake between editor.html and the surprise in its iframe
+
+export const PREVIEW_READY = 'birthday:preview-ready';
+export const PREVIEW_WISHES = 'birthday:preview-wishes';
+
+/**
+ * Check whether the page runs as the editor's live preview (`?preview` in a frame)
+ * @param {Location|URL} location - Location to inspect
+ * @returns {boolean} True inside the editor's preview frame
+ */
+export function isPreviewMode(location = window.location) {
+    return new URLSearchParams(location.search).has('preview') && window.parent !== window;
+}
+
+/**
+ * Ask the editor for the wishes document it is building and wait for it.
+ * Only messages from the same origin are accepted.
+ * @returns {Promise<{slug: null, data: Object}>} Wishes data, shaped like loadRecipientWishes()
+ */
+export function receivePreviewWishes() {
+    return new Promise(resolve => {
+        const onMessage = (event) => {
+            if (event.origin !== window.location.origin || event.source !== window.parent) return;
+            if (!event.data || event.data.type !== PREVIEW_WISHES) return;
+
+            window.removeEventListener('message', onMessage);
+            resolve({ slug: null, data: event.data.data });
+        };
+
+        window.addEventListener('message', onMessage);
+        window.parent.postMessage({ type: PREVIEW_READY }, window.location.origin);
+    });
+}
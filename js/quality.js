@@ -0,0 +1,185 @@
+// Rendering quality tiers and the frame-rate monitor that moves between them (no DOM, unit-testable)
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Renderer settings per tier. `detail` scales geometry segment counts and
+ * `particles` the particle budgets; antialias, detail and the particle
+ * capacity can only be chosen when the scene is built.
+ */
+export const QUALITY_TIERS = {
+    low: {
+        pixelRatio: 1,
+        antialias: false,
+        shadows: false,
+        softShadows: false,
+        shadowMapSize: 512,
+        detail: 0.5,
+        particles: 0.25
+    },
+    medium: {
+        pixelRatio: 1.5,
+        antialias: true,
+        shadows: true,
+        softShadows: false,
+        shadowMapSize: 512,
+        detail: 0.75,
+        particles: 0.5
+    },
+    high: {
+        pixelRatio: 2,
+        antialias: true,
+        shadows: true,
+        softShadows: true,
+        shadowMapSize: 1024,
+        detail: 1,
+        particles: 1
+    }
+};
+
+/**
+ * Default frame-rate thresholds for stepping between tiers
+ */
+export const FPS_MONITOR_DEFAULTS = {
+    // Length of one measurement window, in milliseconds
+    windowMs: 2000,
+    // Step down after this many slow windows in a row
+    lowFps: 30,
+    slowWindows: 2,
+    // Step back up after this many smooth windows in a row, doubled each
+    // time that tier has already proved too slow
+    highFps: 55,
+    fastWindows: 4,
+    // Longer gaps (tab switches, pauses) aren't counted as slow frames
+    maxFrameGapMs: 250
+};
+
+/**
+ * Read a `?quality=` override
+ * @param {Location|URL} location - Location to read from
+ * @returns {string|null} 'low', 'medium', 'high', '2d', or null when not given
+ */
+export function getQualityOverride(location = window.location) {
+    const value = new URLSearchParams(location.search).get('quality');
+    if (!value) return null;
+
+    const level = value.trim().toLowerCase();
+    if (level === '2d' || QUALITY_LEVELS.includes(level)) {
+        return level;
+    }
+    console.warn(`Unknown ?quality=${value}; use low, medium, high or 2d`);
+    return null;
+}
+
+/**
+ * Pick a starting tier from what the device reports
+ * @param {Object} device - Device capabilities
+ * @param {boolean} device.webgl - WebGL is available
+ * @param {number} device.memory - navigator.deviceMemory in GB, if known
+ * @param {number} device.cores - navigator.hardwareConcurrency, if known
+ * @param {number} device.width - Viewport width in CSS pixels
+ * @returns {string} 'low', 'medium', 'high', or '2d' for the fallback cake
+ */
+export function detectQuality({ webgl, memory, cores, width }) {
+    if (!webgl || (memory && memory < 1)) return '2d';
+    if ((memory && memory < 2) || width < 420) return 'low';
+    if ((memory && memory < 4) || (cores && cores <= 4) || width < 768) return 'medium';
+    return 'high';
+}
+
+/**
+ * Scale a geometry segment count by a tier's detail
+ * @param {number} count - Segments at full detail
+ * @param {number} detail - Tier detail (0..1)
+ * @param {number} minimum - Fewest segments that still reads as the shape
+ * @returns {number} Segment count
+ */
+export function scaleSegments(count, detail = 1, minimum = 3) {
+    return Math.max(minimum, Math.round(count * detail));
+}
+
+/**
+ * Watches frame times and asks for a lower or higher tier when the frame
+ * rate stays out of range for several windows in a row
+ */
+export class FpsMonitor {
+    /**
+     * @param {string} level - Starting tier
+     * @param {Object} options - Overrides for FPS_MONITOR_DEFAULTS, plus:
+     * @param {string} options.maxLevel - Highest tier to step back up to
+     * @param {Function} options.onChange - Called with (level, fps) on every step
+     */
+    constructor(level, options = {}) {
+        this.options = { ...FPS_MONITOR_DEFAULTS, maxLevel: level, onChange: () => {}, ...options };
+        this.level = level;
+        this.failures = {};
+        this.reset();
+    }
+
+    /**
+     * Forget the current window (call after pausing)
+     */
+    reset() {
+        this.lastTime = null;
+        this.windowStart = null;
+        this.frames = 0;
+        this.slow = 0;
+        this.fast = 0;
+    }
+
+    /**
+     * Record one rendered frame
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {number|null} Frame rate of the window that just closed, or null
+     */
+    sample(time) {
+        const { windowMs, maxFrameGapMs } = this.options;
+
+        if (this.lastTime === null || time - this.lastTime > maxFrameGapMs) {
+            // Start a fresh window rather than count the gap as one very slow frame
+            this.lastTime = time;
+            this.windowStart = time;
+            this.frames = 0;
+            return null;
+        }
+
+        this.lastTime = time;
+        this.frames++;
+
+        const elapsed = time - this.windowStart;
+        if (elapsed < windowMs) return null;
+
+        const fps = (this.frames * 1000) / elapsed;
+        this.windowStart = time;
+        this.frames = 0;
+        this.evaluate(fps);
+        return fps;
+    }
+
+    evaluate(fps) {
+        const { lowFps, highFps, slowWindows, fastWindows, maxLevel } = this.options;
+        const index = QUALITY_LEVELS.indexOf(this.level);
+
+        this.slow = fps < lowFps ? this.slow + 1 : 0;
+        this.fast = fps >= highFps ? this.fast + 1 : 0;
+
+        if (this.slow >= slowWindows && index > 0) {
+            this.failures[this.level] = (this.failures[this.level] || 0) + 1;
+            this.step(QUALITY_LEVELS[index - 1], fps);
+            return;
+        }
+
+        const higher = QUALITY_LEVELS[index + 1];
+        const needed = fastWindows * 2 ** (this.failures[higher] || 0);
+        if (this.fast >= needed && index < QUALITY_LEVELS.indexOf(maxLevel)) {
+            this.step(higher, fps);
+        }
+    }
+
+    step(level, fps) {
+        this.level = level;
+        this.slow = 0;
+        this.fast = 0;
+        this.options.onChange(level, fps);
+    }
+}
@@ -0,0 +1,149 @@
+// Recipient resolution: picks which wishes document to load from the URL
+import { fetchJSON } from './utils.js';
+
+const RECIPIENT_INDEX_URL = 'database/recipients.json';
+const DEFAULT_WISHES_URL = 'database/wishes.json';
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const REMEMBERED_KEY = 'birthday:recipient';
+
+/**
+ * Error thrown when the URL names a recipient that has no wishes document
+ */
+export class RecipientNotFoundError extends Error {
+    constructor(slug) {
+        super(`No surprise found for "${slug}"`);
+        this.name = 'RecipientNotFoundError';
+        this.slug = slug;
+    }
+}
+
+// A malformed escape such as "%E0" stays as typed, so it's reported as not found
+function decodeSlug(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Read the recipient slug from `?for=<slug>` or `#/<slug>`
+ * @param {Location|URL} location - Location to read from
+ * @returns {string|null} Normalized slug, or null when none is given
+ */
+export function getRecipientSlug(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    let slug = params.get('for');
+
+    if (!slug) {
+        const match = /^#\/([^/?]+)/.exec(location.hash || '');
+        slug = match ? decodeSlug(match[1]) : null;
+    }
+
+    if (!slug) return null;
+
+    slug = slug.trim().toLowerCase();
+    return slug || null;
+}
+
+/**
+ * Check whether the page was launched as an installed app
+ * @returns {boolean} True in standalone display mode
+ */
+export function isStandalone() {
+    return window.matchMedia('(display-mode: standalone)').matches ||
+        window.navigator.standalone === true;
+}
+
+/**
+ * Remember the recipient so the installed app reopens their surprise
+ * @param {string|null} slug - Recipient slug
+ */
+export function rememberRecipient(slug) {
+    try {
+        if (slug) {
+            localStorage.setItem(REMEMBERED_KEY, slug);
+        }
+    } catch (error) {
+        // Storage may be disabled (private mode); the default recipient is fine
+    }
+}
+
+function getRememberedRecipient() {
+    try {
+        return localStorage.getItem(REMEMBERED_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Look up the wishes document URL for a slug in the recipient index
+ * @param {Object|null} index - Parsed recipients.json, or null if unavailable
+ * @param {string|null} slug - Requested recipient slug
+ * @returns {{slug: string|null, url: string}} Resolved recipient
+ * @throws {RecipientNotFoundError} When the slug is unknown
+ */
+export function resolveRecipient(index, slug) {
+    const recipients = (index && index.recipients) || [];
+    const requested = slug || (index && index.default) || null;
+
+    if (!requested) {
+        return { slug: null, url: DEFAULT_WISHES_URL };
+    }
+
+    if (!SLUG_PATTERN.test(requested)) {
+        throw new RecipientNotFoundError(requested);
+    }
+
+    const entry = recipients.find(recipient => recipient.slug === requested);
+    if (entry) {
+        return { slug: entry.slug, url: entry.file };
+    }
+
+    // An unknown default still loads the bundled wishes file
+    if (!slug) {
+        return { slug: null, url: DEFAULT_WISHES_URL };
+    }
+
+    throw new RecipientNotFoundError(requested);
+}
+
+/**
+ * Load the recipient index, tolerating deployments that don't ship one
+ * @returns {Promise<Object|null>} Parsed index or null
+ */
+export async function loadRecipientIndex() {
+    try {
+        return await fetchJSON(RECIPIENT_INDEX_URL);
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolve the wishes document for the current URL and fetch it
+ * @param {Location|URL} location - Location to read the slug from
+ * @returns {Promise<{slug: string|null, data: Object}>} Recipient slug and wishes data
+ * @throws {RecipientNotFoundError} When the slug is unknown or its file is missing
+ */
+export async function loadRecipientWishes(location = window.location) {
+    // The installed app always starts at start_url, which has no slug
+    const slug = getRecipientSlug(location) || (isStandalone() ? getRememberedRecipient() : null);
+    const index = await loadRecipientIndex();
+    const recipient = resolveRecipient(index, slug);
+
+    try {
+        const data = await fetchJSON(recipient.url);
+        rememberRecipient(recipient.slug);
+        return { slug: recipient.slug, data };
+    } catch (error) {
+        if (error.status === 404 && recipient.slug) {
+            throw new RecipientNotFoundError(recipient.slug);
+        }
+        throw error;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+// Reveal pipeline: the ordered steps ("scenes") of a surprise and the small
+// state machine that runs them (no DOM, unit-testable)
+
+export const SCENE_TYPES = ['message', 'guestbook', 'candle', 'music', 'flyingPhoto', 'gallery', 'confetti', 'gift'];
+
+/**
+ * What starts a scene once the one before it is over:
+ *   timer: straight away, or after `delay` ms
+ *   click: the visitor opens the paper tag
+ *   event: a document event such as "candle:extinguished" or "gift:opened"
+ * Click and event triggers count events that happened earlier, so a candle
+ * blown before its scene came up still moves the show on.
+ */
+export const SCENE_TRIGGERS = ['timer', 'click', 'event'];
+
+// Section animations; without one each section keeps its usual entrance
+export const SCENE_TRANSITIONS = ['fade', 'rise', 'zoom', 'none'];
+
+export const SCENE_STATES = {
+    IDLE: 'idle',
+    WAITING: 'waiting',
+    RUNNING: 'running',
+    DONE: 'done',
+    STOPPED: 'stopped'
+};
+
+// Dispatched by the 3D scene and the fallback paper button
+const CLICK_EVENT = 'paper:clicked';
+
+/**
+ * The reveal as it has always been: the paper tag opens the message,
+ * friends' wishes follow, the candle is offered two seconds later, and
+ * blowing it out brings the music, photo, gallery and confetti. A gift,
+ * when there is one, waits to be opened at the end
+ * @param {Object} data - Validated wishes document
+ * @returns {Array<Object>} Scenes
+ */
+export function getDefaultScenes(data = {}) {
+    const musicWithMessage = Boolean(data.music) && data.music.startOn === 'paper';
+    const opening = musicWithMessage
+        ? [{ type: 'music', trigger: 'click' }, { type: 'message' }]
+        : [{ type: 'message', trigger: 'click' }];
+
+    return [
+        ...opening,
+        { type: 'guestbook' },
+        { type: 'candle', delay: 2000 },
+        ...(musicWithMessage ? [] : [{ type: 'music' }]),
+        { type: 'flyingPhoto' },
+        { type: 'gallery' },
+        { type: 'confetti' },
+        ...(data.gift ? [{ type: 'gift', delay: 1500 }] : [])
+    ];
+}
+
+/**
+ * Fill in defaults: a timer trigger with no delay. An event trigger without
+ * an event name falls back to the timer
+ * @param {Array<Object>} scenes - Scenes from wishes.json (validated)
+ * @returns {Array<{type: string, trigger: string, delay: number, event: string|null, transition: string|null}>}
+ *   Normalized scenes
+ */
+export function normalizeScenes(scenes) {
+    return scenes.map(scene => {
+        const trigger = scene.trigger === 'event' && !scene.event ? 'timer' : (scene.trigger || 'timer');
+        return {
+            type: scene.type,
+            trigger,
+            delay: scene.delay || 0,
+            event: trigger === 'click' ? CLICK_EVENT : (trigger === 'event' ? scene.event : null),
+            transition: scene.transition || null
+        };
+    });
+}
+
+/**
+ * Runs scenes one after another: each waits for its trigger, runs, and
+ * hands over to the next when its `run` promise settles.
+ *
+ *   idle -> waiting -> running -> waiting -> ... -> done
+ *
+ * `stop()` ends it from any state. All side effects go through the hooks,
+ * so it runs the same under a test double as in the page.
+ */
+export class ScenePipeline {
+    /**
+     * @param {Array<Object>} scenes - Normalized scenes
+     * @param {Object} hooks - Side effects
+     * @param {Function} hooks.run - (scene, index) => Promise|void; performs a scene
+     * @param {Function} hooks.listen - (eventName, handler) => unsubscribe function
+     * @param {Function} hooks.wait - (ms, callback) => cancel function (setTimeout by default)
+     * @param {Function} hooks.onChange - Called with (state, index) on every transition
+     */
+    constructor(scenes, hooks) {
+        this.scenes = scenes;
+        this.hooks = {
+            wait: (ms, callback) => {
+                const timer = setTimeout(callback, ms);
+                return () => clearTimeout(timer);
+            },
+            onChange: () => {},
+            ...hooks
+        };
+        this.state = SCENE_STATES.IDLE;
+        this.index = -1;
+        this.seen = new Set();
+        this.unlisten = [];
+        this.cancelWait = null;
+    }
+
+    /**
+     * The scene being waited for or run
+     * @returns {Object|null} Scene, or null before the start and after the end
+     */
+    get current() {
+        return this.scenes[this.index] || null;
+    }
+
+    start() {
+        if (this.state !== SCENE_STATES.IDLE) return;
+
+        // Listen up front so events before their scene still count
+        const events = new Set(this.scenes.map(scene => scene.event).filter(Boolean));
+        this.unlisten = [...events].map(name => this.hooks.listen(name, () => this.handleEvent(name)));
+
+        this.advance(0);
+    }
+
+    stop() {
+        if (this.state === SCENE_STATES.DONE || this.state === SCENE_STATES.STOPPED) return;
+
+        this.clearWait();
+        this.release();
+        this.setState(SCENE_STATES.STOPPED);
+    }
+
+    handleEvent(name) {
+        this.seen.add(name);
+
+        if (this.state === SCENE_STATES.WAITING && this.current.event === name && !this.cancelWait) {
+            this.trigger();
+        }
+    }
+
+    advance(index) {
+        if (this.state === SCENE_STATES.STOPPED) return;
+
+        this.index = index;
+        if (index >= this.scenes.length) {
+            this.release();
+            this.setState(SCENE_STATES.DONE);
+            return;
+        }
+
+        this.setState(SCENE_STATES.WAITING);
+        if (!this.current.event || this.seen.has(this.current.event)) {
+            this.trigger();
+        }
+    }
+
+    // The trigger fired: run the scene, after its delay if it has one
+    trigger() {
+        const index = this.index;
+        const { delay } = this.current;
+
+        if (delay > 0) {
+            this.cancelWait = this.hooks.wait(delay, () => {
+                this.cancelWait = null;
+                this.runScene(index);
+            });
+        } else {
+            this.runScene(index);
+        }
+    }
+
+    async runScene(index) {
+        if (this.state === SCENE_STATES.STOPPED) return;
+
+        this.setState(SCENE_STATES.RUNNING);
+        try {
+            await this.hooks.run(this.scenes[index], index);
+        } catch (error) {
+            // One broken scene shouldn't hold back the rest of the surprise
+            console.warn(`Scene "${this.scenes[index].type}" failed:`, error);
+        }
+        this.advance(index + 1);
+    }
+
+    clearWait() {
+        if (this.cancelWait) {
+            this.cancelWait();
+            this.cancelWait = null;
+        }
+    }
+
+    release() {
+        this.unlisten.forEach(unlisten => unlisten());
+        this.unlisten = [];
+    }
+
+    setState(state) {
+        this.state = state;
+        this.hooks.onChange(state, this.index);
+    }
+}
@@ -0,0 +1,779 @@
+// Wishes document schema and validation
+import { parseUnlockAt } from './unlock.js';
+import { THEME_PRESET_NAMES, THEME_COLOR_KEYS, THEME_MODES } from './theme.js';
+import { MAX_CAKE_TIERS } from './cake.js';
+import { normalizeLocale } from './i18n.js';
+import { SCENE_TYPES, SCENE_TRIGGERS, SCENE_TRANSITIONS } from './scenes.js';
+
+/**
+ * Current version of the wishes.json format
+ */
+export const WISHES_SCHEMA_VERSION = 1;
+
+export const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav', 'webm', 'flac'];
+export const IMAGE_EXTENSIONS = ['webp', 'jpg', 'jpeg', 'png', 'gif', 'apng', 'avif', 'svg'];
+export const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mov', 'ogv'];
+export const MEDIA_TYPES = ['image', 'animated', 'video'];
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'data:', 'blob:'];
+
+/**
+ * Check for a plain (non-array, non-null) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the lowercase file extension of a URL, ignoring query and hash
+ * @param {string} url - URL or path
+ * @returns {string} Extension without the dot, or an empty string
+ */
+export function getExtension(url) {
+    const path = String(url).split(/[?#]/)[0];
+    const match = /\.([a-z0-9]+)$/i.exec(path);
+    return match ? match[1].toLowerCase() : '';
+}
+
+function withArticle(word) {
+    return /^[aeiou]/i.test(word) ? `an ${word}` : `a ${word}`;
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    return `a ${typeof value}`;
+}
+
+/**
+ * Build a validator for a text field
+ * @param {Object} options - Field options
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function text({ required = false } = {}) {
+    return {
+        required,
+        validate(value, path, report) {
+            if (typeof value !== 'string') {
+                report(path, `must be text, got ${describe(value)}`);
+                return undefined;
+            }
+            if (!value.trim()) {
+                report(path, 'must not be empty', required ? 'error' : 'warning');
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for a language tag such as "es" or "pt-BR"
+ * @returns {Object} Field definition
+ */
+export function localeTag() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            const tag = normalizeLocale(value);
+            if (!tag) {
+                report(path, `must be a language tag like "es" or "pt-BR", got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            return tag;
+        }
+    };
+}
+
+/**
+ * Build a validator for text that may be given per language:
+ * "Happy birthday!" or { "en": "Happy birthday!", "es": "¡Feliz cumpleaños!" }
+ * @param {Object} options - Field options
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function localizedText({ required = false } = {}) {
+    const plain = text({ required });
+    const translation = text();
+
+    return {
+        required,
+        validate(value, path, report) {
+            if (!isPlainObject(value)) {
+                return plain.validate(value, path, report);
+            }
+
+            const result = {};
+            Object.keys(value).forEach(key => {
+                const locale = normalizeLocale(key);
+                if (!locale) {
+                    report(`${path}.${key}`, 'is not a language tag like "es" or "pt-BR"; ignoring it', 'warning');
+                    return;
+                }
+                const localized = translation.validate(value[key], `${path}.${key}`, report);
+                if (localized !== undefined) {
+                    result[locale] = localized;
+                }
+            });
+
+            if (!Object.keys(result).length) {
+                report(path, 'has no usable translations', required ? 'error' : 'warning');
+                return undefined;
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator for a media URL field
+ * @param {Object} options - Field options
+ * @param {string[]} options.extensions - Expected file extensions
+ * @param {string} options.label - Human readable media kind
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function mediaUrl({ extensions, label, required = false }) {
+    return {
+        required,
+        validate(value, path, report) {
+            if (typeof value !== 'string') {
+                report(path, `must be ${withArticle(label)} URL, got ${describe(value)}`);
+                return undefined;
+            }
+
+            const trimmed = value.trim();
+            if (!trimmed || /\s/.test(trimmed)) {
+                report(path, `"${value}" is not a valid ${label} URL`);
+                return undefined;
+            }
+
+            let parsed;
+            try {
+                parsed = new URL(trimmed, 'https://wishes.invalid/');
+            } catch (error) {
+                report(path, `"${value}" is not a valid ${label} URL`);
+                return undefined;
+            }
+
+            if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+                report(path, `unsupported URL scheme "${parsed.protocol}"`);
+                return undefined;
+            }
+
+            const extension = getExtension(parsed.pathname);
+            if (parsed.protocol !== 'data:' && parsed.protocol !== 'blob:' &&
+                !extensions.includes(extension)) {
+                report(path, `"${value}" doesn't look like ${withArticle(label)} file ` +
+                    `(expected ${extensions.join(', ')})`, 'warning');
+            }
+
+            return trimmed;
+        }
+    };
+}
+
+/**
+ * Build a validator for an array whose items share one definition
+ * @param {Object} item - Field definition for each item
+ * @param {Object} options - Field options
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function arrayOf(item, { required = false } = {}) {
+    return {
+        required,
+        validate(value, path, report) {
+            if (!Array.isArray(value)) {
+                report(path, `must be a list, got ${describe(value)}`);
+                return undefined;
+            }
+
+            // Invalid items are dropped so the rest of the list still renders
+            return value
+                .map((entry, index) => item.validate(entry, `${path}[${index}]`, report))
+                .filter(entry => entry !== undefined);
+        }
+    };
+}
+
+/**
+ * Build a validator for a boolean flag
+ * @returns {Object} Field definition
+ */
+export function boolean() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value !== 'boolean') {
+                report(path, `must be true or false, got ${describe(value)}`);
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for a number within a range
+ * @param {Object} options - Field options
+ * @param {number} options.min - Smallest allowed value
+ * @param {number} options.max - Largest allowed value
+ * @param {boolean} options.integer - Whether only whole numbers are allowed
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function number({ min = -Infinity, max = Infinity, integer = false, required = false } = {}) {
+    return {
+        required,
+        validate(value, path, report) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                report(path, `must be a number, got ${describe(value)}`);
+                return undefined;
+            }
+            if (integer && !Number.isInteger(value)) {
+                report(path, `must be a whole number, got ${value}`);
+                return undefined;
+            }
+            if (value < min || value > max) {
+                report(path, `must be between ${min} and ${max}, got ${value}`);
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for a nested object with its own fields
+ * @param {Object} fields - Field definitions keyed by property name
+ * @param {Object} options - Field options
+ * @param {boolean} options.required - Whether the field must be present
+ * @returns {Object} Field definition
+ */
+export function objectOf(fields, { required = false } = {}) {
+    return {
+        required,
+        validate(value, path, report) {
+            if (!isPlainObject(value)) {
+                report(path, `must be an object, got ${describe(value)}`);
+                return undefined;
+            }
+            return validateFields(value, fields, path, report);
+        }
+    };
+}
+
+/**
+ * Build a validator for a string from a fixed set of values
+ * @param {string[]} values - Allowed values
+ * @returns {Object} Field definition
+ */
+export function oneOf(values) {
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (!values.includes(value)) {
+                report(path, `must be one of ${values.map(v => `"${v}"`).join(', ')}, ` +
+                    `got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for a date or date/time string
+ * @returns {Object} Field definition
+ */
+export function dateString() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+                report(path, `must be a date like "2024-06-12", got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for a #rgb or #rrggbb colour
+ * @returns {Object} Field definition
+ */
+export function color() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+                report(path, `must be a hex colour like "#ff69b4", got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for the theme: a preset name, or { preset, mode, colors }
+ * @returns {Object} Field definition
+ */
+function theme() {
+    const preset = oneOf(THEME_PRESET_NAMES);
+    const colorFields = { confetti: arrayOf(color()) };
+    THEME_COLOR_KEYS.forEach(key => {
+        colorFields[key] = color();
+    });
+    const details = objectOf({
+        preset,
+        mode: oneOf(THEME_MODES),
+        colors: objectOf(colorFields)
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value === 'string') {
+                return preset.validate(value, path, report);
+            }
+
+            const result = details.validate(value, path, report);
+            if (result && result.preset === 'custom' && !result.colors) {
+                report(`${path}.colors`, 'is needed for the "custom" preset; using pastel colours', 'warning');
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator that takes true/false, or another kind of value for finer control
+ * @param {Object} detail - Field definition for the non-boolean form
+ * @returns {Object} Field definition
+ */
+function booleanOr(detail) {
+    return {
+        required: false,
+        validate(value, path, report) {
+            return typeof value === 'boolean' ? value : detail.validate(value, path, report);
+        }
+    };
+}
+
+/**
+ * Build a validator for the cake model
+ * @returns {Object} Field definition
+ */
+function cake() {
+    const details = objectOf({
+        tiers: arrayOf(objectOf({
+            radius: number({ min: 0.3, max: 2 }),
+            height: number({ min: 0.2, max: 1.2 }),
+            color: color()
+        })),
+        drips: booleanOr(number({ min: 0, max: 1 })),
+        sprinkles: booleanOr(number({ min: 0, max: 400, integer: true })),
+        border: boolean(),
+        topper: booleanOr(text())
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = details.validate(value, path, report);
+            const tiers = (result && result.tiers) || [];
+
+            if (tiers.length > MAX_CAKE_TIERS) {
+                report(`${path}.tiers`, `has ${tiers.length} tiers; only the first ` +
+                    `${MAX_CAKE_TIERS} are used`, 'warning');
+            }
+            tiers.forEach((tier, index) => {
+                const below = tiers[index - 1];
+                if (below && tier.radius && below.radius && tier.radius >= below.radius) {
+                    report(`${path}.tiers[${index}].radius`, 'should be smaller than the tier ' +
+                        'below; it will be narrowed to fit', 'warning');
+                }
+            });
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator for a gallery entry: a path, or an object with details
+ * @returns {Object} Field definition
+ */
+function galleryItem() {
+    const src = mediaUrl({
+        extensions: [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS],
+        label: 'image or video',
+        required: true
+    });
+    const details = objectOf({
+        src,
+        type: oneOf(MEDIA_TYPES),
+        poster: mediaUrl({ extensions: IMAGE_EXTENSIONS, label: 'image' }),
+        alt: localizedText(),
+        caption: localizedText(),
+        date: dateString()
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value === 'string') {
+                return src.validate(value, path, report);
+            }
+            if (!isPlainObject(value)) {
+                report(path, `must be a media URL or { "src": ... }, got ${describe(value)}`);
+                return undefined;
+            }
+
+            const result = details.validate(value, path, report);
+            return result && result.src ? result : undefined;
+        }
+    };
+}
+
+/**
+ * Build a validator for the flying photo. Without a usable src the whole
+ * block is dropped, so the page falls back to the default photo
+ * @returns {Object} Field definition
+ */
+function flyingPhoto() {
+    const details = objectOf({
+        src: mediaUrl({
+            extensions: [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS],
+            label: 'image or video',
+            required: true
+        }),
+        type: oneOf(MEDIA_TYPES),
+        poster: mediaUrl({ extensions: IMAGE_EXTENSIONS, label: 'image' }),
+        placeholder: mediaUrl({ extensions: IMAGE_EXTENSIONS, label: 'image' }),
+        alt: localizedText()
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = details.validate(value, path, report);
+            return result && result.src ? result : undefined;
+        }
+    };
+}
+
+/**
+ * Build a validator for the music setting: a URL, or a playlist object
+ * @returns {Object} Field definition
+ */
+function music() {
+    const src = mediaUrl({ extensions: AUDIO_EXTENSIONS, label: 'audio', required: true });
+    const trackDetails = objectOf({
+        src,
+        title: text(),
+        start: number({ min: 0 }),
+        fadeIn: number({ min: 0, max: 30 }),
+        fadeOut: number({ min: 0, max: 30 }),
+        when: oneOf(['any', 'afterCandle', 'gallery'])
+    });
+    const track = {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value === 'string') {
+                return src.validate(value, path, report);
+            }
+            const result = trackDetails.validate(value, path, report);
+            return result && result.src ? result : undefined;
+        }
+    };
+    const playlist = objectOf({
+        playlist: arrayOf(track, { required: true }),
+        loop: boolean(),
+        startOn: oneOf(['paper', 'candle'])
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (typeof value === 'string') {
+                return src.validate(value, path, report);
+            }
+            if (!isPlainObject(value)) {
+                report(path, `must be an audio URL or { "playlist": [...] }, got ${describe(value)}`);
+                return undefined;
+            }
+
+            const result = playlist.validate(value, path, report);
+            return result && result.playlist && result.playlist.length ? result : undefined;
+        }
+    };
+}
+
+/**
+ * Build a validator for a guestbook entry; entries without an author or message are dropped
+ * @returns {Object} Field definition
+ */
+function guestbookEntry() {
+    const details = objectOf({
+        author: text({ required: true }),
+        message: text({ required: true }),
+        avatar: mediaUrl({ extensions: IMAGE_EXTENSIONS, label: 'image' }),
+        date: dateString()
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = details.validate(value, path, report);
+            return result && result.author && result.message ? result : undefined;
+        }
+    };
+}
+
+/**
+ * Build a validator for the gift box; it needs something inside
+ * @returns {Object} Field definition
+ */
+function gift() {
+    const details = objectOf({
+        title: localizedText(),
+        text: localizedText(),
+        image: mediaUrl({ extensions: IMAGE_EXTENSIONS, label: 'image' }),
+        alt: localizedText(),
+        code: text(),
+        color: color(),
+        ribbon: color()
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = details.validate(value, path, report);
+            if (result && !(result.text || result.image || result.code)) {
+                report(path, 'has nothing inside; add "text", "image" or "code"', 'warning');
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator for one step of the reveal; steps without a type are dropped
+ * @returns {Object} Field definition
+ */
+function scene() {
+    const details = objectOf({
+        type: oneOf(SCENE_TYPES),
+        trigger: oneOf(SCENE_TRIGGERS),
+        delay: number({ min: 0, max: 60000 }),
+        event: text(),
+        transition: oneOf(SCENE_TRANSITIONS)
+    });
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = details.validate(value, path, report);
+            if (!result) return undefined;
+
+            if (!result.type) {
+                if (value.type === undefined) {
+                    report(`${path}.type`, 'is required');
+                }
+                return undefined;
+            }
+            if (result.trigger === 'event' && !result.event) {
+                report(`${path}.event`, 'is needed for the "event" trigger; starting straight after ' +
+                    'the previous step instead', 'warning');
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator for the reveal order
+ * @returns {Object} Field definition
+ */
+function scenes() {
+    const steps = arrayOf(scene());
+
+    return {
+        required: false,
+        validate(value, path, report) {
+            const result = steps.validate(value, path, report);
+            if (result && result.length && !result.some(step => step.type === 'message')) {
+                report(path, 'has no "message" step, so the message is never shown', 'warning');
+            }
+            return result;
+        }
+    };
+}
+
+/**
+ * Build a validator for the scheduled unlock time
+ * @returns {Object} Field definition
+ */
+function unlockTime() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            // An unreadable time is kept so the page stays sealed with an
+            // error instead of opening early
+            try {
+                parseUnlockAt(value);
+            } catch (error) {
+                report(path, error.message);
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Build a validator for the integer schemaVersion field
+ * @returns {Object} Field definition
+ */
+function schemaVersion() {
+    return {
+        required: false,
+        validate(value, path, report) {
+            if (!Number.isInteger(value) || value < 1) {
+                report(path, `must be a positive whole number, got ${JSON.stringify(value)}`);
+                return undefined;
+            }
+            if (value > WISHES_SCHEMA_VERSION) {
+                report(path, `version ${value} is newer than this app supports ` +
+                    `(${WISHES_SCHEMA_VERSION}); some fields may be ignored`, 'warning');
+            }
+            return value;
+        }
+    };
+}
+
+/**
+ * Top-level fields of the wishes document
+ */
+export const WISHES_FIELDS = {
+    schemaVersion: schemaVersion(),
+    locale: localeTag(),
+    name: text(),
+    age: number({ min: 1, max: 150, integer: true }),
+    candles: number({ min: 1, max: 50, integer: true }),
+    title: localizedText({ required: true }),
+    subtitle: localizedText(),
+    message: localizedText({ required: true }),
+    sender: localizedText({ required: true }),
+    music: music(),
+    gallery: arrayOf(galleryItem()),
+    flyingPhoto: flyingPhoto(),
+    unlockAt: unlockTime(),
+    microphone: boolean(),
+    guestbook: arrayOf(guestbookEntry()),
+    theme: theme(),
+    cake: cake(),
+    gift: gift(),
+    scenes: scenes(),
+    keepsake: boolean(),
+    typewriter: objectOf({
+        enabled: boolean(),
+        speed: number({ min: 0, max: 500 }),
+        punctuationPause: number({ min: 0, max: 5000 }),
+        sentencePause: number({ min: 0, max: 5000 })
+    })
+};
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestField(key, fields) {
+    const lower = key.toLowerCase();
+    return Object.keys(fields).find(field => editDistance(lower, field.toLowerCase()) <= 2);
+}
+
+/**
+ * Validate an object against a set of field definitions
+ * @param {Object} data - Object to validate
+ * @param {Object} fields - Field definitions keyed by property name
+ * @param {string} basePath - Path prefix used in reports
+ * @param {Function} report - Issue reporter (path, message, severity)
+ * @returns {Object} Copy of data containing only the valid fields
+ */
+export function validateFields(data, fields, basePath, report) {
+    const result = {};
+    const prefix = basePath ? `${basePath}.` : '';
+
+    Object.keys(data).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+            const suggestion = suggestField(key, fields);
+            report(`${prefix}${key}`, suggestion
+                ? `unknown field (did you mean "${suggestion}"?)`
+                : 'unknown field', 'warning');
+        }
+    });
+
+    Object.keys(fields).forEach(key => {
+        const field = fields[key];
+        const path = `${prefix}${key}`;
+
+        if (data[key] === undefined) {
+            if (field.required) {
+                report(path, 'is required');
+            }
+            return;
+        }
+
+        const value = field.validate(data[key], path, report);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Validate a wishes document
+ * @param {*} data - Parsed wishes.json
+ * @returns {{valid: boolean, data: Object|null, issues: Array<{path: string, message: string, severity: string}>}}
+ *   Validation result; `data` holds only the fields that passed
+ */
+export function validateWishes(data) {
+    const issues = [];
+    const report = (path, message, severity = 'error') => {
+        issues.push({ path, message, severity });
+    };
+
+    if (!isPlainObject(data)) {
+        report('(root)', `wishes document must be an object, got ${describe(data)}`);
+        return { valid: false, data: null, issues };
+    }
+
+    const sanitized = validateFields(data, WISHES_FIELDS, '', report);
+
+    return {
+        valid: !issues.some(issue => issue.severity === 'error'),
+        data: sanitized,
+        issues
+    };
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+// Single-link surprises: the whole wishes document in the URL fragment.
+//
+// Fragment format: #w1.<mode>.<crc32>.<base64url payload>
+//   mode "j": UTF-8 JSON, "d": deflate-raw compressed JSON, and either with
+//   an "e" in front when the payload is passphrase-encrypted.
+// The CRC-32 covers the payload as sent, so a link cut short by a chat app
+// is caught before anyone is asked for a passphrase. Fragments never reach
+// the server, so the wishes stay between sender and recipient.
+import { toBase64Url, fromBase64Url } from './utils.js';
+import { crc32 } from './zip.js';
+import { encryptBytes, decryptBytes } from './wishes-crypto.js';
+
+const PREFIX = 'w1';
+const FRAGMENT_PATTERN = /^#?w1\.(e?[dj])\.([0-9a-f]{8})\.([A-Za-z0-9_-]+)$/;
+
+/**
+ * Link lengths (in characters) worth knowing about: some chat apps and
+ * email clients cut links over `warn`; past `max` a link isn't created
+ */
+export const SHARE_LINK_LIMITS = {
+    warn: 2000,
+    max: 65536
+};
+
+/**
+ * Error thrown for links that are damaged, too long or from a newer version.
+ * `reason` is one of 'incomplete', 'damaged', 'unsupported', 'unreadable'
+ * or 'too-long', for pages that show their own wording
+ */
+export class ShareLinkError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'ShareLinkError';
+        this.reason = reason;
+    }
+}
+
+function canCompress() {
+    return typeof CompressionStream !== 'undefined';
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function checksum(bytes) {
+    return crc32(bytes).toString(16).padStart(8, '0');
+}
+
+/**
+ * Check whether a URL fragment carries a wishes document
+ * @param {Location|URL} location - Location to inspect
+ * @returns {boolean} True for share-link fragments (even damaged ones)
+ */
+export function hasSharedWishes(location = window.location) {
+    return (location.hash || '').startsWith(`#${PREFIX}.`);
+}
+
+/**
+ * Check whether a share-link fragment needs a passphrase
+ * @param {string} hash - location.hash
+ * @returns {boolean} True for encrypted links
+ */
+export function isEncryptedShareLink(hash) {
+    const match = FRAGMENT_PATTERN.exec(hash);
+    return Boolean(match) && match[1].startsWith('e');
+}
+
+/**
+ * Build a share link for a wishes document
+ * @param {Object} wishes - Wishes document
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Page the link opens (any existing fragment is replaced)
+ * @param {string} options.passphrase - Optional passphrase the recipient must enter
+ * @returns {Promise<{url: string, length: number, warning: string|null}>} Link and a size warning, if any
+ * @throws {ShareLinkError} When the link would be longer than SHARE_LINK_LIMITS.max
+ */
+export async function createShareLink(wishes, { baseUrl, passphrase = '' } = {}) {
+    let payload = new TextEncoder().encode(JSON.stringify(wishes));
+    let mode = 'j';
+
+    if (canCompress()) {
+        payload = await pipeBytes(payload, new CompressionStream('deflate-raw'));
+        mode = 'd';
+    }
+
+    if (passphrase) {
+        payload = await encryptBytes(payload, passphrase);
+        mode = `e${mode}`;
+    }
+
+    const url = new URL(baseUrl);
+    url.hash = `${PREFIX}.${mode}.${checksum(payload)}.${toBase64Url(payload)}`;
+    const link = url.href;
+
+    if (link.length > SHARE_LINK_LIMITS.max) {
+        throw new ShareLinkError(`The link would be ${link.length.toLocaleString()} characters long, ` +
+            `over the ${SHARE_LINK_LIMITS.max.toLocaleString()} limit. Shorten the message or ` +
+            'guestbook, or publish a wishes file instead.', 'too-long');
+    }
+
+    const warning = link.length > SHARE_LINK_LIMITS.warn
+        ? `This link is ${link.length.toLocaleString()} characters long. Some chat apps and email ` +
+            `clients cut links over ${SHARE_LINK_LIMITS.warn.toLocaleString()} characters, so check it opens before sending.`
+        : null;
+
+    return { url: link, length: link.length, warning };
+}
+
+/**
+ * Read the wishes document from a share-link fragment
+ * @param {string} hash - location.hash
+ * @param {string} passphrase - Passphrase, for encrypted links
+ * @returns {Promise<Object>} Parsed wishes document (not yet validated)
+ * @throws {ShareLinkError} When the link is damaged or unsupported
+ * @throws {WrongPassphraseError} When the passphrase doesn't open it
+ */
+export async function readShareLink(hash, passphrase = '') {
+    const match = FRAGMENT_PATTERN.exec(hash);
+    if (!match) {
+        throw new ShareLinkError('This link looks incomplete. Ask for it to be sent again.', 'incomplete');
+    }
+
+    const [, mode, expected, encoded] = match;
+    let payload;
+    try {
+        payload = fromBase64Url(encoded);
+    } catch (error) {
+        throw new ShareLinkError('This link looks incomplete. Ask for it to be sent again.', 'incomplete');
+    }
+
+    if (checksum(payload) !== expected) {
+        throw new ShareLinkError('This link was damaged on the way (part of it may be missing). ' +
+            'Ask for it to be sent again.', 'damaged');
+    }
+
+    if (mode.startsWith('e')) {
+        payload = await decryptBytes(payload, passphrase);
+    }
+
+    const compressed = mode.endsWith('d');
+    if (compressed && typeof DecompressionStream === 'undefined') {
+        throw new ShareLinkError('This browser is too old to open the link. Try an up-to-date browser.',
+            'unsupported');
+    }
+
+    // Data can pass the checksum and still be corrupt, which only shows here
+    try {
+        if (compressed) {
+            payload = await pipeBytes(payload, new DecompressionStream('deflate-raw'));
+        }
+        return JSON.parse(new TextDecoder().decode(payload));
+    } catch (error) {
+        throw new ShareLinkError('This link couldn\'t be read. Ask for it to be sent again.', 'unreadable');
+    }
+}
@@ -0,0 +1,143 @@
+// Site export: packs the surprise, its wishes document and media into a ZIP
+import { createZip } from './zip.js';
+import { getMediaUrls } from './offline.js';
+import { FLYING_PHOTO_DEFAULTS } from './gallery.js';
+
+/**
+ * Files the published surprise needs. Keep in sync with SHELL_FILES in
+ * sw.js; the editor, contributor page and tools/ are left out.
+ */
+export const SITE_FILES = [
+    'index.html',
+    'manifest.webmanifest',
+    'sw.js',
+    'LICENSE',
+    'css/base.css',
+    'css/layout.css',
+    'css/components.css',
+    'js/main.js',
+    'js/utils.js',
+    'js/three-scene.js',
+    'js/recipients.js',
+    'js/schema.js',
+    'js/scenes.js',
+    'js/plugins.js',
+    'js/gift.js',
+    'js/keepsake.js',
+    'js/pdf.js',
+    'js/diagnostics.js',
+    'js/typewriter.js',
+    'js/unlock.js',
+    'js/breath-detector.js',
+    'js/microphone.js',
+    'js/gallery.js',
+    'js/lightbox.js',
+    'js/placeholder.js',
+    'js/music.js',
+    'js/offline.js',
+    'js/theme.js',
+    'js/cake.js',
+    'js/quality.js',
+    'js/particles.js',
+    'js/guestbook.js',
+    'js/preview.js',
+    'js/share-link.js',
+    'js/wishes-crypto.js',
+    'js/zip.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/locales/fr.js',
+    'js/locales/de.js',
+    'js/locales/ar.js',
+    'js/locales/he.js',
+    'js/vendor/three/three.module.min.js',
+    'js/vendor/three/addons/utils/BufferGeometryUtils.js',
+    'js/vendor/three/addons/loaders/FontLoader.js',
+    'js/vendor/three/addons/geometries/TextGeometry.js',
+    'js/vendor/three/addons/controls/OrbitControls.js',
+    'assets/fonts/helvetiker_bold.typeface.json',
+    'assets/fonts/LICENSE',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png',
+    'assets/icons/apple-touch-icon.png'
+];
+
+// Used by the page when present, but a deployment may not ship them
+const OPTIONAL_FILES = ['assets/images/cake-thumb.webp'];
+
+const WISHES_PATH = 'database/wishes.json';
+
+/**
+ * Check whether a media reference is a file inside the site
+ * @param {string} url - URL or path from the wishes document
+ * @returns {boolean} True for relative paths
+ */
+export function isSitePath(url) {
+    return !/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.startsWith('//') && !url.startsWith('/');
+}
+
+async function fetchBytes(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Build a ZIP of the whole site with the given wishes document
+ * @param {Object} wishes - Wishes document to publish as database/wishes.json
+ * @param {Map<string, Blob>} uploads - Files added in the editor, keyed by site path
+ * @param {Function} onProgress - Called with (done, total) as files are gathered
+ * @returns {Promise<{blob: Blob, missing: string[]}>} Archive, and media that couldn't be found
+ * @throws {Error} When one of SITE_FILES can't be fetched
+ */
+export async function buildSiteZip(wishes, uploads = new Map(), onProgress = () => {}) {
+    const media = getMediaUrls({
+        ...wishes,
+        flyingPhoto: wishes.flyingPhoto || FLYING_PHOTO_DEFAULTS
+    }).filter(isSitePath);
+    const optional = [...new Set([...OPTIONAL_FILES, ...media])]
+        .filter(path => !SITE_FILES.includes(path));
+
+    const total = SITE_FILES.length + optional.length;
+    const files = [];
+    const missing = [];
+    let done = 0;
+
+    for (const path of SITE_FILES) {
+        try {
+            files.push({ name: path, data: await fetchBytes(path) });
+        } catch (error) {
+            throw new Error(`Could not read ${path} from this site (${error.message})`);
+        }
+        onProgress(++done, total);
+    }
+
+    for (const path of optional) {
+        try {
+            const upload = uploads.get(path);
+            const data = upload
+                ? new Uint8Array(await upload.arrayBuffer())
+                : await fetchBytes(path);
+            files.push({ name: path, data });
+        } catch (error) {
+            missing.push(path);
+        }
+        onProgress(++done, total);
+    }
+
+    files.push({
+        name: WISHES_PATH,
+        data: new TextEncoder().encode(JSON.stringify(wishes, null, 4) + '\n')
+    });
+
+    return {
+        blob: new Blob([createZip(files)], { type: 'application/zip' }),
+        missing: missing.filter(path => !OPTIONAL_FILES.includes(path))
+    };
+}
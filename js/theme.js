@@ -0,0 +1,211 @@
+// Visual themes: one palette drives the CSS variables, the 3D cake and the confetti
+
+export const THEME_MODES = ['auto', 'light', 'dark'];
+
+/**
+ * Built-in palettes, each with a light and a dark variant.
+ * "custom" starts from pastel and layers the wishes.json colours on top.
+ */
+export const THEME_PRESETS = {
+    pastel: {
+        light: {
+            background: '#fdf8f8',
+            primary: '#ff69b4',
+            accent: '#ffb6c1',
+            soft: '#ffe4e1',
+            text: '#8b0000',
+            surface: '#ffffff',
+            cake: '#ffb6c1',
+            frosting: '#ffffff',
+            candle: '#ffff99',
+            flame: '#ff6600',
+            glow: '#ffb6c1',
+            paper: '#fffff0'
+        },
+        dark: {
+            background: '#241a1f',
+            primary: '#ff85c1',
+            accent: '#b86f86',
+            soft: '#3a2830',
+            text: '#ffe4ec',
+            surface: '#3d2b34',
+            cake: '#d98ba0',
+            frosting: '#f5e6ea',
+            candle: '#f2e58c',
+            flame: '#ff7a1a',
+            glow: '#ff9ec4',
+            paper: '#f5f0dc'
+        }
+    },
+    midnight: {
+        light: {
+            background: '#eef1fb',
+            primary: '#3f51b5',
+            accent: '#9fa8da',
+            soft: '#dfe4f7',
+            text: '#1a237e',
+            surface: '#ffffff',
+            cake: '#5c6bc0',
+            frosting: '#e8eaf6',
+            candle: '#fff59d',
+            flame: '#ff8f00',
+            glow: '#7986cb',
+            paper: '#f5f7ff'
+        },
+        dark: {
+            background: '#0d1026',
+            primary: '#8c9eff',
+            accent: '#3949ab',
+            soft: '#1a1f3d',
+            text: '#e8eaf6',
+            surface: '#1c2145',
+            cake: '#283593',
+            frosting: '#c5cae9',
+            candle: '#fff59d',
+            flame: '#ffab40',
+            glow: '#536dfe',
+            paper: '#e8eaf6'
+        }
+    },
+    gold: {
+        light: {
+            background: '#fffaf0',
+            primary: '#b8860b',
+            accent: '#e6cf8b',
+            soft: '#f7ecd0',
+            text: '#5c4300',
+            surface: '#ffffff',
+            cake: '#f0d89a',
+            frosting: '#fffdf5',
+            candle: '#ffe082',
+            flame: '#ff6f00',
+            glow: '#ffd54f',
+            paper: '#fffdf0'
+        },
+        dark: {
+            background: '#1c1710',
+            primary: '#e6c35c',
+            accent: '#8c6d1f',
+            soft: '#2c2416',
+            text: '#f7ecd0',
+            surface: '#2f271a',
+            cake: '#b8912e',
+            frosting: '#f5e9c8',
+            candle: '#ffe082',
+            flame: '#ff8f00',
+            glow: '#ffca28',
+            paper: '#f5e9c8'
+        }
+    }
+};
+
+export const THEME_PRESET_NAMES = [...Object.keys(THEME_PRESETS), 'custom'];
+export const THEME_COLOR_KEYS = Object.keys(THEME_PRESETS.pastel.light);
+
+const CSS_VARIABLES = {
+    background: '--color-bg',
+    primary: '--color-primary',
+    accent: '--color-accent',
+    soft: '--color-soft',
+    text: '--color-text'
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Normalize the `theme` setting
+ * @param {string|Object|undefined} theme - A preset name, or { preset, mode, colors }
+ * @returns {{preset: string, mode: string, colors: Object}} Theme settings
+ */
+export function normalizeTheme(theme) {
+    const config = typeof theme === 'string' ? { preset: theme } : (theme || {});
+    return {
+        preset: config.preset || 'pastel',
+        mode: config.mode || 'auto',
+        colors: config.colors || {}
+    };
+}
+
+/**
+ * Check whether the visitor's device asks for a dark colour scheme
+ * @returns {boolean} True for dark mode
+ */
+export function prefersDarkScheme() {
+    return !!(window.matchMedia && window.matchMedia(DARK_QUERY).matches);
+}
+
+/**
+ * Resolve a theme into a concrete palette
+ * @param {string|Object} theme - The `theme` setting from wishes.json
+ * @param {boolean} prefersDark - Whether the device prefers dark mode
+ * @returns {Object} Palette with the THEME_COLOR_KEYS, `confetti`, and `dark`
+ */
+export function resolveTheme(theme, prefersDark = false) {
+    const { preset, mode, colors } = normalizeTheme(theme);
+    const dark = mode === 'dark' || (mode === 'auto' && prefersDark);
+    const base = THEME_PRESETS[preset] || THEME_PRESETS.pastel;
+    const palette = { ...base[dark ? 'dark' : 'light'], ...colors, dark };
+
+    palette.confetti = colors.confetti && colors.confetti.length
+        ? colors.confetti
+        : [palette.primary, palette.accent, palette.soft];
+
+    return palette;
+}
+
+/**
+ * Convert a #rgb or #rrggbb colour into an rgba() string
+ * @param {string} hex - Hex colour
+ * @param {number} alpha - Opacity (0..1)
+ * @returns {string} CSS colour
+ */
+function withAlpha(hex, alpha) {
+    let digits = hex.slice(1);
+    if (digits.length === 3) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    const value = parseInt(digits, 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Write a palette to the page's CSS custom properties
+ * @param {Object} palette - Result of resolveTheme()
+ * @param {HTMLElement} root - Element holding the variables
+ */
+export function applyTheme(palette, root = document.documentElement) {
+    Object.entries(CSS_VARIABLES).forEach(([key, variable]) => {
+        root.style.setProperty(variable, palette[key]);
+    });
+    root.style.setProperty('--color-surface', withAlpha(palette.surface, 0.92));
+    root.style.setProperty('--color-surface-strong', palette.surface);
+    root.style.colorScheme = palette.dark ? 'dark' : 'light';
+
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.setAttribute('content', palette.primary);
+    }
+}
+
+/**
+ * Re-resolve the palette whenever the device switches between light and dark
+ * @param {string|Object} theme - The `theme` setting from wishes.json
+ * @param {Function} callback - Called with the new palette
+ * @returns {Function} Stops watching
+ */
+export function watchColorScheme(theme, callback) {
+    if (normalizeTheme(theme).mode !== 'auto' || !window.matchMedia) {
+        return () => {};
+    }
+
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = (e) => callback(resolveTheme(theme, e.matches));
+
+    // Safari < 14 only has the deprecated addListener
+    if (query.addEventListener) {
+        query.addEventListener('change', handleChange);
+        return () => query.removeEventListener('change', handleChange);
+    }
+    query.addListener(handleChange);
+    return () => query.removeListener(handleChange);
+}
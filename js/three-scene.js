@@ -1,14 +1,56 @@
 // Three.js scene management with fallback
-let scene, camera, renderer, cake, paper, candle, flame;
+import { prefersReducedMotion } from './utils.js';
+import { resolveTheme } from './theme.js';
+import { normalizeCake, getCakeTop, createCakeModel } from './cake.js';
+import { QUALITY_TIERS, FpsMonitor, scaleSegments } from './quality.js';
+import { ParticleEffects } from './particles.js';
+import { createGiftModel } from './gift.js';
+import { t } from './i18n.js';
+
+let scene, camera, renderer, cake, paper, candles, flames;
+let giftBox = null;
+let materials = {};
+let glowLight = null;
+let cakeTop = null;
+let controls = null;
+let idleTimer = null;
+let keyLight = null;
+let quality = QUALITY_TIERS.high;
+let fpsMonitor = null;
+let particles = null;
 let isInitialized = false;
 let animationId = null;
 let isPaused = false;
 let raycaster, mouse;
 
-export async function initThreeScene(container) {
+export const MAX_CANDLES = 50;
+const CANDLE_RING_INSET = 0.35;
+const CANDLE_SPACING = 0.22;
+const CANDLE_HEIGHT = 0.5;
+const FLAME_OFFSET = 0.55;
+const PAPER_OFFSET = 0.4;
+
+// Orbit limits: never below the plate, never too close or too far
+const MIN_DISTANCE = 3;
+const MAX_DISTANCE = 9;
+const MIN_POLAR_ANGLE = 0.2;
+const MAX_POLAR_ANGLE = Math.PI / 2 - 0.05;
+const AUTO_ROTATE_SPEED = 0.6;
+const AUTO_ROTATE_DELAY = 4000;
+// A press that moves further than this is a drag, not a tap
+const TAP_DISTANCE = 6;
+
+export async function initThreeScene(container, options = {}) {
+    const candleCount = Math.min(Math.max(1, options.candles || 1), MAX_CANDLES);
+    const palette = options.palette || resolveTheme();
+    const cakeConfig = options.cake || normalizeCake();
+    cakeTop = getCakeTop(cakeConfig);
+    const qualityLevel = QUALITY_TIERS[options.quality] ? options.quality : 'high';
+    quality = QUALITY_TIERS[qualityLevel];
+
     try {
-        // Dynamic import of Three.js
-        const THREE = await import('https://cdn.jsdelivr.net/npm/three@0.152.2/build/three.module.js');
+        // Dynamic import of the self-hosted Three.js (mapped in index.html)
+        const THREE = await import('three');
         
         // Scene setup
         scene = new THREE.Scene();
@@ -17,40 +59,64 @@ export async function initThreeScene(container) {
         const aspect = container.clientWidth / container.clientHeight;
         camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
         camera.position.set(0, 2, 5);
-        camera.lookAt(0, 0, 0);
         
-        // Renderer setup with performance optimizations
+        // Renderer setup; antialiasing can only be chosen here
         renderer = new THREE.WebGLRenderer({ 
-            antialias: true, 
+            antialias: quality.antialias, 
             alpha: true,
             powerPreference: 'high-performance'
         });
         renderer.setSize(container.clientWidth, container.clientHeight);
-        
-        // Clamp pixel ratio for better performance on Retina devices
-        const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
-        renderer.setPixelRatio(pixelRatio);
-        
         renderer.setClearColor(0x000000, 0);
-        renderer.shadowMap.enabled = true;
-        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
         container.appendChild(renderer.domElement);
         
         // Lighting
-        setupLighting(THREE);
+        setupLighting(THREE, palette);
+        
+        // Pixel ratio and shadows follow the quality tier
+        applyQuality(THREE, qualityLevel);
         
-        // Create cake and interactive elements
-        createCake(THREE);
-        createPaper(THREE);
-        createCandle(THREE);
+        // Create cake and interactive elements; segment counts are fixed from here on
+        await createCake(THREE, cakeConfig, palette);
+        createPaper(THREE, palette);
+        createCandles(THREE, candleCount, palette);
+        
+        // Waits out of sight until its scene calls showGift()
+        if (options.gift) {
+            giftBox = createGiftModel(THREE, options.gift, palette, cakeConfig, quality.detail);
+            scene.add(giftBox.group);
+        }
+        
+        // Smoke, sparkles and confetti; motion-sensitive visitors go without
+        if (!prefersReducedMotion()) {
+            particles = new ParticleEffects(THREE, scene, {
+                palette,
+                cake: cakeConfig,
+                density: quality.particles
+            });
+            updateParticleViewport(THREE);
+        }
         
         // Raycasting for interaction
         setupRaycasting(THREE);
         
+        // Drag to orbit, pinch/scroll to zoom
+        await setupControls();
+        
         // Event listeners
         setupInteractions(container);
         
+        // Step quality down (or back up) when the frame rate says so
+        if (options.adaptive !== false) {
+            fpsMonitor = new FpsMonitor(qualityLevel, {
+                onChange: (level, fps) => {
+                    console.log(`Frame rate ${Math.round(fps)} fps, switching to ${level} quality`);
+                    applyQuality(THREE, level);
+                }
+            });
+        }
+        
         // Start animation loop
         animate();
         
@@ -59,7 +125,13 @@ export async function initThreeScene(container) {
         return {
             pause: pauseAnimation,
             resume: resumeAnimation,
-            handleResize: () => handleResize(container),
+            handleResize: () => handleResize(THREE, container),
+            blowOutCandles: blowOutAllCandles,
+            showGift: showGift,
+            burstConfetti: burstConfetti,
+            snapshot: snapshot,
+            setPalette: applyPalette,
+            setQuality: (level) => applyQuality(THREE, level),
             cleanup: cleanup
         };
         
@@ -69,99 +141,217 @@ export async function initThreeScene(container) {
     }
 }
 
-function setupLighting(THREE) {
+function setupLighting(THREE, palette) {
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
     
     // Directional light
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 10, 5);
-    directionalLight.castShadow = true;
-    directionalLight.shadow.mapSize.width = 1024;
-    directionalLight.shadow.mapSize.height = 1024;
-    scene.add(directionalLight);
+    keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    keyLight.position.set(5, 10, 5);
+    keyLight.castShadow = true;
+    scene.add(keyLight);
     
     // Point light for warm glow
-    const pointLight = new THREE.PointLight(0xffb6c1, 0.5);
-    pointLight.position.set(0, 3, 0);
-    scene.add(pointLight);
+    glowLight = new THREE.PointLight(palette.glow, 0.5);
+    glowLight.position.set(0, 3, 0);
+    scene.add(glowLight);
 }
 
-function createCake(THREE) {
-    const cakeGroup = new THREE.Group();
-    
-    // Cake base (cylinder)
-    const cakeGeometry = new THREE.CylinderGeometry(1.2, 1.2, 0.6, 16);
-    const cakeMaterial = new THREE.MeshLambertMaterial({ color: 0xffb6c1 });
-    cake = new THREE.Mesh(cakeGeometry, cakeMaterial);
-    cake.position.y = 0.3;
-    cake.castShadow = true;
-    cake.receiveShadow = true;
-    
-    // Cake frosting (smaller cylinder on top)
-    const frostingGeometry = new THREE.CylinderGeometry(1.1, 1.1, 0.2, 16);
-    const frostingMaterial = new THREE.MeshLambertMaterial({ color: 0xffffff });
-    const frosting = new THREE.Mesh(frostingGeometry, frostingMaterial);
-    frosting.position.y = 0.7;
-    frosting.castShadow = true;
-    
-    cakeGroup.add(cake);
-    cakeGroup.add(frosting);
-    scene.add(cakeGroup);
+async function createCake(THREE, cakeConfig, palette) {
+    // Tiers, frosting, drips and borders are merged; sprinkles are instanced
+    cake = await createCakeModel(THREE, cakeConfig, palette, quality.detail);
+    scene.add(cake.group);
+    
+    // The name topper needs a font download, so it joins when ready
+    if (cakeConfig.topper) {
+        cake.addTopper(cakeTop).catch(error => {
+            console.warn('Cake topper unavailable:', error);
+        });
+    }
 }
 
-function createPaper(THREE) {
+// Pixel ratio and shadows can change while running; antialias and detail can't
+function applyQuality(THREE, level) {
+    if (!renderer || !QUALITY_TIERS[level]) return;
+    
+    const tier = QUALITY_TIERS[level];
+    const detail = quality.detail;
+    quality = { ...tier, antialias: quality.antialias, detail };
+    
+    // Clamp pixel ratio for better performance on Retina devices
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.pixelRatio));
+    
+    if (particles) {
+        particles.setDensity(tier.particles);
+        updateParticleViewport(THREE);
+    }
+    
+    renderer.shadowMap.enabled = tier.shadows;
+    renderer.shadowMap.type = tier.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    keyLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+    if (keyLight.shadow.map) {
+        // Re-created at the new size on the next render
+        keyLight.shadow.map.dispose();
+        keyLight.shadow.map = null;
+    }
+    
+    // Shadow support is compiled into each material's shader
+    scene.traverse((child) => {
+        if (child.material) {
+            [].concat(child.material).forEach(material => {
+                material.needsUpdate = true;
+            });
+        }
+    });
+    
+    document.dispatchEvent(new CustomEvent('quality:changed', { detail: { level } }));
+}
+
+// Point sprites are sized in device pixels, so they follow the canvas size
+function updateParticleViewport(THREE) {
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    particles.setViewport(size.y, camera.fov);
+}
+
+function createPaper(THREE, palette) {
     // Paper tag on cake
     const paperGeometry = new THREE.PlaneGeometry(0.4, 0.6);
     const paperMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0xfffff0,
+        color: palette.paper,
         transparent: true,
-        opacity: 0.9
+        opacity: 0.9,
+        // Still visible once the camera has orbited round behind it
+        side: THREE.DoubleSide
     });
     
     paper = new THREE.Mesh(paperGeometry, paperMaterial);
-    paper.position.set(1, 1.2, 0);
+    paper.position.set(cakeTop.radius - 0.2, cakeTop.y + PAPER_OFFSET, 0);
     paper.rotation.y = -0.3;
     paper.name = 'paper';
     paper.userData = { interactive: true };
     
-    // Add gentle glow animation
-    paper.userData.originalColor = 0xfffff0;
-    
     scene.add(paper);
 }
 
-function createCandle(THREE) {
+// Concentric rings on the cake top, outermost first, each offset by half a step
+function layoutCandles(count, topRadius) {
+    if (count === 1) return [{ x: 0, z: 0 }];
+    
+    const positions = [];
+    const ringRadius = Math.max(0, topRadius - CANDLE_RING_INSET);
+    let radius = count <= 8 ? Math.min(0.5, ringRadius) : ringRadius;
+    let remaining = count;
+    let ring = 0;
+    
+    while (remaining > 0) {
+        const capacity = radius < CANDLE_SPACING / 2
+            ? 1
+            : Math.max(1, Math.floor((2 * Math.PI * radius) / CANDLE_SPACING));
+        const inRing = Math.min(capacity, remaining);
+        const offset = ring % 2 ? Math.PI / inRing : 0;
+        
+        for (let i = 0; i < inRing; i++) {
+            const angle = offset + (i / inRing) * Math.PI * 2;
+            positions.push({ x: Math.cos(angle) * radius, z: Math.sin(angle) * radius });
+        }
+        
+        remaining -= inRing;
+        radius = Math.max(0, radius - CANDLE_SPACING);
+        ring++;
+    }
+    
+    return positions;
+}
+
+function createCandles(THREE, count, palette) {
     const candleGroup = new THREE.Group();
     
-    // Candle stick
-    const candleGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8);
-    const candleMaterial = new THREE.MeshLambertMaterial({ color: 0xffff99 });
-    const candleStick = new THREE.Mesh(candleGeometry, candleMaterial);
-    candleStick.position.y = 1;
-    candleStick.castShadow = true;
-    
-    // Flame (sphere)
-    const flameGeometry = new THREE.SphereGeometry(0.08, 8, 6);
-    const flameMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xff6600,
-        transparent: true,
-        opacity: 0.8
+    // Shared geometry and materials keep draw setup cheap for big birthdays
+    const candleGeometry = new THREE.CylinderGeometry(0.05, 0.05, CANDLE_HEIGHT,
+        scaleSegments(8, quality.detail, 5));
+    materials.candle = new THREE.MeshLambertMaterial({ color: palette.candle });
+    const flameGeometry = new THREE.SphereGeometry(0.08,
+        scaleSegments(8, quality.detail, 5), scaleSegments(6, quality.detail, 4));
+    
+    flames = layoutCandles(count, cakeTop.radius).map((position, index) => {
+        // Candle stick
+        const candleStick = new THREE.Mesh(candleGeometry, materials.candle);
+        candleStick.position.set(position.x, cakeTop.y + CANDLE_HEIGHT / 2 - 0.05, position.z);
+        candleStick.castShadow = true;
+        
+        // Flame (sphere); each gets its own material so it can fade alone
+        const flameMaterial = new THREE.MeshBasicMaterial({ 
+            color: palette.flame,
+            transparent: true,
+            opacity: 0.8
+        });
+        const flame = new THREE.Mesh(flameGeometry, flameMaterial);
+        flame.position.set(position.x, cakeTop.y + FLAME_OFFSET, position.z);
+        flame.name = 'flame';
+        flame.userData = { interactive: true, index, lit: true, phase: index * 1.7 };
+        
+        candleGroup.add(candleStick);
+        candleGroup.add(flame);
+        return flame;
     });
-    flame = new THREE.Mesh(flameGeometry, flameMaterial);
-    flame.position.y = 1.35;
-    flame.name = 'flame';
-    flame.userData = { interactive: true };
-    
-    candleGroup.add(candleStick);
-    candleGroup.add(flame);
-    candleGroup.position.set(0, 0, 0);
     
-    candle = candleGroup;
+    candles = candleGroup;
     scene.add(candleGroup);
 }
 
+// Recolour the scene in place, e.g. when the device switches to dark mode
+function applyPalette(palette) {
+    if (!scene) return;
+    
+    cake.setPalette(palette);
+    materials.candle.color.set(palette.candle);
+    glowLight.color.set(palette.glow);
+    paper.material.color.set(palette.paper);
+    flames.forEach(flame => flame.material.color.set(palette.flame));
+    if (giftBox) {
+        giftBox.setPalette(palette);
+    }
+    
+    if (particles) {
+        particles.setPalette(palette);
+    }
+}
+
+async function setupControls() {
+    const { OrbitControls } = await import('three/addons/controls/OrbitControls.js');
+    
+    controls = new OrbitControls(camera, renderer.domElement);
+    // Tall cakes get the camera's attention a little higher up
+    controls.target.set(0, Math.max(0, cakeTop.y - 0.8), 0);
+    controls.enablePan = false;
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = MIN_DISTANCE;
+    controls.maxDistance = MAX_DISTANCE;
+    controls.minPolarAngle = MIN_POLAR_ANGLE;
+    controls.maxPolarAngle = MAX_POLAR_ANGLE;
+    controls.autoRotateSpeed = AUTO_ROTATE_SPEED;
+    
+    // Idle spin pauses while the visitor is handling the cake
+    const canAutoRotate = !prefersReducedMotion();
+    controls.autoRotate = canAutoRotate;
+    
+    controls.addEventListener('start', () => {
+        clearTimeout(idleTimer);
+        controls.autoRotate = false;
+    });
+    controls.addEventListener('end', () => {
+        if (!canAutoRotate) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            if (controls) controls.autoRotate = true;
+        }, AUTO_ROTATE_DELAY);
+    });
+    
+    controls.update();
+}
+
 function setupRaycasting(THREE) {
     raycaster = new THREE.Raycaster();
     mouse = new THREE.Vector2();
@@ -171,15 +361,12 @@ function setupInteractions(container) {
     const canvas = container.querySelector('canvas');
     if (!canvas) return;
     
-    // Mouse/touch event handlers
-    function handlePointerEvent(event) {
-        event.preventDefault();
-        
+    // Only a press that stays put is a tap; drags and pinches belong to the orbit controls
+    let press = null;
+    let activePointers = 0;
+    
+    function handleTap(clientX, clientY) {
         const rect = canvas.getBoundingClientRect();
-        const clientX = event.clientX || (event.touches && event.touches[0].clientX);
-        const clientY = event.clientY || (event.touches && event.touches[0].clientY);
-        
-        if (clientX === undefined || clientY === undefined) return;
         
         mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
         mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
@@ -193,27 +380,60 @@ function setupInteractions(container) {
                 if (object.name === 'paper') {
                     handlePaperClick();
                     break;
-                } else if (object.name === 'flame') {
-                    handleCandleBlow();
+                } else if (object.name === 'flame' && object.userData.lit) {
+                    handleCandleBlow(object);
+                    break;
+                } else if (object.userData.gift && isGiftWaiting()) {
+                    handleGiftClick();
                     break;
                 }
             }
         }
     }
     
-    // Add event listeners for both mouse and touch
-    canvas.addEventListener('click', handlePointerEvent);
-    canvas.addEventListener('touchend', handlePointerEvent);
+    canvas.addEventListener('pointerdown', (event) => {
+        activePointers++;
+        if (activePointers === 1 && event.button === 0) {
+            press = { x: event.clientX, y: event.clientY, multiTouch: false };
+        } else if (press) {
+            press.multiTouch = true;
+        }
+    });
+    
+    canvas.addEventListener('pointerup', (event) => {
+        activePointers = Math.max(0, activePointers - 1);
+        if (!press) return;
+        
+        const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+        const isTap = !press.multiTouch && moved < TAP_DISTANCE;
+        if (activePointers === 0 || isTap) {
+            press = null;
+        }
+        
+        if (isTap) {
+            handleTap(event.clientX, event.clientY);
+        }
+    });
+    
+    canvas.addEventListener('pointercancel', () => {
+        activePointers = Math.max(0, activePointers - 1);
+        press = null;
+    });
     
     // Keyboard accessibility
     canvas.addEventListener('keydown', (event) => {
         if (event.key === 'Enter' || event.key === ' ') {
             event.preventDefault();
-            // Default to paper interaction if visible, otherwise candle
-            if (paper.visible) {
+            // A gift on offer comes first (it's only out when its scene is), then the paper, then the next lit candle
+            if (isGiftWaiting()) {
+                handleGiftClick();
+            } else if (paper.visible) {
                 handlePaperClick();
-            } else if (flame.visible) {
-                handleCandleBlow();
+            } else {
+                const nextFlame = flames.find(flame => flame.userData.lit);
+                if (nextFlame) {
+                    handleCandleBlow(nextFlame);
+                }
             }
         }
     });
@@ -221,7 +441,7 @@ function setupInteractions(container) {
     // Make canvas focusable
     canvas.setAttribute('tabindex', '0');
     canvas.setAttribute('role', 'button');
-    canvas.setAttribute('aria-label', 'Interactive birthday cake - press Enter or click to interact');
+    canvas.setAttribute('aria-label', t('cake.scene'));
 }
 
 function handlePaperClick() {
@@ -261,13 +481,15 @@ function handlePaperClick() {
     document.dispatchEvent(new CustomEvent('paper:clicked'));
 }
 
-function handleCandleBlow() {
-    if (!flame.visible) return;
+function handleCandleBlow(flame) {
+    if (!flame.userData.lit) return;
+    flame.userData.lit = false;
     
-    console.log('3D Candle blown');
+    const remaining = flames.filter(f => f.userData.lit).length;
+    console.log(`3D Candle blown (${remaining} left)`);
     
     // Animate flame extinguish
-    const startScale = flame.scale.clone();
+    const startScale = flame.scale.x;
     const startOpacity = flame.material.opacity;
     
     let progress = 0;
@@ -279,7 +501,7 @@ function handleCandleBlow() {
         progress = Math.min(elapsed / duration, 1);
         
         // Scale down
-        const scale = 1 - progress;
+        const scale = startScale * (1 - progress);
         flame.scale.set(scale, scale, scale);
         
         // Fade out
@@ -294,8 +516,67 @@ function handleCandleBlow() {
     
     animateFlame();
     
-    // Dispatch custom event
-    document.dispatchEvent(new CustomEvent('candle:blown'));
+    // A wisp of smoke from the wick
+    if (particles) {
+        particles.emitSmoke(flame.position);
+    }
+    
+    // Dispatch custom events: progress for every flame, blown for the last one
+    document.dispatchEvent(new CustomEvent('candle:extinguished', {
+        detail: { index: flame.userData.index, remaining, total: flames.length }
+    }));
+    
+    if (remaining === 0) {
+        document.dispatchEvent(new CustomEvent('candle:blown'));
+    }
+}
+
+function isGiftWaiting() {
+    return Boolean(giftBox) && giftBox.group.visible && giftBox.stage !== 'open';
+}
+
+// Returns false when the scene has no gift, so the caller can offer the 2D one
+function showGift() {
+    if (!giftBox) return false;
+    
+    giftBox.show();
+    renderer.domElement.setAttribute('aria-label', t('gift.scene'));
+    return true;
+}
+
+function handleGiftClick() {
+    const stage = giftBox.advance();
+    console.log(`3D Gift ${stage}`);
+    
+    if (stage === 'open') {
+        renderer.domElement.setAttribute('aria-label', t('cake.scene'));
+        document.dispatchEvent(new CustomEvent('gift:opened'));
+    }
+}
+
+// A 2D copy of the current frame. The drawing buffer isn't kept between
+// frames, so render one and copy it before the browser clears it
+function snapshot() {
+    if (!renderer) return null;
+    
+    renderer.render(scene, camera);
+    const source = renderer.domElement;
+    const copy = document.createElement('canvas');
+    copy.width = source.width;
+    copy.height = source.height;
+    copy.getContext('2d').drawImage(source, 0, 0);
+    return copy;
+}
+
+// Returns false when there are no 3D particles, so the caller can fall back to DOM confetti
+function burstConfetti() {
+    if (!particles) return false;
+    particles.burstConfetti();
+    return true;
+}
+
+function blowOutAllCandles() {
+    flames.filter(flame => flame.userData.lit).forEach(handleCandleBlow);
 }
 
 function animate() {
@@ -306,7 +587,7 @@ function animate() {
     // Gentle floating animation for paper
     if (paper && paper.visible) {
         const time = Date.now() * 0.001;
-        paper.position.y = 1.2 + Math.sin(time * 2) * 0.05;
+        paper.position.y = cakeTop.y + PAPER_OFFSET + Math.sin(time * 2) * 0.05;
         
         // Gentle glow effect
         const glowIntensity = 0.5 + Math.sin(time * 3) * 0.2;
@@ -314,15 +595,36 @@ function animate() {
         paper.material.emissiveIntensity = glowIntensity;
     }
     
-    // Flame flicker animation
-    if (flame && flame.visible) {
+    // Damping and idle spin both need a per-frame update
+    if (controls) {
+        controls.update();
+    }
+    
+    // Flame flicker animation (lit flames only; blown ones are mid-fade)
+    if (flames) {
         const time = Date.now() * 0.001;
-        flame.position.y = 1.35 + Math.sin(time * 8) * 0.02;
-        flame.scale.setScalar(1 + Math.sin(time * 6) * 0.1);
+        flames.forEach(flame => {
+            if (!flame.userData.lit) return;
+            const phase = flame.userData.phase;
+            flame.position.y = cakeTop.y + FLAME_OFFSET + Math.sin(time * 8 + phase) * 0.02;
+            flame.scale.setScalar(1 + Math.sin(time * 6 + phase) * 0.1);
+        });
+    }
+    
+    if (giftBox) {
+        giftBox.update(Date.now() * 0.001);
+    }
+    
+    if (particles) {
+        particles.update(paper);
     }
     
     // Render scene
     renderer.render(scene, camera);
+    
+    if (fpsMonitor) {
+        fpsMonitor.sample(performance.now());
+    }
 }
 
 function pauseAnimation() {
@@ -334,10 +636,13 @@ function pauseAnimation() {
 
 function resumeAnimation() {
     isPaused = false;
+    if (fpsMonitor) {
+        fpsMonitor.reset();
+    }
     animate();
 }
 
-function handleResize(container) {
+function handleResize(THREE, container) {
     if (!renderer || !camera) return;
     
     const width = container.clientWidth;
@@ -348,13 +653,22 @@ function handleResize(container) {
     
     renderer.setSize(width, height);
     
-    // Re-clamp pixel ratio
-    const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+    // Re-clamp pixel ratio (it changes when the window moves between screens)
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, quality.pixelRatio);
     renderer.setPixelRatio(pixelRatio);
+    
+    if (particles) {
+        updateParticleViewport(THREE);
+    }
 }
 
 function cleanup() {
     isPaused = true;
+    clearTimeout(idleTimer);
+    
+    if (controls) {
+        controls.dispose();
+    }
     
     if (animationId) {
         cancelAnimationFrame(animationId);
@@ -384,8 +698,10 @@ function cleanup() {
         });
     }
     
-    scene = camera = renderer = cake = paper = candle = flame = null;
-    raycaster = mouse = null;
+    scene = camera = renderer = cake = paper = candles = flames = giftBox = null;
+    raycaster = mouse = glowLight = cakeTop = controls = keyLight = fpsMonitor = particles = null;
+    quality = QUALITY_TIERS.high;
+    materials = {};
     isInitialized = false;
 }
 
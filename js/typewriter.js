@@ -0,0 +1,129 @@
+// Typewriter text reveal
+import { createElement } from './utils.js';
+
+/**
+ * Default timings in milliseconds
+ */
+export const TYPEWRITER_DEFAULTS = {
+    speed: 28,
+    punctuationPause: 180,
+    sentencePause: 420
+};
+
+const PUNCTUATION = /[,;:—–]/;
+const SENTENCE_END = /[.!?…]/;
+
+/**
+ * Types text into elements one character at a time.
+ *
+ * The full text is kept in a visually hidden span so assistive technology
+ * reads it once; only the aria-hidden copy is animated.
+ */
+export class Typewriter {
+    constructor(options = {}) {
+        this.options = { ...TYPEWRITER_DEFAULTS, ...options };
+        this.timer = null;
+        this.skipped = false;
+        this.active = null;
+    }
+
+    /**
+     * Pause after a character before typing the next one
+     * @param {string} char - Character just typed
+     * @param {string} next - Character about to be typed
+     * @returns {number} Delay in milliseconds
+     */
+    delayAfter(char, next) {
+        const { speed, punctuationPause, sentencePause } = this.options;
+
+        // Only pause at the end of a run of punctuation ("!!!", "...")
+        if (next && (PUNCTUATION.test(next) || SENTENCE_END.test(next))) {
+            return speed;
+        }
+        if (SENTENCE_END.test(char)) return speed + sentencePause;
+        if (PUNCTUATION.test(char)) return speed + punctuationPause;
+        return speed;
+    }
+
+    /**
+     * Replace an element's text with an accessible typing target
+     * @param {HTMLElement} element - Element whose text will be typed
+     * @returns {{visual: HTMLElement, chars: string[]}} Typing target
+     */
+    prepare(element) {
+        const text = element.textContent;
+        const srText = createElement('span', { className: 'sr-only', textContent: text });
+        const visual = createElement('span', {
+            className: 'typewriter-text',
+            'aria-hidden': 'true'
+        });
+
+        element.textContent = '';
+        element.appendChild(srText);
+        element.appendChild(visual);
+
+        return { visual, chars: Array.from(text) };
+    }
+
+    /**
+     * Type one prepared target
+     * @param {{visual: HTMLElement, chars: string[]}} target - Typing target
+     * @returns {Promise} Resolves when the text is fully shown
+     */
+    typeTarget(target) {
+        return new Promise(resolve => {
+            let index = 0;
+            target.visual.classList.add('typing');
+
+            const finish = () => {
+                clearTimeout(this.timer);
+                this.timer = null;
+                this.active = null;
+                target.visual.textContent = target.chars.join('');
+                target.visual.classList.remove('typing');
+                resolve();
+            };
+
+            const step = () => {
+                if (index >= target.chars.length) {
+                    finish();
+                    return;
+                }
+
+                const char = target.chars[index++];
+                target.visual.textContent += char;
+                this.timer = setTimeout(step, this.delayAfter(char, target.chars[index]));
+            };
+
+            this.active = finish;
+            step();
+        });
+    }
+
+    /**
+     * Type each element's text in turn
+     * @param {HTMLElement[]} elements - Elements to reveal, in order
+     * @returns {Promise} Resolves when every element is fully shown
+     */
+    async reveal(elements) {
+        const targets = elements.map(element => this.prepare(element));
+
+        for (const target of targets) {
+            if (this.skipped) {
+                target.visual.textContent = target.chars.join('');
+            } else {
+                await this.typeTarget(target);
+            }
+        }
+    }
+
+    /**
+     * Jump to the end of the reveal
+     */
+    skip() {
+        this.skipped = true;
+        if (this.active) {
+            this.active();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Scheduled unlock: time zone aware parsing and countdown maths
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {number} epoch - Instant in milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/Berlin"
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(epoch, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(epoch);
+
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'),
+        get('hour'), get('minute'), get('second'));
+
+    return asUtc - Math.floor(epoch / 1000) * 1000;
+}
+
+// Date.UTC rolls "2026-02-30" over into March; a real date reads back unchanged
+function toWallClock(year, month, day, hour, minute, second) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const date = new Date(wallClock);
+    const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day && date.getUTCHours() === hour &&
+        date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+
+    return valid ? wallClock : NaN;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant. A time skipped
+ * when the clocks go forward moves forward with them (02:30 opens at 03:30),
+ * and a time that happens twice when they go back means the first one
+ * @param {string} local - Local date and time, e.g. "2026-10-20T00:00"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Milliseconds since the epoch
+ * @throws {Error} When the time isn't a real ISO date/time
+ * @throws {RangeError} When the time zone is unknown
+ */
+export function zonedTimeToEpoch(local, timeZone) {
+    const match = LOCAL_PATTERN.exec(local);
+    if (!match) {
+        throw new Error(`"${local}" is not an ISO date/time like 2026-10-20T00:00`);
+    }
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    const wallClock = toWallClock(+year, +month, +day, +hour, +minute, +second);
+    if (!Number.isFinite(wallClock)) {
+        throw new Error(`"${local}" is not a valid date/time`);
+    }
+
+    // The offsets a day either side cover any transition near this time;
+    // each one is right if the instant it gives really has that offset
+    const before = getTimeZoneOffset(wallClock - DAY_MS, timeZone);
+    const after = getTimeZoneOffset(wallClock + DAY_MS, timeZone);
+    const matches = [wallClock - before, wallClock - after]
+        .filter(epoch => epoch + getTimeZoneOffset(epoch, timeZone) === wallClock);
+
+    return matches.length ? Math.min(...matches) : wallClock - before;
+}
+
+/**
+ * Resolve the `unlockAt` setting from wishes.json to an instant.
+ *
+ * Accepts an ISO string with an explicit offset ("2026-10-20T00:00:00+02:00")
+ * or an object naming the time zone ({ "at": "2026-10-20T00:00",
+ * "timeZone": "Europe/Berlin" }).
+ * @param {string|Object} value - unlockAt setting
+ * @returns {Date} Unlock instant
+ * @throws {Error} When the value can't be resolved unambiguously
+ */
+export function parseUnlockAt(value) {
+    let epoch;
+
+    if (typeof value === 'string') {
+        if (!OFFSET_PATTERN.test(value.trim())) {
+            throw new Error('needs a time zone offset such as "Z" or "+02:00", ' +
+                'or use { "at": ..., "timeZone": ... }');
+        }
+        const match = ISO_PATTERN.exec(value.trim());
+        if (!match) {
+            throw new Error(`"${value}" is not an ISO date/time like 2026-10-20T00:00:00+02:00`);
+        }
+        const [, year, month, day, hour, minute, second = '0'] = match;
+        epoch = Number.isFinite(toWallClock(+year, +month, +day, +hour, +minute, +second))
+            ? Date.parse(value.trim())
+            : NaN;
+    } else if (value && typeof value.at === 'string' && typeof value.timeZone === 'string') {
+        try {
+            epoch = zonedTimeToEpoch(value.at.trim(), value.timeZone);
+        } catch (error) {
+            if (error instanceof RangeError) {
+                throw new Error(`unknown time zone "${value.timeZone}"`);
+            }
+            throw error;
+        }
+    } else {
+        throw new Error('must be an ISO date/time string or { "at": ..., "timeZone": ... }');
+    }
+
+    if (!Number.isFinite(epoch)) {
+        throw new Error(`"${typeof value === 'string' ? value : value.at}" is not a valid date/time`);
+    }
+
+    return new Date(epoch);
+}
+
+/**
+ * Split the time left until an instant into display units
+ * @param {Date} target - Unlock instant
+ * @param {number} now - Current time in milliseconds
+ * @returns {{total: number, days: number, hours: number, minutes: number, seconds: number}}
+ *   Remaining time; all zero once the target has passed
+ */
+export function getTimeRemaining(target, now = Date.now()) {
+    const total = Math.max(0, target.getTime() - now);
+    const totalSeconds = Math.ceil(total / 1000);
+
+    return {
+        total,
+        days: Math.floor(totalSeconds / 86400),
+        hours: Math.floor(totalSeconds / 3600) % 24,
+        minutes: Math.floor(totalSeconds / 60) % 60,
+        seconds: totalSeconds % 60
+    };
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 // Utility functions
+import { getLocale } from './i18n.js';
 
 /**
  * Fetch JSON data with error handling
@@ -9,7 +10,9 @@ export async function fetchJSON(url) {
     try {
         const response = await fetch(url);
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
         return await response.json();
     } catch (error) {
@@ -56,6 +59,20 @@ export function createElement(tagName, attributes = {}) {
     return element;
 }
 
+/**
+ * Save a blob through the browser's download prompt
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = createElement('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Debounce function
  * @param {Function} func - Function to debounce
@@ -98,19 +115,55 @@ export function prefersReducedMotion() {
     return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
+/**
+ * Check whether an element is laid out right to left (Arabic, Hebrew, ...)
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True for right-to-left text
+ */
+export function isRightToLeft(element) {
+    return window.getComputedStyle(element).direction === 'rtl';
+}
+
 /**
  * Format date for display
  * @param {Date} date - Date to format
+ * @param {Object} options - Extra Intl.DateTimeFormat options, e.g. hour/minute
+ * @param {string} locale - Language to format in (the page's by default)
  * @returns {string} Formatted date string
  */
-export function formatDate(date) {
-    return new Intl.DateTimeFormat('en-US', {
+export function formatDate(date, options = {}, locale = getLocale()) {
+    return new Intl.DateTimeFormat(locale, {
         year: 'numeric',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        ...options
     }).format(date);
 }
 
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url text
+ */
+export function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} When the text isn't base64url
+ */
+export function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
 /**
  * Animate element with CSS classes
  * @param {HTMLElement} element - Element to animate
@@ -197,7 +250,8 @@ export class EventEmitter {
     emit(event, ...args) {
         if (!this.events[event]) return;
         
-        this.events[event].forEach(callback => {
+        // A copy, so callbacks can unsubscribe while being called
+        [...this.events[event]].forEach(callback => {
             callback(...args);
         });
     }
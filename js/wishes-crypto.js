@@ -0,0 +1,151 @@
+// Passphrase encryption for wishes (Web Crypto; works in browsers and Node)
+import { toBase64Url, fromBase64Url } from './utils.js';
+
+export const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Marks a wishes file that holds an encrypted document
+export const ENCRYPTED_WISHES_FORMAT = 'encrypted-wishes-v1';
+
+/**
+ * Error thrown when a passphrase doesn't open the encrypted data
+ */
+export class WrongPassphraseError extends Error {
+    constructor() {
+        super('That passphrase doesn\'t open this surprise');
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+function getSubtle() {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle) {
+        // Browsers only offer Web Crypto on https:// and localhost
+        throw new Error('Encryption needs a secure (https) page');
+    }
+    return subtle;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const subtle = getSubtle();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase.normalize('NFC')),
+        'PBKDF2', false, ['deriveKey']);
+
+    return subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt bytes with a passphrase (PBKDF2-SHA-256 key, AES-256-GCM)
+ * @param {Uint8Array} bytes - Plain bytes
+ * @param {string} passphrase - Passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Uint8Array>} Salt, IV and ciphertext, concatenated
+ */
+export async function encryptBytes(bytes, passphrase, iterations = PBKDF2_ITERATIONS) {
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const ciphertext = new Uint8Array(await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, bytes));
+
+    const result = new Uint8Array(SALT_BYTES + IV_BYTES + ciphertext.length);
+    result.set(salt, 0);
+    result.set(iv, SALT_BYTES);
+    result.set(ciphertext, SALT_BYTES + IV_BYTES);
+    return result;
+}
+
+/**
+ * Decrypt the output of encryptBytes
+ * @param {Uint8Array} sealed - Salt, IV and ciphertext
+ * @param {string} passphrase - Passphrase
+ * @param {number} iterations - PBKDF2 iterations used to encrypt
+ * @returns {Promise<Uint8Array>} Plain bytes
+ * @throws {WrongPassphraseError} When the passphrase is wrong (or the data was altered)
+ */
+export async function decryptBytes(sealed, passphrase, iterations = PBKDF2_ITERATIONS) {
+    const salt = sealed.subarray(0, SALT_BYTES);
+    const iv = sealed.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+    const key = await deriveKey(passphrase, salt, iterations);
+
+    try {
+        return new Uint8Array(await getSubtle().decrypt({ name: 'AES-GCM', iv }, key,
+            sealed.subarray(SALT_BYTES + IV_BYTES)));
+    } catch (error) {
+        throw new WrongPassphraseError();
+    }
+}
+
+/**
+ * Make an answer-style passphrase forgiving: case, accents, punctuation and
+ * extra spaces don't matter ("Luigi's Pizza" opens with "luigis pizza")
+ * @param {string} answer - Answer as typed
+ * @returns {string} Normalized answer
+ */
+export function normalizeAnswer(answer) {
+    return answer
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check whether a parsed wishes file is an encrypted envelope
+ * @param {*} data - Parsed wishes file
+ * @returns {boolean} True when it needs a passphrase
+ */
+export function isEncryptedWishes(data) {
+    return Boolean(data) && data.format === ENCRYPTED_WISHES_FORMAT && typeof data.data === 'string';
+}
+
+/**
+ * Encrypt a wishes document into a file that's safe to publish
+ * @param {Object} wishes - Wishes document
+ * @param {string} passphrase - Passphrase (or the answer to `hint`)
+ * @param {Object} options - Options
+ * @param {string} options.hint - Question shown on the prompt, e.g. "What's our first date spot?"
+ * @param {string|Object} options.theme - Theme for the prompt, left readable
+ * @param {boolean} options.exact - Require the passphrase exactly as typed (no normalizeAnswer)
+ * @returns {Promise<Object>} Envelope to save as the wishes file
+ */
+export async function encryptWishes(wishes, passphrase, { hint = '', theme, exact = false } = {}) {
+    const secret = exact ? passphrase : normalizeAnswer(passphrase);
+    if (!secret) {
+        throw new Error('The passphrase must contain letters or digits');
+    }
+
+    const bytes = new TextEncoder().encode(JSON.stringify(wishes));
+    const sealed = await encryptBytes(bytes, secret, PBKDF2_ITERATIONS);
+
+    const envelope = { format: ENCRYPTED_WISHES_FORMAT };
+    if (hint) envelope.hint = hint;
+    if (theme) envelope.theme = theme;
+    envelope.normalize = !exact;
+    envelope.kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS };
+    envelope.cipher = 'AES-GCM';
+    envelope.data = toBase64Url(sealed);
+    return envelope;
+}
+
+/**
+ * Open an encrypted wishes file
+ * @param {Object} envelope - Parsed file written by encryptWishes
+ * @param {string} passphrase - Passphrase as typed by the recipient
+ * @returns {Promise<Object>} Parsed wishes document (not yet validated)
+ * @throws {WrongPassphraseError} When the passphrase doesn't open it
+ */
+export async function decryptWishes(envelope, passphrase) {
+    const secret = envelope.normalize ? normalizeAnswer(passphrase) : passphrase;
+    const iterations = (envelope.kdf && envelope.kdf.iterations) || PBKDF2_ITERATIONS;
+    const bytes = await decryptBytes(fromBase64Url(envelope.data), secret, iterations);
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
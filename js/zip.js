@@ -0,0 +1,107 @@
+// Minimal ZIP writer for exporting the site (no DOM, unit-testable).
+// Files are stored uncompressed: photos, audio and video are already
+// compressed, and every unzip tool reads stored entries.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// Bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+const MAX_ZIP_SIZE = 0xffffffff;
+
+/**
+ * CRC-32 checksum as used by ZIP
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array}>} files - Paths (with "/" separators) and contents
+ * @param {Date} modified - Timestamp recorded for every file
+ * @returns {Uint8Array} Archive bytes
+ * @throws {RangeError} When the archive would exceed 4 GB (ZIP64 isn't supported)
+ */
+export function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, UTF8_FLAG, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+
+        local.push(new Uint8Array(header.buffer), nameBytes, data);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+
+        if (offset > MAX_ZIP_SIZE) {
+            throw new RangeError('The site is too large for a ZIP file (over 4 GB)');
+        }
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
@@ -0,0 +1,223 @@
+// Service worker: offline shell, wishes data and media caching
+
+const VERSION = 'v14';
+const SHELL_CACHE = `birthday-shell-${VERSION}`;
+const DATA_CACHE = 'birthday-data';
+const MEDIA_CACHE = 'birthday-media';
+
+// Keep in sync with the files index.html and js/ load, and with SITE_FILES in js/site-export.js
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/base.css',
+    'css/layout.css',
+    'css/components.css',
+    'js/main.js',
+    'js/utils.js',
+    'js/three-scene.js',
+    'js/recipients.js',
+    'js/schema.js',
+    'js/scenes.js',
+    'js/plugins.js',
+    'js/gift.js',
+    'js/keepsake.js',
+    'js/pdf.js',
+    'js/diagnostics.js',
+    'js/typewriter.js',
+    'js/unlock.js',
+    'js/breath-detector.js',
+    'js/microphone.js',
+    'js/gallery.js',
+    'js/lightbox.js',
+    'js/placeholder.js',
+    'js/music.js',
+    'js/offline.js',
+    'js/theme.js',
+    'js/cake.js',
+    'js/quality.js',
+    'js/particles.js',
+    'js/guestbook.js',
+    'js/preview.js',
+    'js/share-link.js',
+    'js/wishes-crypto.js',
+    'js/zip.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/locales/fr.js',
+    'js/locales/de.js',
+    'js/locales/ar.js',
+    'js/locales/he.js',
+    'js/vendor/three/three.module.min.js',
+    'js/vendor/three/addons/utils/BufferGeometryUtils.js',
+    'js/vendor/three/addons/loaders/FontLoader.js',
+    'js/vendor/three/addons/geometries/TextGeometry.js',
+    'js/vendor/three/addons/controls/OrbitControls.js',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/apple-touch-icon.png'
+];
+
+const DATA_FILES = [
+    'database/recipients.json',
+    'database/wishes.json',
+    'assets/fonts/helvetiker_bold.typeface.json'
+];
+
+const MEDIA_PATTERN = /\.(webp|jpe?g|png|gif|apng|avif|svg|mp3|m4a|aac|ogg|oga|opus|wav|flac|mp4|m4v|webm|mov|ogv)$/i;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // Wishes files are optional per deployment, so one failure mustn't block install
+        const data = await caches.open(DATA_CACHE);
+        await Promise.all(DATA_FILES.map(url => data.add(url).catch(() => {})));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('birthday-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// The page sends the media its wishes document uses
+self.addEventListener('message', (event) => {
+    const { type, urls } = event.data || {};
+    if (type !== 'cache-media' || !Array.isArray(urls)) return;
+
+    event.waitUntil((async () => {
+        const cache = await caches.open(MEDIA_CACHE);
+        await Promise.all(urls.map(async (url) => {
+            if (await cache.match(url)) return;
+            try {
+                const response = await fetch(url);
+                if (response.ok) {
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                // Offline or missing: it will be retried on the next visit
+            }
+        }));
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Live endpoints such as the guestbook server must never come from a cache
+    if (url.pathname.includes('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: true }));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (MEDIA_PATTERN.test(url.pathname) && !url.pathname.includes('/assets/icons/')) {
+        event.respondWith(cacheFirstMedia(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+async function networkFirst(request, cacheName, matchOptions = {}) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, matchOptions) ||
+            (request.mode === 'navigate' && await cache.match('index.html'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirstMedia(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request.url);
+
+    if (cached) {
+        const range = request.headers.get('range');
+        return range ? rangeResponse(cached, range) : cached;
+    }
+
+    const response = await fetch(request);
+
+    // Partial (206) responses can't be cached; full ones can
+    if (response.status === 200) {
+        cache.put(request.url, response.clone());
+    }
+    return response;
+}
+
+// Audio and video elements ask for byte ranges, which the cache can't answer itself
+async function rangeResponse(response, rangeHeader) {
+    const blob = await response.blob();
+    const match = /bytes=(\d*)-(\d*)/.exec(rangeHeader);
+
+    if (!match) return new Response(blob, { status: 200, headers: response.headers });
+
+    const size = blob.size;
+    let start = match[1] === '' ? null : Number(match[1]);
+    let end = match[2] === '' ? null : Number(match[2]);
+
+    if (start === null) {
+        // "bytes=-500" means the last 500 bytes
+        start = Math.max(0, size - end);
+        end = size - 1;
+    } else if (end === null || end >= size) {
+        end = size - 1;
+    }
+
+    if (start >= size || start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || '',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+// Breath detection against synthetic microphone buffers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BreathDetector, BREATH_DEFAULTS, getRms, getZeroCrossingRate } from '../js/breath-detector.js';
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 2048;
+const FRAME_MS = FRAME_SIZE / SAMPLE_RATE * 1000;
+
+// Small seeded generator so every run hears the same "recording"
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 0x100000000 * 2 - 1;
+    };
+}
+
+// Blowing into a microphone is broadband noise
+function noiseFrame(random, amplitude) {
+    return Float32Array.from({ length: FRAME_SIZE }, () => random() * amplitude);
+}
+
+// Speech and humming are loud but voiced: few zero crossings
+function toneFrame(index, frequency, amplitude) {
+    const offset = index * FRAME_SIZE;
+    return Float32Array.from({ length: FRAME_SIZE },
+        (_, i) => Math.sin(2 * Math.PI * frequency * (offset + i) / SAMPLE_RATE) * amplitude);
+}
+
+function durationFrames(ms) {
+    return Math.ceil(ms / FRAME_MS);
+}
+
+// Feed frames at the microphone's frame rate; returns the times of detections
+function run(detector, frames, startTime = 0) {
+    const detections = [];
+    frames.forEach((frame, index) => {
+        const time = startTime + index * FRAME_MS;
+        if (detector.process(frame, time).detected) {
+            detections.push(time);
+        }
+    });
+    return detections;
+}
+
+function quietRoom(random, ms) {
+    return Array.from({ length: durationFrames(ms) }, () => noiseFrame(random, 0.01));
+}
+
+function blow(random, ms) {
+    return Array.from({ length: durationFrames(ms) }, () => noiseFrame(random, 0.5));
+}
+
+function calibrated(random) {
+    const detector = new BreathDetector();
+    detector.calibrate(quietRoom(random, 1000));
+    return detector;
+}
+
+test('getRms and getZeroCrossingRate measure a frame', () => {
+    assert.equal(getRms([]), 0);
+    assert.equal(getRms([0.5, -0.5, 0.5, -0.5]), 0.5);
+    assert.equal(getZeroCrossingRate([1]), 0);
+    assert.equal(getZeroCrossingRate([1, -1, 1, -1, 1]), 1);
+    assert.equal(getZeroCrossingRate([0.2, 0.4, 0.1, 0.3]), 0);
+});
+
+test('calibration sets the threshold above the room noise', () => {
+    const random = createRandom(1);
+    const detector = new BreathDetector();
+    const threshold = detector.calibrate(quietRoom(random, 1000));
+
+    assert.ok(threshold >= BREATH_DEFAULTS.minThreshold);
+    assert.equal(new BreathDetector().calibrate([]), BREATH_DEFAULTS.minThreshold);
+
+    // A noisy room raises it above the minimum
+    const noisy = detector.calibrate(Array.from({ length: 20 }, () => noiseFrame(random, 0.1)));
+    assert.ok(noisy > BREATH_DEFAULTS.minThreshold);
+});
+
+test('a sustained blow is detected once, after sustainMs', () => {
+    const random = createRandom(2);
+    const detector = calibrated(random);
+    const frames = [...quietRoom(random, 500), ...blow(random, 1000)];
+    const detections = run(detector, frames);
+
+    assert.equal(detections.length, 1);
+    const blowStart = durationFrames(500) * FRAME_MS;
+    assert.ok(detections[0] - blowStart >= BREATH_DEFAULTS.sustainMs);
+    assert.ok(detections[0] - blowStart < BREATH_DEFAULTS.sustainMs + FRAME_MS * 2);
+});
+
+test('background noise alone is never a blow', () => {
+    const random = createRandom(3);
+    const detector = calibrated(random);
+
+    assert.deepEqual(run(detector, quietRoom(random, 5000)), []);
+});
+
+test('loud humming or talking is not a blow', () => {
+    const detector = calibrated(createRandom(4));
+    const frames = Array.from({ length: durationFrames(2000) }, (_, index) => toneFrame(index, 220, 0.6));
+
+    assert.ok(frames.every(frame => getRms(frame) > detector.threshold));
+    assert.deepEqual(run(detector, frames), []);
+});
+
+test('a short click or cough is not a blow', () => {
+    const random = createRandom(5);
+    const detector = calibrated(random);
+    const frames = [...quietRoom(random, 300), ...blow(random, 150), ...quietRoom(random, 1000)];
+
+    assert.deepEqual(run(detector, frames), []);
+});
+
+test('a brief dip keeps the breath going, a pause starts a new one', () => {
+    const random = createRandom(6);
+    const detector = calibrated(random);
+
+    // One frame of quiet is within releaseMs
+    const dipped = [...blow(random, 250), noiseFrame(random, 0.01), ...blow(random, 250)];
+    assert.equal(run(detector, dipped).length, 1);
+
+    // After a real pause the next breath counts again
+    detector.reset();
+    const twice = [...blow(random, 600), ...quietRoom(random, 500), ...blow(random, 600)];
+    assert.equal(run(detector, twice).length, 2);
+});
@@ -0,0 +1,103 @@
+// Converting wishes to the editor's form shape and back
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { toEditable, toWishes, getPath, setPath, getEditedLocale, setLocalizedPath } from '../js/editor-fields.js';
+import { WISHES_SCHEMA_VERSION } from '../js/schema.js';
+import { parseUnlockAt } from '../js/unlock.js';
+
+const WISHES = {
+    schemaVersion: WISHES_SCHEMA_VERSION,
+    title: 'Happy birthday',
+    message: { en: 'Many happy returns', es: 'Feliz cumpleaños' },
+    gallery: ['photos/one.jpg', { src: 'photos/two.jpg', caption: 'The beach' }],
+    music: 'music/song.mp3',
+    theme: { preset: 'sunset', mode: 'dark' },
+    unlockAt: { at: '2026-10-20T00:00', timeZone: 'Europe/Berlin' }
+};
+
+test('wishes survive a trip through the form unchanged', async () => {
+    assert.deepEqual(toWishes(toEditable(WISHES)), WISHES);
+
+    // The sample that ships with the site, too
+    const sample = JSON.parse(await readFile(new URL('../database/wishes.json', import.meta.url), 'utf8'));
+    assert.deepEqual(toWishes(toEditable(sample)), { schemaVersion: WISHES_SCHEMA_VERSION, ...sample });
+});
+
+test('the form edits one shape for every way a field can be written', () => {
+    const doc = toEditable(WISHES);
+
+    assert.deepEqual(doc.gallery, [{ src: 'photos/one.jpg' }, { src: 'photos/two.jpg', caption: 'The beach' }]);
+    assert.deepEqual(doc.music, { playlist: [{ src: 'music/song.mp3' }] });
+    assert.deepEqual(toEditable({ theme: 'sunset' }).theme, { preset: 'sunset' });
+
+    // The editor works on a copy
+    doc.gallery.push({ src: 'photos/three.jpg' });
+    assert.equal(WISHES.gallery.length, 2);
+    assert.deepEqual(toEditable(null), {});
+});
+
+test('an unlock time with an offset becomes the same instant in the editor time zone', () => {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const doc = toEditable({ unlockAt: '2026-10-20T00:00:00+02:00' }, timeZone);
+
+    assert.equal(doc.unlockAt.timeZone, timeZone);
+    assert.match(doc.unlockAt.at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+    assert.equal(parseUnlockAt(toWishes(doc).unlockAt).getTime(), Date.parse('2026-10-20T00:00:00+02:00'));
+
+    // One that can't be read comes back empty and is left out
+    assert.deepEqual(toEditable({ unlockAt: 'soon' }).unlockAt, {});
+    assert.equal(toWishes(toEditable({ unlockAt: 'soon' })).unlockAt, undefined);
+});
+
+test('saving drops empty fields and half-filled settings', () => {
+    const wishes = toWishes({
+        schemaVersion: 0,
+        title: 'Hi',
+        subtitle: '',
+        gallery: [{ src: 'photos/one.jpg', caption: '' }, { src: '' }],
+        music: { playlist: [{ src: '' }], loop: false },
+        theme: { preset: 'pastel', colors: {} },
+        unlockAt: { at: '2026-10-20T00:00', timeZone: '' }
+    });
+
+    assert.deepEqual(wishes, {
+        schemaVersion: WISHES_SCHEMA_VERSION,
+        title: 'Hi',
+        gallery: ['photos/one.jpg'],
+        theme: { preset: 'pastel' }
+    });
+
+    // A playlist with settings of its own stays a playlist
+    assert.deepEqual(toWishes({ music: { playlist: [{ src: 'a.mp3' }], loop: false } }).music,
+        { playlist: ['a.mp3'], loop: false });
+});
+
+test('dotted paths read, create and delete nested fields', () => {
+    const doc = {};
+    setPath(doc, 'music.loop', false);
+    setPath(doc, 'theme.colors.primary', '#ff6b9d');
+    assert.deepEqual(doc, { music: { loop: false }, theme: { colors: { primary: '#ff6b9d' } } });
+
+    assert.equal(getPath(doc, 'music.loop'), false);
+    assert.equal(getPath(doc, 'music.loop.deeper'), undefined);
+    assert.equal(getPath(doc, 'gift.text'), undefined);
+
+    setPath(doc, 'music.loop', undefined);
+    assert.deepEqual(doc.music, {});
+});
+
+test('per-language text edits the document language and keeps the rest', () => {
+    assert.equal(getEditedLocale('Hello', 'es'), null);
+    assert.equal(getEditedLocale({ en: 'Hi', es: 'Hola' }, 'es'), 'es');
+    assert.equal(getEditedLocale({ en: 'Hi', es: 'Hola' }, 'es-MX'), 'es');
+    assert.equal(getEditedLocale({ fr: 'Salut' }, 'de'), 'fr');
+
+    const doc = { message: { en: 'Hi', es: 'Hola' } };
+    setLocalizedPath(doc, 'message', 'es', '¡Hola!');
+    assert.deepEqual(doc.message, { en: 'Hi', es: '¡Hola!' });
+
+    setLocalizedPath(doc, 'message', 'en', undefined);
+    setLocalizedPath(doc, 'message', 'es', undefined);
+    assert.equal('message' in doc, false);
+});
@@ -0,0 +1,32 @@
+// Line breaking for the keepsake's message text
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wrapText } from '../js/keepsake.js';
+
+// Every character is one unit wide, like a monospaced font
+const measure = text => Array.from(text).length;
+
+test('words fill each line up to the width', () => {
+    assert.deepEqual(wrapText('happy birthday to you', 14, measure), ['happy birthday', 'to you']);
+    assert.deepEqual(wrapText('happy birthday', 14, measure), ['happy birthday']);
+    assert.deepEqual(wrapText('  extra   spaces  ', 20, measure), ['extra spaces']);
+});
+
+test('paragraphs stay apart and blank lines are kept', () => {
+    assert.deepEqual(wrapText('Dear Sam,\nhave a lovely day', 10, measure),
+        ['Dear Sam,', 'have a', 'lovely day']);
+    assert.deepEqual(wrapText('one\n\ntwo', 10, measure), ['one', '', 'two']);
+});
+
+test('words longer than a line are broken between characters', () => {
+    assert.deepEqual(wrapText('a congratulations', 6, measure), ['a', 'congra', 'tulati', 'ons']);
+
+    // Text without spaces, and characters outside the BMP, break cleanly
+    assert.deepEqual(wrapText('誕生日おめでとう', 3, measure), ['誕生日', 'おめで', 'とう']);
+    assert.deepEqual(wrapText('🎂🎂🎂', 2, measure), ['🎂🎂', '🎂']);
+});
+
+test('anything that is not a string is wrapped as text', () => {
+    assert.deepEqual(wrapText(2026, 10, measure), ['2026']);
+    assert.deepEqual(wrapText('', 10, measure), ['']);
+});
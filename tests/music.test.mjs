@@ -0,0 +1,79 @@
+// Playlist scheduling with stand-in audio elements
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MusicPlayer, normalizeMusic } from '../js/music.js';
+
+// Just enough of HTMLAudioElement for the player; no Web Audio, so the
+// player falls back to element volume
+class FakeAudio extends EventTarget {
+    constructor() {
+        super();
+        this.src = '';
+        this.loop = false;
+        this.volume = 1;
+        this.muted = false;
+        this.currentTime = 0;
+        this.readyState = 0;
+        this.paused = true;
+    }
+
+    setAttribute() {}
+
+    removeAttribute() {}
+
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+}
+
+globalThis.window = { location: { href: 'http://localhost/', origin: 'http://localhost' } };
+globalThis.Audio = FakeAudio;
+
+// Fades of zero keep the test free of volume timers
+function createPlayer(music) {
+    const playlist = normalizeMusic(music);
+    playlist.tracks.forEach(track => {
+        track.fadeIn = 0;
+        track.fadeOut = 0;
+    });
+    const changes = [];
+    const player = new MusicPlayer(playlist, { onTrackChange: track => changes.push(track && track.src) });
+    return { player, changes };
+}
+
+test('a lone track loops unless the playlist turns looping off', () => {
+    const looping = createPlayer('song.mp3');
+    looping.player.start();
+    assert.equal(looping.player.current.element.loop, true);
+
+    const once = createPlayer({ playlist: ['song.mp3'], loop: false });
+    once.player.start();
+    assert.equal(once.player.current.element.loop, false);
+});
+
+test('a lone track with looping off plays once and stops', () => {
+    const { player, changes } = createPlayer({ playlist: ['song.mp3'], loop: false });
+    player.start();
+    const { element } = player.current;
+
+    element.dispatchEvent(new Event('ended'));
+    assert.deepEqual(changes, ['song.mp3', null]);
+    assert.equal(player.current, null);
+    player.destroy();
+});
+
+test('a longer playlist moves on at the end of each track and wraps', () => {
+    const { player, changes } = createPlayer({ playlist: ['one.mp3', 'two.mp3'] });
+    player.start();
+    assert.equal(player.current.element.loop, false);
+
+    player.current.element.dispatchEvent(new Event('ended'));
+    player.current.element.dispatchEvent(new Event('ended'));
+    assert.deepEqual(changes, ['one.mp3', 'two.mp3', 'one.mp3']);
+    player.destroy();
+});
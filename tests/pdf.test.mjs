@@ -0,0 +1,78 @@
+// The keepsake's PDF writer, checked by reading the bytes back
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPdf, toPdfString, A4 } from '../js/pdf.js';
+
+// Stand-in JPEG data; the writer never looks inside it
+function fakeJpeg(length, fill) {
+    return new Uint8Array(length).fill(fill);
+}
+
+// One byte per character, so string indexes are byte offsets
+function toText(bytes) {
+    return Buffer.from(bytes).toString('latin1');
+}
+
+// The cross-reference table and the offset startxref points at
+function readXref(text) {
+    const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+    const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(text.slice(startxref));
+    const entries = text.slice(startxref).split('\n').slice(2, 2 + Number(count));
+    return { startxref, first: Number(first), entries };
+}
+
+test('strings are literal when plain ASCII and UTF-16 hex otherwise', () => {
+    assert.equal(toPdfString('Happy birthday'), '(Happy birthday)');
+    assert.equal(toPdfString('a (b) \\ c'), '(a \\(b\\) \\\\ c)');
+    assert.equal(toPdfString(''), '()');
+    assert.equal(toPdfString('Añ'), '<FEFF004100F1>');
+    assert.equal(toPdfString('🎂'), '<FEFFD83CDF82>');
+});
+
+test('every xref entry points at its object', () => {
+    const pdf = createPdf([
+        { jpeg: fakeJpeg(300, 0xff), width: 40, height: 60 },
+        { jpeg: fakeJpeg(120, 0x0a), width: 20, height: 30 }
+    ], { title: 'For Sam' });
+    const text = toText(pdf);
+    const { startxref, first, entries } = readXref(text);
+
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.equal(text.slice(startxref, startxref + 5), 'xref\n');
+    assert.equal(first, 0);
+
+    // Catalog, page tree and info, then page, contents and image per page
+    assert.equal(entries.length, 1 + 3 + 2 * 3);
+    assert.equal(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, index) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        const offset = Number(entry.slice(0, 10));
+        assert.ok(text.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1} at ${offset}`);
+    });
+
+    assert.match(text, /trailer\n<< \/Size 10 \/Root 1 0 R \/Info 3 0 R >>\n/);
+    assert.match(text, /\/Title \(For Sam\)/);
+});
+
+test('streams carry the image bytes and their length', () => {
+    const jpeg = fakeJpeg(257, 0xd8);
+    const text = toText(createPdf([{ jpeg, width: 16, height: 9 }]));
+
+    const image = /\/Width 16 \/Height 9 [^>]*\/Length (\d+) >>\nstream\n/.exec(text);
+    assert.ok(image);
+    assert.equal(Number(image[1]), jpeg.length);
+
+    const start = image.index + image[0].length;
+    assert.equal(text.slice(start, start + jpeg.length), toText(jpeg));
+    assert.ok(text.startsWith('\nendstream\nendobj\n', start + jpeg.length));
+
+    // The page draws the image across the whole A4 media box
+    assert.match(text, new RegExp(`/MediaBox \\[0 0 ${A4.width} ${A4.height}\\]`));
+    const contents = /<< \/Length (\d+) >>\nstream\n(.*)\nendstream/.exec(text);
+    assert.equal(contents[2], `q ${A4.width} 0 0 ${A4.height} 0 0 cm /Im0 Do Q`);
+    assert.equal(Number(contents[1]), contents[2].length);
+});
+
+test('a PDF needs at least one page', () => {
+    assert.throws(() => createPdf([]), RangeError);
+});
@@ -0,0 +1,140 @@
+// Quality tiers: the starting guess and the frame-rate monitor that adjusts it
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FpsMonitor, FPS_MONITOR_DEFAULTS, detectQuality, scaleSegments } from '../js/quality.js';
+
+const WINDOW_MS = FPS_MONITOR_DEFAULTS.windowMs;
+
+function createMonitor(level, options = {}) {
+    const changes = [];
+    const monitor = new FpsMonitor(level, {
+        ...options,
+        onChange: (newLevel, fps) => changes.push([newLevel, Math.round(fps)])
+    });
+    return { monitor, changes };
+}
+
+// Render at a steady frame rate for a number of whole windows; returns the
+// time the next frame would come
+function render(monitor, fps, windows, from = 0) {
+    const end = from + windows * WINDOW_MS;
+    let time = from;
+    for (let frame = 0; time <= end; frame++) {
+        monitor.sample(time);
+        time = from + (frame + 1) * (1000 / fps);
+    }
+    return time;
+}
+
+test('the starting tier follows what the device reports', () => {
+    const desktop = { webgl: true, memory: 8, cores: 8, width: 1440 };
+
+    assert.equal(detectQuality(desktop), 'high');
+    assert.equal(detectQuality({ ...desktop, cores: 4 }), 'medium');
+    assert.equal(detectQuality({ ...desktop, width: 600 }), 'medium');
+    assert.equal(detectQuality({ ...desktop, memory: 1.5 }), 'low');
+    assert.equal(detectQuality({ ...desktop, width: 375 }), 'low');
+    assert.equal(detectQuality({ ...desktop, memory: 0.5 }), '2d');
+    assert.equal(detectQuality({ ...desktop, webgl: false }), '2d');
+
+    // Browsers that hide memory and cores are judged by width alone
+    assert.equal(detectQuality({ webgl: true, width: 1440 }), 'high');
+});
+
+test('segment counts scale with detail but keep their shape', () => {
+    assert.equal(scaleSegments(32), 32);
+    assert.equal(scaleSegments(32, 0.5), 16);
+    assert.equal(scaleSegments(8, 0.25), 3);
+    assert.equal(scaleSegments(8, 0.25, 6), 6);
+});
+
+test('a steady low frame rate steps down one tier at a time', () => {
+    const { monitor, changes } = createMonitor('high');
+
+    // One slow window is not enough
+    let time = render(monitor, 20, 1);
+    assert.deepEqual(changes, []);
+
+    time = render(monitor, 20, 1, time);
+    assert.deepEqual(changes, [['medium', 20]]);
+    assert.equal(monitor.level, 'medium');
+
+    // Each tier gets its own slowWindows before the next step
+    time = render(monitor, 20, 2, time);
+    assert.deepEqual(changes, [['medium', 20], ['low', 20]]);
+
+    // There is nothing below low
+    render(monitor, 10, 6, time);
+    assert.equal(changes.length, 2);
+    assert.equal(monitor.level, 'low');
+});
+
+test('slow windows only count when they come in a row', () => {
+    const { monitor, changes } = createMonitor('high');
+    let time = 0;
+    for (let i = 0; i < 4; i++) {
+        time = render(monitor, 20, 1, time);
+        time = render(monitor, 60, 1, time);
+    }
+
+    assert.deepEqual(changes, []);
+    assert.equal(monitor.level, 'high');
+});
+
+test('a smooth frame rate steps back up, but never past maxLevel', () => {
+    const { monitor, changes } = createMonitor('low', { maxLevel: 'medium' });
+
+    let time = render(monitor, 60, FPS_MONITOR_DEFAULTS.fastWindows - 1);
+    assert.deepEqual(changes, []);
+
+    time = render(monitor, 60, 1, time);
+    assert.deepEqual(changes.map(([level]) => level), ['medium']);
+
+    render(monitor, 60, 20, time);
+    assert.equal(monitor.level, 'medium');
+
+    // By default the starting tier is the ceiling
+    const capped = createMonitor('medium');
+    render(capped.monitor, 60, 20);
+    assert.deepEqual(capped.changes, []);
+});
+
+test('a tier that proved too slow takes longer to win back', () => {
+    const { monitor, changes } = createMonitor('high');
+    let time = render(monitor, 20, 2);
+    assert.equal(monitor.level, 'medium');
+
+    // fastWindows is doubled once for the one failure at high
+    const needed = FPS_MONITOR_DEFAULTS.fastWindows * 2;
+    time = render(monitor, 60, needed - 1, time);
+    assert.equal(monitor.level, 'medium');
+
+    time = render(monitor, 60, 1, time);
+    assert.equal(monitor.level, 'high');
+
+    // Failing again doubles it again
+    time = render(monitor, 20, 2, time);
+    time = render(monitor, 60, needed * 2 - 1, time);
+    assert.equal(monitor.level, 'medium');
+    render(monitor, 60, 1, time);
+    assert.deepEqual(changes.map(([level]) => level), ['medium', 'high', 'medium', 'high']);
+});
+
+test('pauses and long gaps are not counted as slow frames', () => {
+    const { monitor, changes } = createMonitor('high');
+
+    // A frame every few seconds, as in a background tab
+    for (let time = 0; time < 60000; time += 3000) {
+        monitor.sample(time);
+    }
+    assert.deepEqual(changes, []);
+
+    // After reset() the window starts again with the next frame
+    let time = render(monitor, 20, 1, 100000);
+    monitor.reset();
+    time = render(monitor, 20, 1, time + 10);
+    assert.deepEqual(changes, []);
+
+    render(monitor, 20, 1, time);
+    assert.deepEqual(changes, [['medium', 20]]);
+});
@@ -0,0 +1,235 @@
+// The reveal pipeline, driven by test doubles instead of the page
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScenePipeline, SCENE_STATES, getDefaultScenes, normalizeScenes } from '../js/scenes.js';
+import { validateWishes } from '../js/schema.js';
+
+const WISHES = { title: 'Happy birthday', message: 'Many happy returns', sender: 'Sam' };
+
+/**
+ * A pipeline with hand-cranked timers and events. `run` resolves each
+ * scene straight away unless the test holds it with `hold(type)`
+ */
+function createHarness(scenes) {
+    const ran = [];
+    const states = [];
+    const timers = [];
+    const events = new EventTarget();
+    const held = new Map();
+
+    const pipeline = new ScenePipeline(normalizeScenes(scenes), {
+        run: (scene) => {
+            ran.push(scene.type);
+            if (!held.has(scene.type)) return undefined;
+            return new Promise(resolve => held.set(scene.type, resolve));
+        },
+        listen: (name, handler) => {
+            events.addEventListener(name, handler);
+            return () => events.removeEventListener(name, handler);
+        },
+        wait: (ms, callback) => {
+            const timer = { ms, callback, cancelled: false };
+            timers.push(timer);
+            return () => {
+                timer.cancelled = true;
+            };
+        },
+        onChange: (state, index) => states.push([state, index])
+    });
+
+    return {
+        pipeline,
+        ran,
+        states,
+        timers,
+        hold: type => held.set(type, null),
+        release: type => held.get(type)(),
+        dispatch: name => events.dispatchEvent(new Event(name)),
+        // Fire every pending timer, including ones they schedule
+        async flush() {
+            for (let timer = timers.shift(); timer; timer = timers.shift()) {
+                if (!timer.cancelled) timer.callback();
+                await settle();
+            }
+        }
+    };
+}
+
+// Let awaited run() promises hand over to the next scene
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+}
+
+test('scenes run in order and the pipeline ends done', async () => {
+    const harness = createHarness([{ type: 'message' }, { type: 'gallery' }, { type: 'confetti' }]);
+    harness.pipeline.start();
+    await settle();
+
+    assert.deepEqual(harness.ran, ['message', 'gallery', 'confetti']);
+    assert.equal(harness.pipeline.state, SCENE_STATES.DONE);
+    assert.equal(harness.pipeline.current, null);
+    assert.deepEqual(harness.states.at(-1), [SCENE_STATES.DONE, 3]);
+});
+
+test('each scene waits for the one before it to finish', async () => {
+    const harness = createHarness([{ type: 'candle' }, { type: 'music' }]);
+    harness.hold('candle');
+    harness.pipeline.start();
+    await settle();
+
+    assert.deepEqual(harness.ran, ['candle']);
+    assert.equal(harness.pipeline.state, SCENE_STATES.RUNNING);
+
+    harness.release('candle');
+    await settle();
+    assert.deepEqual(harness.ran, ['candle', 'music']);
+});
+
+test('click and event triggers wait, and count events that came early', async () => {
+    const harness = createHarness([
+        { type: 'message', trigger: 'click' },
+        { type: 'gallery', trigger: 'event', event: 'candle:blown' },
+        { type: 'confetti' }
+    ]);
+    harness.pipeline.start();
+    await settle();
+
+    assert.deepEqual(harness.ran, []);
+    assert.equal(harness.pipeline.state, SCENE_STATES.WAITING);
+
+    // The candle goes out before the message is open
+    harness.dispatch('candle:blown');
+    await settle();
+    assert.deepEqual(harness.ran, []);
+
+    harness.dispatch('paper:clicked');
+    await settle();
+    assert.deepEqual(harness.ran, ['message', 'gallery', 'confetti']);
+});
+
+test('delays run through the wait hook', async () => {
+    const harness = createHarness([{ type: 'message' }, { type: 'candle', delay: 2000 }]);
+    harness.pipeline.start();
+    await settle();
+
+    assert.deepEqual(harness.ran, ['message']);
+    assert.deepEqual(harness.timers.map(timer => timer.ms), [2000]);
+
+    await harness.flush();
+    assert.deepEqual(harness.ran, ['message', 'candle']);
+    assert.equal(harness.pipeline.state, SCENE_STATES.DONE);
+});
+
+test('scenes that fail validation are skipped, the rest still run', async () => {
+    const { data, issues } = validateWishes({
+        ...WISHES,
+        scenes: [
+            { type: 'message' },
+            { type: 'fireworks' },
+            { trigger: 'click' },
+            { type: 'gallery', trigger: 'event' }
+        ]
+    });
+
+    assert.deepEqual(issues.map(issue => [issue.path, issue.severity]), [
+        ['scenes[1].type', 'error'],
+        ['scenes[2].type', 'error'],
+        ['scenes[3].event', 'warning']
+    ]);
+
+    // The event trigger with no event name falls back to the timer
+    const harness = createHarness(data.scenes);
+    harness.pipeline.start();
+    await settle();
+    assert.deepEqual(harness.ran, ['message', 'gallery']);
+});
+
+test('the default order leaves out what the wishes turn off', () => {
+    const types = scenes => scenes.map(scene => scene.type);
+
+    assert.deepEqual(types(getDefaultScenes(WISHES)),
+        ['message', 'guestbook', 'candle', 'music', 'flyingPhoto', 'gallery', 'confetti']);
+    assert.equal(types(getDefaultScenes({ ...WISHES, gift: { text: 'A trip' } })).at(-1), 'gift');
+
+    // Music that starts with the paper tag takes over the click
+    const withMusic = getDefaultScenes({ ...WISHES, music: { src: 'song.mp3', startOn: 'paper' } });
+    assert.deepEqual(types(withMusic).slice(0, 2), ['music', 'message']);
+    assert.equal(types(withMusic).filter(type => type === 'music').length, 1);
+    assert.equal(withMusic[0].trigger, 'click');
+});
+
+test('a failing scene does not stop the show', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const ran = [];
+    const pipeline = new ScenePipeline(normalizeScenes([{ type: 'message' }, { type: 'gallery' }]), {
+        run: (scene) => {
+            ran.push(scene.type);
+            if (scene.type === 'message') throw new Error('no message section');
+        },
+        listen: () => () => {}
+    });
+    pipeline.start();
+    await settle();
+
+    assert.deepEqual(ran, ['message', 'gallery']);
+    assert.equal(pipeline.state, SCENE_STATES.DONE);
+});
+
+test('invalid transitions are ignored', async () => {
+    const harness = createHarness([{ type: 'message' }]);
+
+    // Starting twice runs the scenes once
+    harness.pipeline.start();
+    harness.pipeline.start();
+    await settle();
+    assert.deepEqual(harness.ran, ['message']);
+
+    // A finished pipeline can't be stopped or restarted
+    harness.pipeline.stop();
+    harness.pipeline.start();
+    await settle();
+    assert.equal(harness.pipeline.state, SCENE_STATES.DONE);
+    assert.deepEqual(harness.ran, ['message']);
+    assert.equal(harness.states.filter(([state]) => state === SCENE_STATES.STOPPED).length, 0);
+});
+
+test('stopping cancels pending delays, events and later scenes', async () => {
+    const harness = createHarness([
+        { type: 'message', trigger: 'click' },
+        { type: 'candle', delay: 2000 },
+        { type: 'gallery', trigger: 'event', event: 'candle:blown' }
+    ]);
+    harness.pipeline.start();
+    harness.dispatch('paper:clicked');
+    await settle();
+    assert.deepEqual(harness.ran, ['message']);
+
+    harness.pipeline.stop();
+    assert.equal(harness.pipeline.state, SCENE_STATES.STOPPED);
+
+    await harness.flush();
+    harness.dispatch('candle:blown');
+    await settle();
+    assert.deepEqual(harness.ran, ['message']);
+    assert.equal(harness.pipeline.state, SCENE_STATES.STOPPED);
+
+    // Stopping again changes nothing
+    harness.pipeline.stop();
+    assert.equal(harness.states.filter(([state]) => state === SCENE_STATES.STOPPED).length, 1);
+});
+
+test('a scene still running when stopped does not start the next', async () => {
+    const harness = createHarness([{ type: 'candle' }, { type: 'gallery' }]);
+    harness.hold('candle');
+    harness.pipeline.start();
+    await settle();
+
+    harness.pipeline.stop();
+    harness.release('candle');
+    await settle();
+
+    assert.deepEqual(harness.ran, ['candle']);
+    assert.equal(harness.pipeline.state, SCENE_STATES.STOPPED);
+});
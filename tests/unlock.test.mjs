@@ -0,0 +1,94 @@
+// Scheduled unlock times across time zones and daylight saving changes
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToEpoch, parseUnlockAt, getTimeZoneOffset, getTimeRemaining } from '../js/unlock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function iso(epoch) {
+    return new Date(epoch).toISOString();
+}
+
+test('wall-clock times resolve with the offset in force at the time', () => {
+    // Summer and winter time in the same zone
+    assert.equal(iso(zonedTimeToEpoch('2026-07-01T12:00', 'Europe/Berlin')), '2026-07-01T10:00:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-12-01T12:00', 'Europe/Berlin')), '2026-12-01T11:00:00.000Z');
+
+    // Half-hour offsets, zones west of UTC, and a date on its own meaning midnight
+    assert.equal(iso(zonedTimeToEpoch('2026-10-20', 'Asia/Kolkata')), '2026-10-19T18:30:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-10-20T00:00:30', 'America/Los_Angeles')), '2026-10-20T07:00:30.000Z');
+
+    assert.equal(getTimeZoneOffset(Date.UTC(2026, 6, 1), 'Europe/Berlin'), 2 * HOUR_MS);
+    assert.equal(getTimeZoneOffset(Date.UTC(2026, 0, 1), 'America/New_York'), -5 * HOUR_MS);
+});
+
+test('a time skipped when the clocks go forward opens after the change', () => {
+    // 02:30 doesn't exist on these days; it opens at 03:30 summer time
+    assert.equal(iso(zonedTimeToEpoch('2026-03-29T02:30', 'Europe/Berlin')), '2026-03-29T01:30:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-03-08T02:30', 'America/New_York')), '2026-03-08T07:30:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-10-04T02:30', 'Australia/Sydney')), '2026-10-03T16:30:00.000Z');
+
+    // Never before the last minute that did exist
+    const lastBefore = zonedTimeToEpoch('2026-03-08T01:59', 'America/New_York');
+    assert.ok(zonedTimeToEpoch('2026-03-08T02:00', 'America/New_York') > lastBefore);
+});
+
+test('a time that happens twice when the clocks go back means the first one', () => {
+    // 02:30 summer time in Berlin, an hour before 02:30 winter time
+    assert.equal(iso(zonedTimeToEpoch('2026-10-25T02:30', 'Europe/Berlin')), '2026-10-25T00:30:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-11-01T01:30', 'America/New_York')), '2026-11-01T05:30:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-04-05T02:30', 'Australia/Sydney')), '2026-04-04T15:30:00.000Z');
+
+    // Either side of the repeated hour is unambiguous
+    assert.equal(iso(zonedTimeToEpoch('2026-10-25T01:59', 'Europe/Berlin')), '2026-10-24T23:59:00.000Z');
+    assert.equal(iso(zonedTimeToEpoch('2026-10-25T03:00', 'Europe/Berlin')), '2026-10-25T02:00:00.000Z');
+});
+
+test('strings with a UTC offset or Z are taken as given', () => {
+    const expected = '2026-10-19T22:00:00.000Z';
+
+    assert.equal(parseUnlockAt('2026-10-20T00:00:00+02:00').toISOString(), expected);
+    assert.equal(parseUnlockAt('2026-10-20T00:00+0200').toISOString(), expected);
+    assert.equal(parseUnlockAt('2026-10-19T22:00:00Z').toISOString(), expected);
+    assert.equal(parseUnlockAt('2026-10-19T22:00:00.000z').toISOString(), expected);
+    assert.equal(parseUnlockAt(' 2026-10-19T17:00:00-05:00 ').toISOString(), expected);
+
+    // The object form names the zone instead
+    assert.equal(parseUnlockAt({ at: '2026-10-20T00:00', timeZone: 'Europe/Berlin' }).toISOString(), expected);
+});
+
+test('malformed unlock times are rejected with a reason', () => {
+    const rejects = (value, reason) => assert.throws(() => parseUnlockAt(value), reason, JSON.stringify(value));
+
+    // No offset, so the visitor's own clock would decide
+    rejects('2026-10-20T00:00:00', /needs a time zone offset/);
+    rejects('2026-10-20', /needs a time zone offset/);
+
+    // Not ISO, or not a real date and time
+    rejects('Tue Oct 20 2026 00:00 Z', /not an ISO date\/time/);
+    rejects('20/10/2026 00:00Z', /not an ISO date\/time/);
+    rejects('2026-02-30T00:00:00Z', /not a valid date\/time/);
+    rejects('2026-10-20T25:00:00+02:00', /not a valid date\/time/);
+    rejects({ at: '2026-13-01T00:00', timeZone: 'Europe/Berlin' }, /not a valid date\/time/);
+    rejects({ at: '2026-10-20T24:00', timeZone: 'Europe/Berlin' }, /not a valid date\/time/);
+    rejects({ at: '20 October 2026', timeZone: 'Europe/Berlin' }, /not an ISO date\/time/);
+
+    // Missing or unknown pieces
+    rejects({ at: '2026-10-20T00:00', timeZone: 'Mars/Olympus_Mons' }, /unknown time zone "Mars\/Olympus_Mons"/);
+    rejects({ at: '2026-10-20T00:00' }, /must be an ISO date\/time string/);
+    rejects(null, /must be an ISO date\/time string/);
+    rejects(1792447200000, /must be an ISO date\/time string/);
+});
+
+test('the countdown splits the time left and stops at zero', () => {
+    const target = new Date('2026-10-20T00:00:00Z');
+    const now = target.getTime() - (((2 * 24 + 3) * 60 + 4) * 60 + 5) * 1000;
+
+    assert.deepEqual(getTimeRemaining(target, now),
+        { total: target.getTime() - now, days: 2, hours: 3, minutes: 4, seconds: 5 });
+
+    // Part of a second still shows as a second
+    assert.equal(getTimeRemaining(target, target.getTime() - 200).seconds, 1);
+    assert.deepEqual(getTimeRemaining(target, target.getTime() + 5000),
+        { total: 0, days: 0, hours: 0, minutes: 0, seconds: 0 });
+});
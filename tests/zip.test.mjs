@@ -0,0 +1,129 @@
+// The site export's ZIP writer, checked by reading the records back
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip, crc32 } from '../js/zip.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const MODIFIED = new Date(2026, 9, 18, 14, 30, 10);
+const DOS_TIME = (14 << 11) | (30 << 5) | (10 >> 1);
+const DOS_DATE = ((2026 - 1980) << 9) | (10 << 5) | 18;
+
+const FILES = [
+    { name: 'index.html', data: encoder.encode('<!DOCTYPE html>\n<title>Hi</title>\n') },
+    { name: 'assets/images/gâteau.jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 1, 2, 3]) },
+    { name: 'empty.txt', data: new Uint8Array(0) }
+];
+
+// Read the end record, then each central entry and the local header it points at
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const endAt = zip.length - 22;
+    const end = {
+        signature: view.getUint32(endAt, true),
+        disk: view.getUint16(endAt + 4, true),
+        entriesOnDisk: view.getUint16(endAt + 8, true),
+        entries: view.getUint16(endAt + 10, true),
+        centralSize: view.getUint32(endAt + 12, true),
+        centralOffset: view.getUint32(endAt + 16, true),
+        commentLength: view.getUint16(endAt + 20, true)
+    };
+
+    const entries = [];
+    let at = end.centralOffset;
+    for (let i = 0; i < end.entries; i++) {
+        const nameLength = view.getUint16(at + 28, true);
+        const central = {
+            signature: view.getUint32(at, true),
+            flags: view.getUint16(at + 8, true),
+            method: view.getUint16(at + 10, true),
+            time: view.getUint16(at + 12, true),
+            date: view.getUint16(at + 14, true),
+            crc: view.getUint32(at + 16, true),
+            compressedSize: view.getUint32(at + 20, true),
+            size: view.getUint32(at + 24, true),
+            localOffset: view.getUint32(at + 42, true),
+            name: decoder.decode(zip.subarray(at + 46, at + 46 + nameLength))
+        };
+
+        const localAt = central.localOffset;
+        const localNameLength = view.getUint16(localAt + 26, true);
+        const dataAt = localAt + 30 + localNameLength + view.getUint16(localAt + 28, true);
+        const local = {
+            signature: view.getUint32(localAt, true),
+            flags: view.getUint16(localAt + 6, true),
+            method: view.getUint16(localAt + 8, true),
+            time: view.getUint16(localAt + 10, true),
+            date: view.getUint16(localAt + 12, true),
+            crc: view.getUint32(localAt + 14, true),
+            compressedSize: view.getUint32(localAt + 18, true),
+            size: view.getUint32(localAt + 22, true),
+            name: decoder.decode(zip.subarray(localAt + 30, localAt + 30 + localNameLength)),
+            data: zip.subarray(dataAt, dataAt + central.size)
+        };
+
+        entries.push({ central, local });
+        at += 46 + nameLength;
+    }
+
+    return { end, entries, centralEnd: at };
+}
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(crc32(new Uint8Array(0)), 0);
+    assert.equal(crc32(encoder.encode('123456789')), 0xcbf43926);
+    assert.equal(crc32(encoder.encode('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+    assert.equal(crc32(new Uint8Array([0xff, 0xff, 0xff, 0xff])), 0xffffffff);
+});
+
+test('local headers and central entries describe each stored file', () => {
+    const { entries } = readZip(createZip(FILES, MODIFIED));
+
+    assert.equal(entries.length, FILES.length);
+    entries.forEach(({ central, local }, index) => {
+        const file = FILES[index];
+        assert.equal(central.signature, 0x02014b50);
+        assert.equal(local.signature, 0x04034b50);
+
+        [central, local].forEach(record => {
+            assert.equal(record.name, file.name);
+            assert.equal(record.flags, 0x0800, 'names are flagged as UTF-8');
+            assert.equal(record.method, 0, 'stored, not deflated');
+            assert.equal(record.time, DOS_TIME);
+            assert.equal(record.date, DOS_DATE);
+            assert.equal(record.crc, crc32(file.data));
+            assert.equal(record.size, file.data.length);
+            assert.equal(record.compressedSize, file.data.length);
+        });
+        assert.deepEqual(local.data, file.data);
+    });
+});
+
+test('the end record points at the central directory', () => {
+    const zip = createZip(FILES, MODIFIED);
+    const { end, entries, centralEnd } = readZip(zip);
+
+    assert.equal(end.signature, 0x06054b50);
+    assert.equal(end.disk, 0);
+    assert.equal(end.entriesOnDisk, FILES.length);
+    assert.equal(end.entries, FILES.length);
+    assert.equal(end.commentLength, 0);
+
+    // Local records fill the start of the file, the directory runs up to the end record
+    const localSize = FILES.reduce((sum, file) => sum + 30 + encoder.encode(file.name).length + file.data.length, 0);
+    assert.equal(end.centralOffset, localSize);
+    assert.equal(centralEnd, end.centralOffset + end.centralSize);
+    assert.equal(centralEnd, zip.length - 22);
+    assert.equal(entries[0].central.localOffset, 0);
+});
+
+test('an empty archive is just the end record', () => {
+    const zip = createZip([], MODIFIED);
+    const { end, entries } = readZip(zip);
+
+    assert.equal(zip.length, 22);
+    assert.equal(end.signature, 0x06054b50);
+    assert.deepEqual(entries, []);
+    assert.equal(end.centralOffset, 0);
+    assert.equal(end.centralSize, 0);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// Encrypt a wishes file so it can be published without revealing the
+// surprise. The recipient opens it in the browser with the passphrase (or
+// the answer to --hint); nothing is ever sent to a server.
+//
+//   node tools/encrypt-wishes.mjs database/wishes.json [-o out.json]
+//        [--hint "What's our first date spot?"] [--passphrase text]
+//        [--exact] [--no-theme]
+//
+// Without --passphrase the WISHES_PASSPHRASE environment variable is used,
+// or the passphrase is asked for (twice) without echoing it.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { webcrypto } from 'node:crypto';
+import path from 'node:path';
+import { validateWishes } from '../js/schema.js';
+import { encryptWishes, isEncryptedWishes } from '../js/wishes-crypto.js';
+
+// Node 18 has Web Crypto but only exposes it as a global from Node 19 on
+if (!globalThis.crypto) {
+    globalThis.crypto = webcrypto;
+}
+
+function parseArgs(argv) {
+    const options = { input: null, output: null, hint: '', passphrase: '', exact: false, theme: true };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '-o' || argv[i] === '--output') options.output = argv[++i];
+        else if (argv[i] === '--hint') options.hint = argv[++i] || '';
+        else if (argv[i] === '--passphrase') options.passphrase = argv[++i] || '';
+        else if (argv[i] === '--exact') options.exact = true;
+        else if (argv[i] === '--no-theme') options.theme = false;
+        else if (!options.input) options.input = argv[i];
+    }
+    return options;
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// Read a line from the terminal without echoing it
+function askHidden(question) {
+    return new Promise((resolve, reject) => {
+        const { stdin, stdout } = process;
+        if (!stdin.isTTY) {
+            reject(new Error('No terminal to ask for the passphrase; use --passphrase or WISHES_PASSPHRASE'));
+            return;
+        }
+
+        let answer = '';
+        stdout.write(question);
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.setEncoding('utf8');
+
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    stdin.setRawMode(false);
+                    stdin.pause();
+                    stdin.off('data', onData);
+                    stdout.write('\n');
+                    resolve(answer);
+                    return;
+                }
+                if (char === '\u0003') {
+                    stdout.write('\n');
+                    process.exit(130);
+                }
+                if (char === '\u007f' || char === '\b') {
+                    answer = answer.slice(0, -1);
+                } else {
+                    answer += char;
+                }
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+async function getPassphrase(options) {
+    if (options.passphrase) return options.passphrase;
+    if (process.env.WISHES_PASSPHRASE) return process.env.WISHES_PASSPHRASE;
+
+    const label = options.hint ? 'Answer' : 'Passphrase';
+    const first = await askHidden(`${label}: `);
+    const second = await askHidden(`${label} again: `);
+    if (first !== second) {
+        fail('The two entries did not match; nothing was written.');
+    }
+    return first;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options.input) {
+    fail('Usage: node tools/encrypt-wishes.mjs <wishes.json> [-o output.json] [--hint "question"] ' +
+        '[--passphrase text] [--exact] [--no-theme]');
+}
+
+let wishes;
+try {
+    wishes = JSON.parse(await readFile(options.input, 'utf8'));
+} catch (error) {
+    fail(`Could not read ${options.input}: ${error.message}`);
+}
+
+if (isEncryptedWishes(wishes)) {
+    fail(`${options.input} is already encrypted.`);
+}
+
+// Catch mistakes now: once encrypted, the page can only report them after unlocking
+const { valid, issues } = validateWishes(wishes);
+for (const issue of issues) {
+    console.warn(`${issue.severity}: ${issue.path}: ${issue.message}`);
+}
+if (!valid) {
+    fail('Fix the errors above before encrypting.');
+}
+
+let passphrase;
+try {
+    passphrase = await getPassphrase(options);
+} catch (error) {
+    fail(error.message);
+}
+
+let envelope;
+try {
+    envelope = await encryptWishes(wishes, passphrase, {
+        hint: options.hint,
+        theme: options.theme ? wishes.theme : undefined,
+        exact: options.exact
+    });
+} catch (error) {
+    fail(error.message);
+}
+
+const parsed = path.parse(options.input);
+const output = options.output || path.join(parsed.dir, `${parsed.name}.encrypted${parsed.ext || '.json'}`);
+await writeFile(output, JSON.stringify(envelope, null, 4) + '\n');
+
+console.log(`Encrypted wishes written to ${output}`);
+if (!options.exact) {
+    console.log('Case, accents, punctuation and extra spaces in the answer don\'t matter.');
+}
+console.log('Publish it in place of the plain file, and keep the plain copy out of the public repository.');
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// Local guestbook server: serves the site and the contributor page, and
+// appends contributor wishes to the recipient's wishes JSON file. No dependencies; meant for your own
+// machine or LAN, not the public internet.
+//
+//   node tools/guestbook-server.mjs [--port 8080] [--host 127.0.0.1]
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolveRecipient, RecipientNotFoundError } from '../js/recipients.js';
+import { isEncryptedWishes } from '../js/wishes-crypto.js';
+import { SITE_FILES } from '../js/site-export.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATABASE_DIR = path.join(ROOT, 'database');
+const AVATAR_DIR = 'assets/images/guestbook';
+const API_PATH = '/api/guestbook';
+
+// Only the published site, the contributor page and their media are served;
+// never .git, tools/ or anything else that happens to be in the folder
+const CONTRIBUTOR_FILES = ['contribute.html', 'js/contribute.js', 'js/guestbook-storage.js'];
+const SERVED_FILES = new Set([...SITE_FILES, ...CONTRIBUTOR_FILES]);
+const SERVED_DIRECTORIES = ['assets/', 'database/'];
+
+const MAX_AUTHOR = 80;
+const MAX_MESSAGE = 2000;
+const MAX_AVATAR_BYTES = 512 * 1024;
+// Base64 inflates by a third; leave room for the JSON around it
+const MAX_BODY_BYTES = Math.ceil(MAX_AVATAR_BYTES * 4 / 3) + 16 * 1024;
+
+const AVATAR_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { port: 8080, host: '127.0.0.1' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+    }
+    return options;
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Resolve a path below `base`, refusing anything that escapes it
+ */
+function resolveInside(base, relative) {
+    const resolved = path.resolve(base, relative);
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+    return resolved;
+}
+
+async function readJSONFile(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+/**
+ * Find the wishes file for `?for=<slug>` the same way the site does
+ */
+async function getWishesFile(slug) {
+    let index = null;
+    try {
+        index = await readJSONFile(path.join(DATABASE_DIR, 'recipients.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+        const { url } = resolveRecipient(index, slug);
+        return resolveInside(DATABASE_DIR, path.resolve(ROOT, url));
+    } catch (error) {
+        if (error instanceof RecipientNotFoundError) {
+            throw new HttpError(404, error.message);
+        }
+        throw error;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'That photo is too large. Please pick a smaller one.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function cleanText(value, label, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new HttpError(400, `Please add ${label}.`);
+    }
+    if (text.length > maxLength) {
+        throw new HttpError(400, `Please keep ${label} under ${maxLength} characters.`);
+    }
+    return text;
+}
+
+/**
+ * Decode an avatar data URL and save it under assets/images/guestbook
+ * @returns {Promise<string>} Site-relative image path
+ */
+async function saveAvatar(dataUrl) {
+    const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl);
+    const ext = match && AVATAR_TYPES[match[1]];
+    if (!ext) {
+        throw new HttpError(400, 'The photo must be a PNG, JPEG or WebP image.');
+    }
+
+    const bytes = Buffer.from(match[2], 'base64');
+    if (bytes.length > MAX_AVATAR_BYTES) {
+        throw new HttpError(413, 'That photo is too large. Please pick a smaller one.');
+    }
+
+    const name = `${Date.now()}-${randomBytes(4).toString('hex')}.${ext}`;
+    await mkdir(path.join(ROOT, AVATAR_DIR), { recursive: true });
+    await writeFile(path.join(ROOT, AVATAR_DIR, name), bytes);
+    return `${AVATAR_DIR}/${name}`;
+}
+
+// Encrypted wishes files can only be opened in the recipient's browser
+function assertReadable(data) {
+    if (isEncryptedWishes(data)) {
+        throw new HttpError(409, 'This surprise is encrypted, so its guestbook can\'t be read or signed here.');
+    }
+}
+
+// Writes run one at a time so two wishes sent together both land
+let writeQueue = Promise.resolve();
+
+function appendEntry(file, entry) {
+    const write = writeQueue.then(async () => {
+        const data = await readJSONFile(file);
+        assertReadable(data);
+        data.guestbook = Array.isArray(data.guestbook) ? data.guestbook : [];
+        data.guestbook.push(entry);
+
+        // Write beside the file and rename, so a crash never leaves half a JSON file
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(data, null, 4) + '\n');
+        await rename(tmp, file);
+        return entry;
+    });
+    writeQueue = write.catch(() => {});
+    return write;
+}
+
+async function handleApi(req, res, url) {
+    const file = await getWishesFile(url.searchParams.get('for'));
+
+    if (req.method === 'GET') {
+        const data = await readJSONFile(file);
+        assertReadable(data);
+        sendJSON(res, 200, { entries: Array.isArray(data.guestbook) ? data.guestbook : [] });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(400, 'The request was not valid JSON.');
+    }
+
+    const entry = {
+        author: cleanText(body.author, 'your name', MAX_AUTHOR),
+        message: cleanText(body.message, 'a wish', MAX_MESSAGE),
+        date: new Date().toISOString().slice(0, 10)
+    };
+    if (body.avatar) {
+        entry.avatar = await saveAvatar(body.avatar);
+    }
+
+    sendJSON(res, 201, { entry: await appendEntry(file, entry) });
+}
+
+function isServed(relative) {
+    if (relative.includes('\\') || relative.split('/').some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+    return SERVED_FILES.has(relative) || SERVED_DIRECTORIES.some(dir => relative.startsWith(dir));
+}
+
+async function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    } catch (error) {
+        throw new HttpError(400, 'Bad request');
+    }
+    if (!relative || relative.endsWith('/')) {
+        relative += 'index.html';
+    }
+    if (!isServed(relative)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const file = resolveInside(ROOT, relative);
+    let content;
+    try {
+        content = await readFile(file);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+const { port, host } = parseArgs(process.argv.slice(2));
+
+const server = createServer(async (req, res) => {
+    // Only the path and query matter; the Host header is the client's to get wrong
+    let url = null;
+
+    try {
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            throw new HttpError(400, 'Bad request');
+        }
+
+        if (url.pathname === API_PATH) {
+            await handleApi(req, res, url);
+        } else {
+            await serveStatic(req, res, url);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+            console.error(error);
+        }
+        if (url && url.pathname === API_PATH) {
+            sendJSON(res, status, { error: status === 500 ? 'The guestbook could not be saved.' : error.message });
+        } else {
+            res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(error.message);
+        }
+    }
+});
+
+server.listen(port, host, () => {
+    console.log(`Guestbook server running at http://${host}:${port}/`);
+    console.log(`Contributors can sign at http://${host}:${port}/contribute.html?for=<slug>`);
+});